@@ -0,0 +1,35 @@
+// Runs after the client and SSR builds: writes one static HTML file per content route
+// into dist/, plus the app.html shell, sitemap.xml and robots.txt. Set SITE_URL to the public origin.
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath, pathToFileURL } from 'node:url'
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+const dist = path.join(root, 'dist')
+const siteUrl = (process.env.SITE_URL || 'http://localhost:4173').replace(/\/+$/, '')
+
+if (!process.env.SITE_URL) {
+  console.warn(`[prerender] SITE_URL is not set; canonical links will point at ${siteUrl}`)
+}
+
+const { prerender } = await import(pathToFileURL(path.join(root, 'dist-ssr', 'entry-server.js')).href)
+const template = await fs.readFile(path.join(dist, 'index.html'), 'utf8')
+const { pages, sitemap, robots } = await prerender(siteUrl)
+
+// The home page is prerendered over index.html, so client-only routes (/admin, /test, careers
+// pages not prerendered) are served this unprerendered shell instead; see vercel.json
+await fs.writeFile(path.join(dist, 'app.html'), template)
+
+for (const page of pages) {
+  // Replacer functions, so a `$` in content is never read as a replacement pattern
+  const html = template
+    .replace(/<title>[\s\S]*?<\/title>/, () => page.head)
+    .replace('<div id="root"></div>', () => `<div id="root">${page.html}</div>`)
+  const file = path.join(dist, page.file || path.join(page.path, 'index.html'))
+  await fs.mkdir(path.dirname(file), { recursive: true })
+  await fs.writeFile(file, html)
+}
+
+await fs.writeFile(path.join(dist, 'sitemap.xml'), sitemap)
+await fs.writeFile(path.join(dist, 'robots.txt'), robots)
+console.log(`[prerender] wrote ${pages.length} pages, app.html, sitemap.xml and robots.txt`)
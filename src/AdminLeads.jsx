@@ -0,0 +1,366 @@
+import { useEffect, useState } from 'react'
+import { useLocation, useNavigate } from 'react-router-dom'
+import { useI18n } from './lib/i18n'
+import { addLeadNote, getServices, listLeads, updateLead } from './lib/api'
+import { clearAdminToken, getAdminToken } from './lib/adminAuth'
+import { useSwr } from './lib/useSwr'
+import { serviceSlug } from './lib/slug'
+import { toCsv } from './lib/csv'
+import { downloadFile } from './lib/download'
+import { formatEstimate } from './lib/estimate'
+import LanguageSwitcher from './components/LanguageSwitcher'
+
+const PAGE_SIZE = 25
+const EXPORT_PAGE_SIZE = 200
+const EXPORT_MAX_PAGES = 50
+
+export const LEAD_STATUSES = ['new', 'contacted', 'qualified', 'won', 'lost']
+
+// Which statuses a lead may move to next; lost leads can be reopened.
+const TRANSITIONS = {
+  new: ['contacted', 'lost'],
+  contacted: ['qualified', 'lost'],
+  qualified: ['won', 'lost'],
+  won: [],
+  lost: ['new'],
+}
+
+const GCC_COUNTRIES = ['Saudi Arabia', 'United Arab Emirates', 'Qatar', 'Kuwait', 'Bahrain', 'Oman']
+
+const statusStyles = {
+  new: 'bg-primary-soft text-primary-strong',
+  contacted: 'bg-amber-100 text-amber-700 dark:bg-amber-500/15 dark:text-amber-400',
+  qualified: 'bg-accent/15 text-accent-strong',
+  won: 'bg-green-100 text-green-700 dark:bg-green-500/15 dark:text-green-400',
+  lost: 'bg-surface-muted text-muted',
+}
+
+const emptyFilters = { q: '', country: '', status: '', from: '', to: '' }
+// Filters typed into text boxes, which reach `filters` after a pause
+const emptyTyped = { q: '', country: '' }
+
+const inputClass = 'rounded-md border border-line-strong px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary bg-surface'
+
+function StatusPill({ status }) {
+  const { t } = useI18n()
+  return <span className={`inline-block px-2 py-0.5 rounded text-xs font-semibold ${statusStyles[status] || statusStyles.new}`}>{t(`admin.statuses.${status || 'new'}`)}</span>
+}
+
+function LeadPanel({ lead, serviceTitle, formatDate, estimateText, onStatusChange, onAddNote, onClose }) {
+  const { t } = useI18n()
+  const [note, setNote] = useState('')
+  const [saving, setSaving] = useState(false)
+  const status = lead.status || 'new'
+
+  const submitNote = async (e) => {
+    e.preventDefault()
+    if (!note.trim()) return
+    setSaving(true)
+    if (await onAddNote(lead, note.trim())) setNote('')
+    setSaving(false)
+  }
+
+  return (
+    <aside className="bg-surface border border-line rounded-xl p-6 shadow-sm">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="font-bold text-lg">{lead.name}</h2>
+          <a href={`mailto:${lead.email}`} dir="ltr" className="text-sm text-primary-strong hover:text-primary">{lead.email}</a>
+        </div>
+        <button onClick={onClose} aria-label={t('admin.close')} className="text-subtle hover:text-ink text-xl leading-none">×</button>
+      </div>
+
+      <dl className="mt-4 grid grid-cols-2 gap-3 text-sm">
+        <div><dt className="text-muted">{t('admin.columns.company')}</dt><dd>{lead.company || '—'}</dd></div>
+        <div><dt className="text-muted">{t('admin.columns.country')}</dt><dd>{lead.country || '—'}</dd></div>
+        <div><dt className="text-muted">{t('admin.columns.budget')}</dt><dd>{lead.budget ? t(`wizard.budgets.${lead.budget}`) : '—'}</dd></div>
+        <div><dt className="text-muted">{t('admin.columns.timeline')}</dt><dd>{lead.timeline ? t(`wizard.timelines.${lead.timeline}`) : '—'}</dd></div>
+        {lead.estimate && <div className="col-span-2"><dt className="text-muted">{t('admin.columns.estimate')}</dt><dd>{estimateText(lead.estimate)}</dd></div>}
+        <div className="col-span-2"><dt className="text-muted">{t('admin.columns.services')}</dt><dd>{(lead.services || []).map(serviceTitle).join(', ') || '—'}</dd></div>
+        <div className="col-span-2"><dt className="text-muted">{t('admin.columns.message')}</dt><dd className="whitespace-pre-line">{lead.message || '—'}</dd></div>
+        <div className="col-span-2"><dt className="text-muted">{t('admin.columns.received')}</dt><dd>{formatDate(lead.created_at)}</dd></div>
+      </dl>
+
+      <div className="mt-5">
+        <label htmlFor="lead-status" className="block text-sm font-medium">{t('admin.columns.status')}</label>
+        <select
+          id="lead-status"
+          value={status}
+          onChange={(e) => onStatusChange(lead, e.target.value)}
+          disabled={TRANSITIONS[status]?.length === 0}
+          className={`mt-1 w-full ${inputClass}`}
+        >
+          {[status, ...(TRANSITIONS[status] || [])].map((s) => (
+            <option key={s} value={s}>{t(`admin.statuses.${s}`)}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="mt-6">
+        <h3 className="text-sm font-semibold">{t('admin.notes')}</h3>
+        <ul className="mt-2 space-y-2 text-sm">
+          {(lead.notes || []).length === 0 && <li className="text-muted">{t('admin.noNotes')}</li>}
+          {(lead.notes || []).map((n) => (
+            <li key={n.id} className="bg-surface-muted border border-line rounded-md p-3">
+              <p className="whitespace-pre-line">{n.body}</p>
+              <p className="mt-1 text-xs text-muted">{[n.author, formatDate(n.created_at)].filter(Boolean).join(' · ')}</p>
+            </li>
+          ))}
+        </ul>
+        <form onSubmit={submitNote} className="mt-3">
+          <label htmlFor="lead-note" className="sr-only">{t('admin.addNote')}</label>
+          <textarea id="lead-note" rows={3} value={note} onChange={(e) => setNote(e.target.value)} placeholder={t('admin.notePlaceholder')} className={`w-full ${inputClass}`} />
+          <button type="submit" disabled={saving || !note.trim()} className="mt-2 bg-primary hover:bg-primary/90 disabled:opacity-60 text-white text-sm font-semibold px-4 py-2 rounded-md">
+            {t('admin.addNote')}
+          </button>
+        </form>
+      </div>
+    </aside>
+  )
+}
+
+function AdminLeads() {
+  const i18n = useI18n()
+  const { lang, locale, t, formatNumber } = i18n
+  const navigate = useNavigate()
+  const location = useLocation()
+  const [typed, setTyped] = useState(emptyTyped)
+  const [filters, setFilters] = useState(emptyFilters)
+  const [page, setPage] = useState(1)
+  const [result, setResult] = useState({ items: [], total: 0 })
+  const [status, setStatus] = useState({ state: 'loading', message: '' })
+  const [selectedId, setSelectedId] = useState(null)
+  const [exporting, setExporting] = useState(false)
+
+  const { data: services } = useSwr(`services:${lang}`, (signal) => getServices({ lang, signal }))
+  const serviceTitle = (slug) => services?.find((svc) => serviceSlug(svc) === slug)?.title || slug
+  const dateFormat = new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short' })
+  const formatDate = (iso) => (iso ? dateFormat.format(new Date(iso)) : '—')
+  const estimateText = (estimate) => {
+    const { budget, timeline } = formatEstimate(estimate, i18n)
+    return `${budget} · ${timeline}`
+  }
+
+  // An expired or revoked token sends the admin back to the login screen. A 403 only means that
+  // when the lead list itself is refused; on a single save or export it is reported in place.
+  const handleAuthError = (err, { listing = false } = {}) => {
+    if (err.status !== 401 && !(listing && err.status === 403)) return false
+    clearAdminToken()
+    navigate('/admin/login', { replace: true, state: { from: location } })
+    return true
+  }
+
+  const logout = () => {
+    clearAdminToken()
+    navigate('/admin/login', { replace: true })
+  }
+
+  useEffect(() => {
+    const controller = new AbortController()
+    setStatus({ state: 'loading', message: '' })
+    listLeads({ ...filters, page, page_size: PAGE_SIZE }, { token: getAdminToken(), signal: controller.signal })
+      .then((data) => {
+        setResult(data)
+        setStatus({ state: 'idle', message: '' })
+      })
+      .catch((err) => {
+        if (err.kind === 'aborted' || handleAuthError(err, { listing: true })) return
+        setStatus({ state: 'error', message: t('admin.loadError') })
+      })
+    return () => controller.abort()
+  }, [filters, page])
+
+  const setFilter = (field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value }))
+    setPage(1)
+  }
+
+  // Debounce typing in the search and country boxes
+  useEffect(() => {
+    if (typed.q === filters.q && typed.country === filters.country) return
+    const id = setTimeout(() => {
+      setFilters((prev) => ({ ...prev, ...typed }))
+      setPage(1)
+    }, 300)
+    return () => clearTimeout(id)
+  }, [typed])
+
+  const setTypedFilter = (field, value) => setTyped((prev) => ({ ...prev, [field]: value }))
+
+  const resetFilters = () => {
+    setTyped(emptyTyped)
+    setFilters(emptyFilters)
+    setPage(1)
+  }
+
+  const replaceLead = (updated) => {
+    setResult((prev) => ({ ...prev, items: prev.items.map((l) => (l.id === updated.id ? { ...l, ...updated } : l)) }))
+  }
+
+  const changeStatus = async (lead, next) => {
+    try {
+      replaceLead(await updateLead(lead.id, { status: next }, { token: getAdminToken() }))
+    } catch (err) {
+      if (!handleAuthError(err)) setStatus({ state: 'error', message: t('admin.saveError') })
+    }
+  }
+
+  const addNote = async (lead, body) => {
+    try {
+      const note = await addLeadNote(lead.id, body, { token: getAdminToken() })
+      replaceLead({ id: lead.id, notes: [...(lead.notes || []), note] })
+      return true
+    } catch (err) {
+      if (!handleAuthError(err)) setStatus({ state: 'error', message: t('admin.saveError') })
+      return false
+    }
+  }
+
+  // Export every lead matching the current filters, not just the visible page
+  const exportCsv = async () => {
+    setExporting(true)
+    try {
+      const rows = []
+      for (let p = 1; p <= EXPORT_MAX_PAGES; p++) {
+        const { items, total } = await listLeads({ ...filters, page: p, page_size: EXPORT_PAGE_SIZE }, { token: getAdminToken() })
+        rows.push(...items)
+        if (items.length < EXPORT_PAGE_SIZE || rows.length >= total) break
+      }
+      const columns = ['id', 'received', 'name', 'email', 'company', 'country', 'services', 'budget', 'timeline', 'estimate', 'status', 'message']
+        .map((key) => ({ key, label: t(`admin.columns.${key}`) }))
+      const csv = toCsv(rows.map((lead) => ({
+        ...lead,
+        received: lead.created_at,
+        services: (lead.services || []).map(serviceTitle),
+        budget: lead.budget ? t(`wizard.budgets.${lead.budget}`) : '',
+        timeline: lead.timeline ? t(`wizard.timelines.${lead.timeline}`) : '',
+        estimate: lead.estimate ? estimateText(lead.estimate) : '',
+        status: t(`admin.statuses.${lead.status || 'new'}`),
+      })), columns)
+      downloadFile(`leads-${new Date().toISOString().slice(0, 10)}.csv`, csv, 'text/csv;charset=utf-8')
+    } catch (err) {
+      if (!handleAuthError(err)) setStatus({ state: 'error', message: t('admin.exportError') })
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const totalPages = Math.max(1, Math.ceil(result.total / PAGE_SIZE))
+  const selected = result.items.find((l) => l.id === selectedId)
+
+  return (
+    <div className="min-h-screen bg-canvas text-ink">
+      <header className="bg-surface border-b border-line">
+        <div className="max-w-7xl mx-auto px-6 py-4 flex items-center justify-between gap-4">
+          <div className="flex items-center gap-3">
+            <div className="h-8 w-8 rounded-lg bg-gradient-to-tr from-primary to-accent" />
+            <h1 className="font-extrabold text-lg">{t('admin.title')}</h1>
+          </div>
+          <div className="flex items-center gap-3">
+            <LanguageSwitcher />
+            <button onClick={logout} className="text-sm font-semibold text-muted hover:text-ink-strong">{t('admin.logout')}</button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-6 py-8">
+        <div className="flex flex-wrap items-end gap-3">
+          <div className="flex-1 min-w-[14rem]">
+            <label htmlFor="leads-search" className="block text-xs font-medium text-muted">{t('admin.search')}</label>
+            <input id="leads-search" type="search" value={typed.q} onChange={(e) => setTypedFilter('q', e.target.value)} placeholder={t('admin.searchPlaceholder')} className={`mt-1 w-full ${inputClass}`} />
+          </div>
+          <div>
+            <label htmlFor="leads-country" className="block text-xs font-medium text-muted">{t('admin.columns.country')}</label>
+            <input id="leads-country" list="leads-countries" value={typed.country} onChange={(e) => setTypedFilter('country', e.target.value)} placeholder={t('admin.any')} className={`mt-1 ${inputClass}`} />
+            <datalist id="leads-countries">
+              {GCC_COUNTRIES.map((c) => <option key={c} value={c} />)}
+            </datalist>
+          </div>
+          <div>
+            <label htmlFor="leads-status" className="block text-xs font-medium text-muted">{t('admin.columns.status')}</label>
+            <select id="leads-status" value={filters.status} onChange={(e) => setFilter('status', e.target.value)} className={`mt-1 ${inputClass}`}>
+              <option value="">{t('admin.any')}</option>
+              {LEAD_STATUSES.map((s) => <option key={s} value={s}>{t(`admin.statuses.${s}`)}</option>)}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="leads-from" className="block text-xs font-medium text-muted">{t('admin.from')}</label>
+            <input id="leads-from" type="date" value={filters.from} max={filters.to || undefined} onChange={(e) => setFilter('from', e.target.value)} className={`mt-1 ${inputClass}`} />
+          </div>
+          <div>
+            <label htmlFor="leads-to" className="block text-xs font-medium text-muted">{t('admin.to')}</label>
+            <input id="leads-to" type="date" value={filters.to} min={filters.from || undefined} onChange={(e) => setFilter('to', e.target.value)} className={`mt-1 ${inputClass}`} />
+          </div>
+          <button onClick={resetFilters} className="px-3 py-2 text-sm font-semibold text-muted hover:text-ink-strong">{t('admin.reset')}</button>
+          <button onClick={exportCsv} disabled={exporting || result.total === 0} className="bg-ink-strong hover:bg-ink disabled:opacity-60 text-canvas text-sm font-semibold px-4 py-2 rounded-md">
+            {exporting ? t('admin.exporting') : t('admin.exportCsv')}
+          </button>
+        </div>
+
+        {status.state === 'error' && <p role="alert" className="mt-4 text-sm text-red-600 dark:text-red-400">{status.message}</p>}
+
+        <div className={`mt-6 grid gap-6 ${selected ? 'lg:grid-cols-[1fr_24rem]' : ''}`}>
+          <div className="bg-surface border border-line rounded-xl shadow-sm overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-surface-muted text-muted text-start">
+                <tr>
+                  {['received', 'name', 'company', 'country', 'services', 'budget', 'status'].map((key) => (
+                    <th key={key} scope="col" className="px-4 py-3 font-medium text-start whitespace-nowrap">{t(`admin.columns.${key}`)}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-line">
+                {status.state !== 'loading' && result.items.length === 0 && (
+                  <tr><td colSpan={7} className="px-4 py-10 text-center text-muted">{t('admin.empty')}</td></tr>
+                )}
+                {result.items.map((lead) => (
+                  <tr
+                    key={lead.id}
+                    onClick={() => setSelectedId(lead.id)}
+                    className={`cursor-pointer hover:bg-surface-muted ${lead.id === selectedId ? 'bg-primary-soft/60' : ''}`}
+                  >
+                    <td className="px-4 py-3 whitespace-nowrap text-muted">{formatDate(lead.created_at)}</td>
+                    <td className="px-4 py-3">
+                      <button type="button" className="font-semibold text-start hover:text-primary-strong" onClick={() => setSelectedId(lead.id)}>{lead.name}</button>
+                      <div dir="ltr" className="text-xs text-muted text-start">{lead.email}</div>
+                    </td>
+                    <td className="px-4 py-3">{lead.company || '—'}</td>
+                    <td className="px-4 py-3">{lead.country || '—'}</td>
+                    <td className="px-4 py-3">{(lead.services || []).map(serviceTitle).join(', ') || '—'}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">{lead.budget ? t(`wizard.budgets.${lead.budget}`) : '—'}</td>
+                    <td className="px-4 py-3"><StatusPill status={lead.status} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="flex items-center justify-between gap-4 px-4 py-3 border-t border-line text-sm">
+              <span className="text-muted">
+                {status.state === 'loading' ? t('admin.loading') : t('admin.total', { total: formatNumber(result.total) })}
+              </span>
+              <div className="flex items-center gap-3">
+                <button onClick={() => setPage((p) => p - 1)} disabled={page <= 1} className="px-3 py-1.5 rounded-md border border-line-strong disabled:opacity-50">{t('admin.prev')}</button>
+                <span>{t('admin.pageOf', { page: formatNumber(page), pages: formatNumber(totalPages) })}</span>
+                <button onClick={() => setPage((p) => p + 1)} disabled={page >= totalPages} className="px-3 py-1.5 rounded-md border border-line-strong disabled:opacity-50">{t('admin.next')}</button>
+              </div>
+            </div>
+          </div>
+
+          {selected && (
+            <LeadPanel
+              key={selected.id}
+              lead={selected}
+              serviceTitle={serviceTitle}
+              formatDate={formatDate}
+              estimateText={estimateText}
+              onStatusChange={changeStatus}
+              onAddNote={addNote}
+              onClose={() => setSelectedId(null)}
+            />
+          )}
+        </div>
+      </main>
+    </div>
+  )
+}
+
+export default AdminLeads
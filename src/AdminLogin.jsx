@@ -0,0 +1,77 @@
+import { useState } from 'react'
+import { Navigate, useLocation, useNavigate } from 'react-router-dom'
+import { useI18n } from './lib/i18n'
+import { adminLogin } from './lib/api'
+import { getAdminToken, setAdminToken } from './lib/adminAuth'
+import LanguageSwitcher from './components/LanguageSwitcher'
+
+function AdminLogin() {
+  const { t } = useI18n()
+  const navigate = useNavigate()
+  const location = useLocation()
+  const [credentials, setCredentials] = useState({ email: '', password: '' })
+  const [status, setStatus] = useState({ state: 'idle', message: '' })
+
+  const redirectTo = location.state?.from?.pathname || '/admin/leads'
+  if (getAdminToken()) return <Navigate to={redirectTo} replace />
+
+  const submit = async (e) => {
+    e.preventDefault()
+    setStatus({ state: 'submitting', message: '' })
+    try {
+      const { token } = await adminLogin(credentials)
+      setAdminToken(token)
+      navigate(redirectTo, { replace: true })
+    } catch (err) {
+      const invalid = err.status === 401 || err.status === 403
+      setStatus({ state: 'error', message: t(invalid ? 'admin.login.invalid' : 'admin.login.error') })
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-canvas text-ink flex items-center justify-center p-6">
+      <form onSubmit={submit} className="bg-surface border border-line rounded-2xl p-8 shadow w-full max-w-sm">
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex items-center gap-3">
+            <div className="h-8 w-8 rounded-lg bg-gradient-to-tr from-primary to-accent" />
+            <h1 className="font-extrabold text-lg">{t('admin.login.title')}</h1>
+          </div>
+          <LanguageSwitcher />
+        </div>
+        <label htmlFor="admin-email" className="block text-sm font-medium">{t('admin.login.email')}</label>
+        <input
+          id="admin-email"
+          type="email"
+          dir="ltr"
+          required
+          autoComplete="username"
+          value={credentials.email}
+          onChange={(e) => setCredentials({ ...credentials, email: e.target.value })}
+          className="mt-1 w-full rounded-md border border-line-strong px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary bg-surface"
+        />
+        <label htmlFor="admin-password" className="mt-4 block text-sm font-medium">{t('admin.login.password')}</label>
+        <input
+          id="admin-password"
+          type="password"
+          required
+          autoComplete="current-password"
+          value={credentials.password}
+          onChange={(e) => setCredentials({ ...credentials, password: e.target.value })}
+          className="mt-1 w-full rounded-md border border-line-strong px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary bg-surface"
+        />
+        <button
+          type="submit"
+          disabled={status.state === 'submitting'}
+          className="mt-6 w-full bg-primary hover:bg-primary/90 disabled:opacity-60 text-white font-semibold py-3 rounded-md"
+        >
+          {status.state === 'submitting' ? t('admin.login.submitting') : t('admin.login.submit')}
+        </button>
+        {status.state === 'error' && (
+          <p role="alert" className="mt-3 text-red-600 dark:text-red-400 text-sm">{status.message}</p>
+        )}
+      </form>
+    </div>
+  )
+}
+
+export default AdminLogin
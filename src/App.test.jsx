@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest'
+import { act, screen } from '@testing-library/react'
+import { renderRoute } from './test/render'
+import { applyScenario, responded } from './mocks/node'
+import { caseStudiesFixture, companyFixture, servicesFixture } from './mocks/fixtures'
+
+describe('home page', () => {
+  it('renders the company, services and case studies the backend serves', async () => {
+    renderRoute('/')
+    expect(await screen.findByRole('heading', { level: 1, name: companyFixture('en').headline })).toBeTruthy()
+    for (const service of servicesFixture('en')) {
+      expect(await screen.findByRole('heading', { name: service.title })).toBeTruthy()
+    }
+    expect(await screen.findByText(caseStudiesFixture('en')[0].title)).toBeTruthy()
+  })
+
+  it('shows no service cards when the backend has none', async () => {
+    applyScenario('empty-services')
+    const served = responded('/api/services')
+    renderRoute('/')
+    await act(() => served)
+    expect(screen.queryByRole('heading', { name: servicesFixture('en')[0].title })).toBeNull()
+  })
+
+  it('falls back to the offline copy when the backend fails', async () => {
+    applyScenario('server-error')
+    renderRoute('/')
+    // Reads retry before giving up, so the fallback takes a moment
+    expect(await screen.findByRole('heading', { name: servicesFixture('en')[0].title }, { timeout: 4000 })).toBeTruthy()
+  })
+})
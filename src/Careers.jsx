@@ -0,0 +1,130 @@
+import { useMemo } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { useI18n } from './lib/i18n'
+import { getJobs } from './lib/api'
+import { useSwr } from './lib/useSwr'
+import { AnimatedBackground, Reveal, ScrollProgressBar } from './components/motion'
+import JobTags, { useJobLabels } from './components/JobTags'
+import SiteHeader from './components/SiteHeader'
+import SiteFooter from './components/SiteFooter'
+
+// Offices are fixed; disciplines follow whatever roles are open
+const LOCATIONS = ['riyadh', 'dubai', 'remote']
+const FILTERS = ['location', 'discipline']
+
+function Careers() {
+  const { lang, locale, t, formatNumber } = useI18n()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const labels = useJobLabels()
+  // No offline copy on purpose: listing stale openings would invite applications we cannot take
+  const { data, error } = useSwr(`jobs:${lang}`, (signal) => getJobs({ lang, signal }))
+  const jobs = data ?? []
+  const loading = data === undefined && !error
+
+  const active = Object.fromEntries(FILTERS.map((f) => [f, searchParams.get(f) || '']))
+
+  const options = useMemo(() => ({
+    location: LOCATIONS.map((value) => ({ value, label: labels.location(value) })),
+    discipline: [...new Set(jobs.map((job) => job.discipline))]
+      .map((value) => ({ value, label: labels.discipline(value) }))
+      .sort((a, b) => a.label.localeCompare(b.label, locale)),
+  }), [jobs, labels, locale])
+
+  const visible = jobs.filter((job) =>
+    (!active.location || job.location === active.location) &&
+    (!active.discipline || job.discipline === active.discipline)
+  )
+
+  const setFilter = (filter, value) => {
+    const next = new URLSearchParams(searchParams)
+    if (value) next.set(filter, value)
+    else next.delete(filter)
+    setSearchParams(next, { replace: true })
+  }
+
+  const clearFilters = () => {
+    const next = new URLSearchParams(searchParams)
+    FILTERS.forEach((f) => next.delete(f))
+    setSearchParams(next, { replace: true })
+  }
+
+  return (
+    <div className="min-h-screen text-ink">
+      <AnimatedBackground />
+      <ScrollProgressBar />
+
+      <SiteHeader />
+
+      <main className="max-w-6xl mx-auto px-6 py-16 md:py-24">
+        <Reveal section="careers">
+          <h1 className="text-4xl md:text-5xl font-extrabold leading-tight">{t('careers.title')}</h1>
+          <p className="mt-3 text-lg text-muted max-w-3xl">{t('careers.intro')}</p>
+        </Reveal>
+
+        <div className="mt-10 grid sm:grid-cols-3 gap-4 items-end">
+          {FILTERS.map((filter) => (
+            <div key={filter}>
+              <label htmlFor={`careers-filter-${filter}`} className="block text-xs font-semibold uppercase tracking-wide text-subtle">{t(`careers.filters.${filter}`)}</label>
+              <select
+                id={`careers-filter-${filter}`}
+                value={active[filter]}
+                onChange={(e) => setFilter(filter, e.target.value)}
+                className="mt-1 w-full rounded-md border border-line-strong px-3 py-2 bg-surface focus:outline-none focus:ring-2 focus:ring-primary"
+              >
+                <option value="">{t('careers.filters.all')}</option>
+                {options[filter].map((opt) => (
+                  <option key={opt.value} value={opt.value}>{opt.label}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+
+        {loading ? (
+          <p className="mt-10 text-subtle">{t('careers.loading')}</p>
+        ) : error && !data ? (
+          <p className="mt-10 text-muted">{t('careers.error')}</p>
+        ) : (
+          <>
+            <div className="mt-3 flex items-center gap-4 text-sm text-subtle">
+              <span aria-live="polite">{t('careers.count', { count: formatNumber(visible.length) })}</span>
+              {FILTERS.some((f) => active[f]) && (
+                <button type="button" onClick={clearFilters} className="font-semibold text-primary-strong hover:text-primary">{t('careers.filters.clear')}</button>
+              )}
+            </div>
+
+            {visible.length === 0 ? (
+              <p className="mt-10 text-muted">{t('careers.empty')}</p>
+            ) : (
+              <ul className="mt-8 space-y-4">
+                {visible.map((job, i) => (
+                  <li key={job.id}>
+                    <Reveal delay={Math.min(i, 5) * 0.05}>
+                      <Link to={`/careers/${encodeURIComponent(job.id)}`} className="block rounded-xl focus:outline-none focus-visible:ring-2 focus-visible:ring-primary">
+                        <motion.article whileHover={{ y: -4 }} className="group bg-surface/80 backdrop-blur rounded-xl p-6 shadow-sm hover:shadow-xl transition-shadow border border-line md:flex md:items-center md:justify-between md:gap-6">
+                          <div>
+                            <JobTags job={job} />
+                            <h2 className="mt-3 font-bold text-lg">{job.title}</h2>
+                            <p className="mt-1 text-sm text-muted max-w-3xl">{job.summary}</p>
+                          </div>
+                          <span className="mt-4 md:mt-0 inline-block shrink-0 text-sm font-semibold text-primary-strong group-hover:text-primary">
+                            {t('careers.view')} <span aria-hidden className="inline-block rtl:rotate-180">→</span>
+                          </span>
+                        </motion.article>
+                      </Link>
+                    </Reveal>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+      </main>
+
+      <SiteFooter />
+    </div>
+  )
+}
+
+export default Careers
@@ -0,0 +1,140 @@
+import { Link, useParams } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { useI18n } from './lib/i18n'
+import { getFallbackCaseStudy, getFallbackContent } from './lib/fallbackContent'
+import { serviceSlug } from './lib/slug'
+import { getCaseStudy, getServices } from './lib/api'
+import { useSwr } from './lib/useSwr'
+import { track } from './lib/analytics'
+import { AnimatedBackground, Reveal, ScrollProgressBar } from './components/motion'
+import { useCaseStudyLabels } from './components/CaseStudies'
+import SiteHeader from './components/SiteHeader'
+import SiteFooter from './components/SiteFooter'
+
+function CaseStudy() {
+  const { slug } = useParams()
+  const { lang, t } = useI18n()
+  const labels = useCaseStudyLabels()
+  const { data, error } = useSwr(`case-study:${slug}:${lang}`, (signal) => getCaseStudy(slug, { lang, signal }))
+  const servicesRes = useSwr(`services:${lang}`, (signal) => getServices({ lang, signal }))
+  const caseStudy = data ?? (error ? getFallbackCaseStudy(lang, slug) : null)
+  const services = servicesRes.data ?? (servicesRes.error ? getFallbackContent(lang).services : [])
+  const loading = data === undefined && !error
+
+  const relatedServices = services.filter((svc) => caseStudy?.services?.includes(serviceSlug(svc)))
+  const contactSearch = caseStudy?.services?.[0] ? `?service=${encodeURIComponent(caseStudy.services[0])}` : ''
+
+  return (
+    <div className="min-h-screen text-ink">
+      <AnimatedBackground />
+      <ScrollProgressBar />
+
+      <SiteHeader />
+
+      <main className="max-w-6xl mx-auto px-6 py-16 md:py-24">
+        <Link to="/#work" className="text-sm font-semibold text-primary-strong hover:text-primary">
+          <span aria-hidden className="inline-block rtl:rotate-180">←</span> {t('work.back')}
+        </Link>
+
+        {loading ? (
+          <p className="mt-10 text-subtle">{t('work.loading')}</p>
+        ) : !caseStudy ? (
+          <p className="mt-10 text-muted">{t('work.notFound')}</p>
+        ) : (
+          <>
+            <Reveal>
+              <div className="mt-8 flex flex-wrap gap-2 text-xs font-semibold">
+                <span className="px-2 py-0.5 rounded bg-primary-soft text-primary-strong">{labels.industry(caseStudy.industry)}</span>
+                <span className="px-2 py-0.5 rounded bg-surface-muted text-muted">{labels.country(caseStudy.country)}</span>
+              </div>
+              <h1 className="mt-4 text-4xl md:text-5xl font-extrabold leading-tight max-w-4xl">{caseStudy.title}</h1>
+              <p className="mt-3 text-lg text-muted max-w-3xl">{caseStudy.summary}</p>
+              {caseStudy.client && (
+                <p className="mt-4 text-sm text-subtle">
+                  <span className="font-semibold">{t('work.client')}:</span> {caseStudy.client}
+                </p>
+              )}
+              {relatedServices.length > 0 && (
+                <ul className="mt-4 flex flex-wrap gap-3">
+                  {relatedServices.map((svc) => (
+                    <li key={serviceSlug(svc)}>
+                      <Link to={`/services/${serviceSlug(svc)}`} className="text-sm font-semibold text-primary-strong hover:text-primary">{svc.title}</Link>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </Reveal>
+
+            {caseStudy.results?.length > 0 && (
+              <section className="mt-12">
+                <Reveal>
+                  <h2 className="sr-only">{t('work.results')}</h2>
+                  <dl className="grid sm:grid-cols-3 gap-6">
+                    {caseStudy.results.map((r, i) => (
+                      <div key={i} className="flex flex-col-reverse gap-1 bg-surface/80 backdrop-blur rounded-xl p-6 shadow-sm border border-line">
+                        <dt className="text-sm text-muted">{r.label}</dt>
+                        <dd className="text-3xl font-extrabold text-primary-strong">{r.value}</dd>
+                      </div>
+                    ))}
+                  </dl>
+                </Reveal>
+              </section>
+            )}
+
+            <div className="mt-16 grid md:grid-cols-2 gap-10">
+              {caseStudy.challenge && (
+                <Reveal>
+                  <section>
+                    <h2 className="text-2xl md:text-3xl font-extrabold">{t('work.challenge')}</h2>
+                    <p className="mt-4 text-ink leading-relaxed">{caseStudy.challenge}</p>
+                  </section>
+                </Reveal>
+              )}
+              {caseStudy.solution && (
+                <Reveal delay={0.05}>
+                  <section>
+                    <h2 className="text-2xl md:text-3xl font-extrabold">{t('work.solution')}</h2>
+                    <p className="mt-4 text-ink leading-relaxed">{caseStudy.solution}</p>
+                  </section>
+                </Reveal>
+              )}
+            </div>
+
+            {caseStudy.techStack?.length > 0 && (
+              <section className="mt-16">
+                <Reveal>
+                  <h2 className="text-2xl md:text-3xl font-extrabold">{t('work.techStack')}</h2>
+                  <ul className="mt-6 flex flex-wrap gap-3">
+                    {caseStudy.techStack.map((tech) => (
+                      <li key={tech} dir="ltr" className="px-3 py-1.5 rounded-full text-sm font-medium bg-surface/80 border border-line shadow-sm">{tech}</li>
+                    ))}
+                  </ul>
+                </Reveal>
+              </section>
+            )}
+
+            <Reveal>
+              <section className="mt-16 rounded-2xl bg-gradient-to-br from-accent-strong to-primary text-white p-8 md:p-10 shadow-2xl">
+                <h2 className="text-2xl md:text-3xl font-extrabold">{t('work.ctaTitle')}</h2>
+                <p className="mt-3 text-white/90 max-w-2xl">{t('work.ctaBody')}</p>
+                <motion.div whileHover={{ y: -2 }} whileTap={{ y: 0 }} className="mt-6 inline-block">
+                  <Link
+                    to={{ pathname: '/', search: contactSearch, hash: '#contact' }}
+                    onClick={() => track('cta_click', { cta: 'start_conversation', location: 'case_study', caseStudy: slug })}
+                    className="inline-flex bg-surface text-primary-strong hover:bg-primary-soft px-5 py-3 rounded-md font-semibold shadow"
+                  >
+                    {t('work.cta')}
+                  </Link>
+                </motion.div>
+              </section>
+            </Reveal>
+          </>
+        )}
+      </main>
+
+      <SiteFooter />
+    </div>
+  )
+}
+
+export default CaseStudy
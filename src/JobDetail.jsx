@@ -0,0 +1,77 @@
+import { Link, useParams } from 'react-router-dom'
+import { useI18n } from './lib/i18n'
+import { getJob } from './lib/api'
+import { useSwr } from './lib/useSwr'
+import { AnimatedBackground, Reveal, ScrollProgressBar } from './components/motion'
+import JobTags from './components/JobTags'
+import ApplicationForm from './components/ApplicationForm'
+import SiteHeader from './components/SiteHeader'
+import SiteFooter from './components/SiteFooter'
+
+function JobDetail() {
+  const { id } = useParams()
+  const { lang, t } = useI18n()
+  const { data: job, error } = useSwr(`job:${id}:${lang}`, (signal) => getJob(id, { lang, signal }))
+  const loading = job === undefined && !error
+
+  return (
+    <div className="min-h-screen text-ink">
+      <AnimatedBackground />
+      <ScrollProgressBar />
+
+      <SiteHeader />
+
+      <main className="max-w-6xl mx-auto px-6 py-16 md:py-24">
+        <Link to="/careers" className="text-sm font-semibold text-primary-strong hover:text-primary">
+          <span aria-hidden className="inline-block rtl:rotate-180">←</span> {t('careers.back')}
+        </Link>
+
+        {loading ? (
+          <p className="mt-10 text-subtle">{t('careers.loadingRole')}</p>
+        ) : !job ? (
+          <p className="mt-10 text-muted">{error?.status === 404 ? t('careers.notFound') : t('careers.error')}</p>
+        ) : (
+          <div className="mt-8 grid lg:grid-cols-5 gap-12">
+            <div className="lg:col-span-3">
+              <Reveal>
+                <JobTags job={job} />
+                <h1 className="mt-4 text-4xl md:text-5xl font-extrabold leading-tight">{job.title}</h1>
+                <p className="mt-3 text-lg text-muted">{job.summary}</p>
+                <a href="#apply" className="mt-6 inline-flex lg:hidden bg-primary hover:bg-primary/90 text-white px-5 py-3 rounded-md font-semibold shadow">{t('careers.apply')}</a>
+              </Reveal>
+
+              {job.description && (
+                <Reveal>
+                  <p className="mt-10 text-ink leading-relaxed whitespace-pre-line">{job.description}</p>
+                </Reveal>
+              )}
+
+              {[['responsibilities', job.responsibilities], ['requirements', job.requirements]].map(([section, items]) => items?.length > 0 && (
+                <Reveal key={section}>
+                  <section className="mt-10">
+                    <h2 className="text-2xl font-extrabold">{t(`careers.${section}`)}</h2>
+                    <ul className="mt-4 space-y-2 list-disc ps-5 text-ink">
+                      {items.map((item, i) => (
+                        <li key={i}>{item}</li>
+                      ))}
+                    </ul>
+                  </section>
+                </Reveal>
+              ))}
+            </div>
+
+            <section id="apply" aria-labelledby="apply-title" className="lg:col-span-2 scroll-mt-24">
+              <h2 id="apply-title" className="text-2xl font-extrabold">{t('application.title')}</h2>
+              <p className="mt-2 mb-6 text-sm text-muted">{t('application.intro')}</p>
+              <ApplicationForm job={job} />
+            </section>
+          </div>
+        )}
+      </main>
+
+      <SiteFooter />
+    </div>
+  )
+}
+
+export default JobDetail
@@ -0,0 +1,63 @@
+import { useEffect } from 'react'
+import { Link, useLocation } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { useI18n } from './lib/i18n'
+import { track } from './lib/analytics'
+import { AnimatedBackground, Reveal } from './components/motion'
+import SiteHeader from './components/SiteHeader'
+import SiteFooter from './components/SiteFooter'
+
+const DESTINATIONS = [
+  { key: 'services', to: '/#services' },
+  { key: 'work', to: '/#work' },
+  { key: 'careers', to: '/careers' },
+  { key: 'contact', to: '/#contact' },
+]
+
+function NotFound() {
+  const { t } = useI18n()
+  const { pathname } = useLocation()
+
+  // Broken inbound links show up in analytics instead of silently losing visitors
+  useEffect(() => {
+    track('page_not_found', { path: pathname })
+  }, [pathname])
+
+  return (
+    <div className="min-h-screen flex flex-col text-ink">
+      <AnimatedBackground />
+
+      <SiteHeader />
+
+      <main className="flex-1 max-w-3xl mx-auto px-6 py-20 md:py-28 text-center">
+        <Reveal section="not_found">
+          <p className="text-7xl md:text-8xl font-extrabold bg-gradient-to-tr from-primary to-accent bg-clip-text text-transparent">404</p>
+          <h1 className="mt-4 text-3xl md:text-5xl font-extrabold leading-tight">{t('notFound.title')}</h1>
+          <p className="mt-4 text-lg text-muted">{t('notFound.body')}</p>
+          <motion.div whileHover={{ y: -2 }} whileTap={{ y: 0 }} className="mt-8 inline-block">
+            <Link to="/" className="inline-block bg-primary hover:bg-primary/90 text-white px-5 py-3 rounded-md font-semibold shadow">{t('notFound.home')}</Link>
+          </motion.div>
+        </Reveal>
+
+        <Reveal delay={0.1}>
+          <nav aria-labelledby="not-found-links" className="mt-12">
+            <h2 id="not-found-links" className="text-sm font-semibold uppercase tracking-wide text-subtle">{t('notFound.elsewhere')}</h2>
+            <ul className="mt-4 grid grid-cols-2 sm:grid-cols-4 gap-3">
+              {DESTINATIONS.map(({ key, to }) => (
+                <li key={key}>
+                  <Link to={to} className="block rounded-xl border border-line bg-surface/80 backdrop-blur px-4 py-3 font-semibold hover:border-primary hover:text-primary-strong transition-colors">
+                    {t(`nav.${key}`)}
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </nav>
+        </Reveal>
+      </main>
+
+      <SiteFooter />
+    </div>
+  )
+}
+
+export default NotFound
@@ -0,0 +1,129 @@
+import { Link, useParams } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { useI18n } from './lib/i18n'
+import { getFallbackService } from './lib/fallbackContent'
+import { getService } from './lib/api'
+import { useSwr } from './lib/useSwr'
+import { track } from './lib/analytics'
+import { AnimatedBackground, Reveal, ScrollProgressBar, TiltCard } from './components/motion'
+import SiteHeader from './components/SiteHeader'
+import SiteFooter from './components/SiteFooter'
+
+function ServiceDetail() {
+  const { slug } = useParams()
+  const { lang, t } = useI18n()
+  const { data, error } = useSwr(`service:${slug}:${lang}`, (signal) => getService(slug, { lang, signal }))
+  const service = data ?? (error ? getFallbackService(lang, slug) : null)
+  const loading = data === undefined && !error
+
+  return (
+    <div className="min-h-screen text-ink">
+      <AnimatedBackground />
+      <ScrollProgressBar />
+
+      <SiteHeader />
+
+      <main className="max-w-6xl mx-auto px-6 py-16 md:py-24">
+        <Link to="/#services" className="text-sm font-semibold text-primary-strong hover:text-primary">
+          <span aria-hidden className="inline-block rtl:rotate-180">←</span> {t('serviceDetail.back')}
+        </Link>
+
+        {loading ? (
+          <p className="mt-10 text-subtle">{t('serviceDetail.loading')}</p>
+        ) : !service ? (
+          <p className="mt-10 text-muted">{t('serviceDetail.notFound')}</p>
+        ) : (
+          <>
+            <Reveal>
+              <div className="mt-8 flex items-start gap-5">
+                <div className="h-14 w-14 shrink-0 rounded-xl bg-gradient-to-tr from-primary to-accent shadow-md" />
+                <div>
+                  <h1 className="text-4xl md:text-5xl font-extrabold leading-tight">{service.title}</h1>
+                  <p className="mt-3 text-lg text-muted max-w-3xl">{service.desc}</p>
+                </div>
+              </div>
+              {service.longDesc && <p className="mt-8 text-ink leading-relaxed max-w-3xl">{service.longDesc}</p>}
+            </Reveal>
+
+            {service.capabilities?.length > 0 && (
+              <section className="mt-16">
+                <Reveal>
+                  <h2 className="text-2xl md:text-3xl font-extrabold">{t('serviceDetail.capabilities')}</h2>
+                </Reveal>
+                <div className="mt-6 grid md:grid-cols-2 gap-6">
+                  {service.capabilities.map((cap, i) => (
+                    <Reveal key={i} delay={i * 0.05}>
+                      <TiltCard>
+                        <div className="bg-surface/80 backdrop-blur rounded-xl p-6 shadow-sm border border-line">
+                          <h3 className="font-bold text-lg">{cap.title}</h3>
+                          {cap.desc && <p className="mt-2 text-sm text-muted">{cap.desc}</p>}
+                        </div>
+                      </TiltCard>
+                    </Reveal>
+                  ))}
+                </div>
+              </section>
+            )}
+
+            {service.techStack?.length > 0 && (
+              <section className="mt-16">
+                <Reveal>
+                  <h2 className="text-2xl md:text-3xl font-extrabold">{t('serviceDetail.techStack')}</h2>
+                  <ul className="mt-6 flex flex-wrap gap-3">
+                    {service.techStack.map((tech) => (
+                      <li key={tech} dir="ltr" className="px-3 py-1.5 rounded-full text-sm font-medium bg-surface/80 border border-line shadow-sm">{tech}</li>
+                    ))}
+                  </ul>
+                </Reveal>
+              </section>
+            )}
+
+            {service.caseStudies?.length > 0 && (
+              <section className="mt-16">
+                <Reveal>
+                  <h2 className="text-2xl md:text-3xl font-extrabold">{t('serviceDetail.caseStudies')}</h2>
+                </Reveal>
+                <div className="mt-6 grid md:grid-cols-2 gap-6">
+                  {service.caseStudies.map((cs, i) => (
+                    <Reveal key={i} delay={i * 0.05}>
+                      <div className="h-full bg-surface/80 backdrop-blur rounded-xl p-6 shadow-sm border border-line">
+                        <h3 className="font-bold text-lg">{cs.title}</h3>
+                        <p className="mt-2 text-sm text-muted">{cs.summary}</p>
+                        {cs.result && <p className="mt-4 text-sm font-semibold text-primary-strong">{cs.result}</p>}
+                        {cs.slug && (
+                          <Link to={`/work/${cs.slug}`} className="mt-4 inline-block text-sm font-semibold text-primary-strong hover:text-primary">
+                            {t('work.view')} <span aria-hidden className="inline-block rtl:rotate-180">→</span>
+                          </Link>
+                        )}
+                      </div>
+                    </Reveal>
+                  ))}
+                </div>
+              </section>
+            )}
+
+            <Reveal>
+              <section className="mt-16 rounded-2xl bg-gradient-to-br from-accent-strong to-primary text-white p-8 md:p-10 shadow-2xl">
+                <h2 className="text-2xl md:text-3xl font-extrabold">{t('serviceDetail.ctaTitle', { service: service.title })}</h2>
+                <p className="mt-3 text-white/90 max-w-2xl">{t('serviceDetail.ctaBody')}</p>
+                <motion.div whileHover={{ y: -2 }} whileTap={{ y: 0 }} className="mt-6 inline-block">
+                  <Link
+                    to={{ pathname: '/', search: `?service=${encodeURIComponent(service.slug || slug)}`, hash: '#contact' }}
+                    onClick={() => track('cta_click', { cta: 'discuss_service', location: 'service_detail', service: service.slug || slug })}
+                    className="inline-flex bg-surface text-primary-strong hover:bg-primary-soft px-5 py-3 rounded-md font-semibold shadow"
+                  >
+                    {t('serviceDetail.cta')}
+                  </Link>
+                </motion.div>
+              </section>
+            </Reveal>
+          </>
+        )}
+      </main>
+
+      <SiteFooter />
+    </div>
+  )
+}
+
+export default ServiceDetail
@@ -1,122 +1,243 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
+import { useI18n } from './lib/i18n'
+import { useConsent } from './lib/consent'
+import { API_BASE } from './lib/api'
+import {
+  CHECKS,
+  autoRefreshChecks,
+  clearHistory,
+  dryRunUnsupported,
+  exportReport,
+  loadHistory,
+  loadSelectedChecks,
+  prependHistory,
+  recordDryRunSupport,
+  redactSecrets,
+  runDiagnostics,
+  saveSelectedChecks,
+  saveToHistory,
+} from './lib/diagnostics'
+import LanguageSwitcher from './components/LanguageSwitcher'
+
+const REFRESH_INTERVALS = [0, 30, 60, 300]
+
+function StatusBadge({ result, running }) {
+  const { t } = useI18n()
+  if (running) return <span className="px-2 py-0.5 rounded text-xs font-semibold bg-surface-muted text-muted">{t('test.running')}</span>
+  if (!result) return <span className="px-2 py-0.5 rounded text-xs font-semibold bg-surface-muted text-subtle">{t('test.pending')}</span>
+  if (result.ok) return <span className="px-2 py-0.5 rounded text-xs font-semibold bg-green-100 text-green-700 dark:bg-green-500/15 dark:text-green-400">✅ {t('test.pass')}</span>
+  if (!result.error) return <span className="px-2 py-0.5 rounded text-xs font-semibold bg-amber-100 text-amber-700 dark:bg-amber-500/15 dark:text-amber-400">⚠️ {t('test.schemaMismatch')}</span>
+  return <span className="px-2 py-0.5 rounded text-xs font-semibold bg-red-100 text-red-700 dark:bg-red-500/15 dark:text-red-400">❌ {t('test.fail')}</span>
+}
+
+function DatabaseDetails({ data }) {
+  const { t } = useI18n()
+  if (!data || typeof data !== 'object') return null
+  return (
+    <div className="mt-3 text-sm bg-surface-muted p-3 rounded space-y-2">
+      <p><span className="font-semibold">{t('test.backend')}</span> {data.backend}</p>
+      <p><span className="font-semibold">{t('test.database')}</span> {data.database}</p>
+      <p dir="ltr" className="break-all"><span className="font-semibold">{t('test.databaseUrl')}</span> {data.database_url}</p>
+      <p><span className="font-semibold">{t('test.databaseName')}</span> {data.database_name}</p>
+      <p><span className="font-semibold">{t('test.connection')}</span> {data.connection_status}</p>
+      {data.collections && data.collections.length > 0 && (
+        <p><span className="font-semibold">{t('test.collections')}</span> {data.collections.join(', ')}</p>
+      )}
+    </div>
+  )
+}
 
 function Test() {
-  const [backendStatus, setBackendStatus] = useState('checking...')
-  const [backendUrl, setBackendUrl] = useState('')
-  const [databaseStatus, setDatabaseStatus] = useState(null)
+  const { locale, t, formatNumber } = useI18n()
+  const { allows } = useConsent()
+  const [selected, setSelected] = useState(loadSelectedChecks)
+  const [report, setReport] = useState(null)
+  const [running, setRunning] = useState(false)
+  const [runError, setRunError] = useState(null)
+  const [history, setHistory] = useState(loadHistory)
+  const [refreshSeconds, setRefreshSeconds] = useState(0)
+  const [noDryRun, setNoDryRun] = useState(dryRunUnsupported)
+  const controllerRef = useRef(null)
+  // History and the chosen checks are remembered choices, stored only with preferences consent
+  const remember = allows('preferences')
 
-  useEffect(() => {
-    checkBackendConnection()
-  }, [])
+  const runChecks = async (ids = selected) => {
+    // Cancel a run that is still in flight before starting a new one
+    controllerRef.current?.abort()
+    const controller = new AbortController()
+    controllerRef.current = controller
 
-  const checkBackendConnection = async () => {
+    setRunning(true)
+    setRunError(null)
     try {
-      // Get backend URL from environment variable
-      const baseUrl = import.meta.env.VITE_BACKEND_URL || 'http://localhost:8000'
-      setBackendUrl(baseUrl)
-
-      // Test basic backend connectivity
-      const response = await fetch(`${baseUrl}`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      })
-
-      if (response.ok) {
-        const data = await response.json()
-        setBackendStatus(`✅ Connected - ${data.message || 'OK'}`)
-        
-        // Now test database connectivity
-        await checkDatabaseConnection(baseUrl)
-      } else {
-        setBackendStatus(`❌ Failed - ${response.status} ${response.statusText}`)
-        setDatabaseStatus({ error: 'Backend not accessible' })
+      const next = await runDiagnostics(ids, { signal: controller.signal })
+      setReport(next)
+      setHistory(remember ? saveToHistory(next) : (prev) => prependHistory(prev, next))
+      if (recordDryRunSupport(next, { remember })) {
+        setNoDryRun(true)
+        setSelected((prev) => prev.filter((id) => id !== 'leadsDryRun'))
       }
     } catch (error) {
-      setBackendStatus(`❌ Error - ${error.message}`)
-      setDatabaseStatus({ error: 'Backend not accessible' })
+      if (error.kind !== 'aborted') setRunError(error)
+    } finally {
+      if (controllerRef.current === controller) setRunning(false)
     }
   }
 
-  const checkDatabaseConnection = async (baseUrl) => {
-    try {
-      const response = await fetch(`${baseUrl}/test`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      })
-
-      if (response.ok) {
-        const dbData = await response.json()
-        setDatabaseStatus(dbData)
-      } else {
-        setDatabaseStatus({ error: `Failed to check database - ${response.status}` })
-      }
-    } catch (error) {
-      setDatabaseStatus({ error: `Database check failed - ${error.message}` })
-    }
+  useEffect(() => {
+    runChecks()
+    return () => controllerRef.current?.abort()
+  }, [])
+
+  useEffect(() => {
+    const ids = autoRefreshChecks(selected)
+    if (!refreshSeconds || !ids.length) return
+    const id = setInterval(() => runChecks(ids), refreshSeconds * 1000)
+    return () => clearInterval(id)
+  }, [refreshSeconds, selected, remember])
+
+  const toggleCheck = (id) => {
+    const next = selected.includes(id) ? selected.filter((c) => c !== id) : [...selected, id]
+    setSelected(next)
+    if (remember) saveSelectedChecks(next)
   }
 
+  const resultFor = (id) => report?.results.find((r) => r.id === id)
+  const formatTime = (iso) => new Date(iso).toLocaleString(locale)
+
   return (
-    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 flex items-center justify-center p-8">
-      <div className="bg-white p-8 rounded-lg shadow-lg max-w-md w-full">
-        <h1 className="text-3xl font-bold text-gray-800 mb-6 text-center">
-          Backend & Database Test
-        </h1>
+    <div className="min-h-screen bg-gradient-to-br from-primary-soft to-canvas p-4 sm:p-8">
+      <div className="bg-surface p-6 sm:p-8 rounded-lg shadow-lg max-w-4xl mx-auto">
+        <div className="flex items-center justify-between gap-4 mb-6">
+          <h1 className="text-3xl font-bold text-ink-strong">
+            {t('test.title')}
+          </h1>
+          <LanguageSwitcher />
+        </div>
 
-        <div className="space-y-4">
+        <div className="space-y-6">
           <div>
-            <h3 className="text-lg font-semibold text-gray-700 mb-2">Backend URL:</h3>
-            <p className="text-sm text-gray-600 break-all bg-gray-100 p-2 rounded">
-              {backendUrl || 'Detecting...'}
+            <h3 className="text-lg font-semibold text-ink mb-2">{t('test.backendUrl')}</h3>
+            <p dir="ltr" className="text-sm text-muted break-all bg-surface-muted p-2 rounded">
+              {redactSecrets(API_BASE)}
             </p>
           </div>
 
-          <div>
-            <h3 className="text-lg font-semibold text-gray-700 mb-2">Backend Status:</h3>
-            <p className="text-sm font-mono bg-gray-100 p-2 rounded">
-              {backendStatus}
-            </p>
+          <div className="flex flex-wrap items-center gap-3">
+            <button
+              onClick={() => runChecks()}
+              disabled={running || selected.length === 0}
+              className="bg-primary hover:bg-primary/90 disabled:opacity-60 text-white font-semibold py-2 px-4 rounded transition-colors"
+            >
+              {running ? t('test.running') : t('test.retry')}
+            </button>
+            <label className="flex items-center gap-2 text-sm text-ink">
+              {t('test.autoRefresh')}
+              <select
+                value={refreshSeconds}
+                onChange={(e) => setRefreshSeconds(Number(e.target.value))}
+                className="rounded border border-line-strong px-2 py-1.5 bg-surface"
+              >
+                {REFRESH_INTERVALS.map((s) => (
+                  <option key={s} value={s}>{s ? t('test.everySeconds', { seconds: formatNumber(s) }) : t('test.off')}</option>
+                ))}
+              </select>
+            </label>
+            <button
+              onClick={() => exportReport(report, history)}
+              disabled={!report}
+              className="bg-ink-strong hover:bg-ink disabled:opacity-60 text-canvas font-semibold py-2 px-4 rounded transition-colors"
+            >
+              {t('test.export')}
+            </button>
           </div>
 
-          <div>
-            <h3 className="text-lg font-semibold text-gray-700 mb-2">Database Status:</h3>
-            <div className="text-sm bg-gray-100 p-3 rounded">
-              {databaseStatus ? (
-                databaseStatus.error ? (
-                  <p className="text-red-600 font-mono">{databaseStatus.error}</p>
-                ) : (
-                  <div className="space-y-2">
-                    <p><span className="font-semibold">Backend:</span> {databaseStatus.backend}</p>
-                    <p><span className="font-semibold">Database:</span> {databaseStatus.database}</p>
-                    <p><span className="font-semibold">DB URL:</span> {databaseStatus.database_url}</p>
-                    <p><span className="font-semibold">DB Name:</span> {databaseStatus.database_name}</p>
-                    <p><span className="font-semibold">Connection:</span> {databaseStatus.connection_status}</p>
-                    {databaseStatus.collections && databaseStatus.collections.length > 0 && (
-                      <p><span className="font-semibold">Collections:</span> {databaseStatus.collections.join(', ')}</p>
-                    )}
+          {runError && (
+            <p role="alert" className="text-sm text-red-600 dark:text-red-400 font-mono">{t('test.runFailed')} – {runError.message}</p>
+          )}
+
+          <ul className="space-y-3">
+            {CHECKS.map((check) => {
+              const enabled = selected.includes(check.id)
+              const result = enabled ? resultFor(check.id) : null
+              return (
+                <li key={check.id} className={`border rounded-lg p-4 ${enabled ? 'border-line' : 'border-dashed border-line opacity-60'}`}>
+                  <div className="flex flex-wrap items-center gap-3">
+                    <input
+                      id={`check-${check.id}`}
+                      type="checkbox"
+                      checked={enabled}
+                      disabled={check.optIn && noDryRun}
+                      aria-describedby={check.optIn ? `check-${check.id}-note` : undefined}
+                      onChange={() => toggleCheck(check.id)}
+                      className="accent-primary"
+                    />
+                    <label htmlFor={`check-${check.id}`} className="font-semibold text-ink-strong">{t(`test.checks.${check.id}`)}</label>
+                    <code dir="ltr" className="text-xs text-muted">{check.method} {check.path}</code>
+                    <span className="ms-auto flex items-center gap-3 text-xs text-muted">
+                      {result?.status != null && <span dir="ltr">HTTP {result.status}</span>}
+                      {result && <span>{t('test.latency', { ms: formatNumber(result.latency) })}</span>}
+                      {enabled && <StatusBadge result={result} running={running} />}
+                    </span>
                   </div>
-                )
-              ) : (
-                <p className="text-gray-500 font-mono">Checking database...</p>
+                  {check.optIn && (
+                    <p id={`check-${check.id}-note`} className="mt-2 text-xs text-amber-700 dark:text-amber-400">
+                      {noDryRun ? t('test.dryRunUnsupported') : t('test.dryRunOptIn')}
+                    </p>
+                  )}
+                  {result?.error && (
+                    <p className="mt-2 text-sm text-red-600 dark:text-red-400 font-mono">{t(`test.errorKinds.${result.error.kind}`)} – {result.error.message}</p>
+                  )}
+                  {result?.schemaErrors.length > 0 && (
+                    <ul dir="ltr" className="mt-2 text-xs text-amber-700 dark:text-amber-400 font-mono list-disc ps-5">
+                      {result.schemaErrors.map((problem) => <li key={problem}>{problem}</li>)}
+                    </ul>
+                  )}
+                  {check.id === 'database' && result && !result.error && <DatabaseDetails data={result.data} />}
+                  {result?.data != null && (
+                    <details className="mt-2">
+                      <summary className="text-xs text-muted cursor-pointer">{t('test.response')}</summary>
+                      <pre dir="ltr" className="mt-2 text-xs bg-surface-muted p-3 rounded overflow-auto max-h-64">{JSON.stringify(result.data, null, 2)}</pre>
+                    </details>
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-lg font-semibold text-ink">{t('test.history')}</h3>
+              {history.length > 0 && (
+                <button onClick={() => setHistory(clearHistory())} className="text-sm text-muted hover:text-ink">{t('test.clearHistory')}</button>
               )}
             </div>
+            {history.length === 0 ? (
+              <p className="text-sm text-muted">{t('test.noHistory')}</p>
+            ) : (
+              <ul className="text-sm divide-y divide-line border border-line rounded">
+                {history.map((run) => {
+                  const passed = run.results.filter((r) => r.ok).length
+                  const slowest = Math.max(0, ...run.results.map((r) => r.latency))
+                  return (
+                    <li key={run.id} className="flex flex-wrap items-center gap-3 px-3 py-2">
+                      <span className="text-muted">{formatTime(run.startedAt)}</span>
+                      <span className={passed === run.results.length ? 'text-green-700 dark:text-green-400' : 'text-red-600 dark:text-red-400'}>
+                        {t('test.passed', { passed: formatNumber(passed), total: formatNumber(run.results.length) })}
+                      </span>
+                      <span className="ms-auto text-muted">{t('test.slowest', { ms: formatNumber(slowest) })}</span>
+                    </li>
+                  )
+                })}
+              </ul>
+            )}
           </div>
 
-          <button
-            onClick={checkBackendConnection}
-            className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-4 rounded transition-colors"
-          >
-            Test Again
-          </button>
-
           <a
             href="/"
-            className="block w-full bg-gray-500 hover:bg-gray-600 text-white font-semibold py-2 px-4 rounded text-center transition-colors"
+            className="block w-full bg-subtle hover:bg-muted text-white font-semibold py-2 px-4 rounded text-center transition-colors"
           >
-            Back to Home
+            {t('test.home')}
           </a>
         </div>
       </div>
@@ -124,4 +245,4 @@ function Test() {
   )
 }
 
-export default Test
\ No newline at end of file
+export default Test
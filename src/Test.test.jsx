@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest'
+import { screen, within } from '@testing-library/react'
+import { renderRoute } from './test/render'
+import { applyScenario } from './mocks/node'
+import en from './locales/en'
+
+const checkItem = (id) => screen.getByLabelText(en.test.checks[id]).closest('li')
+
+describe('diagnostics page', () => {
+  it('passes every default check against a healthy backend', async () => {
+    renderRoute('/test')
+    for (const id of ['root', 'database', 'company', 'services', 'corsPreflight']) {
+      expect(await within(checkItem(id)).findByText(new RegExp(en.test.pass))).toBeTruthy()
+    }
+  })
+
+  it('leaves the lead dry run unselected, so nothing is posted unasked', async () => {
+    renderRoute('/test')
+    expect(screen.getByLabelText(en.test.checks.leadsDryRun).checked).toBe(false)
+  })
+
+  it('reports failures when the backend is unreachable', async () => {
+    applyScenario('offline')
+    renderRoute('/test')
+    expect(await within(checkItem('company')).findByText(new RegExp(en.test.fail))).toBeTruthy()
+  })
+})
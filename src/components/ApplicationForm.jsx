@@ -0,0 +1,187 @@
+import { useEffect, useRef, useState } from 'react'
+import { motion } from 'framer-motion'
+import { useI18n } from '../lib/i18n'
+import { validate, parseValidationErrors } from '../lib/validation'
+import { submitApplication } from '../lib/api'
+import { getConsentRecord } from '../lib/consent'
+import { track } from '../lib/analytics'
+import { FieldError, TextField } from './formFields'
+
+const MAX_CV_BYTES = 5 * 1024 * 1024
+const CV_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+}
+
+// Field names match the multipart fields, so 422s from the backend land on the right input
+const schema = {
+  name: { required: true, minLength: 2, maxLength: 120 },
+  email: { required: true, email: true, maxLength: 254 },
+  phone: { maxLength: 40 },
+  portfolio: { maxLength: 300 },
+  cover_letter: { maxLength: 3000 },
+  cv: { required: true, fileTypes: CV_TYPES, maxBytes: MAX_CV_BYTES },
+}
+
+// Submission outcomes reported under the submit button; the region stays mounted so screen readers announce them
+const STATUS_TONES = {
+  success: 'text-green-600 dark:text-green-400',
+  error: 'text-red-600 dark:text-red-400',
+  invalid: 'text-red-600 dark:text-red-400',
+  idle: 'text-muted',
+}
+
+const emptyApplication = { name: '', email: '', phone: '', portfolio: '', cover_letter: '', cv: null }
+
+function ApplicationForm({ job }) {
+  const { lang, t, formatNumber } = useI18n()
+  const [values, setValues] = useState(emptyApplication)
+  const [errors, setErrors] = useState({})
+  const [status, setStatus] = useState({ state: 'idle', message: '' })
+  const [progress, setProgress] = useState(0)
+  const fileInput = useRef(null)
+  const upload = useRef(null)
+
+  // Leaving the page cancels an upload still in flight
+  useEffect(() => () => upload.current?.abort(), [])
+
+  const onChange = (field, value) => {
+    setValues((prev) => ({ ...prev, [field]: value }))
+    setErrors((prev) => {
+      if (!prev[field]) return prev
+      const { [field]: _cleared, ...rest } = prev
+      return rest
+    })
+  }
+
+  // A wrong file is reported as soon as it is picked, not on submit
+  const onFileChange = (e) => {
+    const file = e.target.files?.[0] || null
+    setValues((prev) => ({ ...prev, cv: file }))
+    const fileErrors = validate({ cv: schema.cv }, { cv: file })
+    setErrors((prev) => {
+      const { cv: _cleared, ...rest } = prev
+      return fileErrors.cv ? { ...rest, cv: fileErrors.cv } : rest
+    })
+  }
+
+  const submit = async (e) => {
+    e.preventDefault()
+    const formErrors = validate(schema, values)
+    setErrors(formErrors)
+    if (Object.keys(formErrors).length) {
+      setStatus({ state: 'invalid', message: t('application.status.invalid') })
+      return
+    }
+
+    const formData = new FormData()
+    formData.append('job_id', job.id)
+    formData.append('lang', lang)
+    Object.entries(values).forEach(([field, value]) => {
+      if (value) formData.append(field, value)
+    })
+    formData.append('consent', JSON.stringify(getConsentRecord()))
+
+    const controller = new AbortController()
+    upload.current = controller
+    setProgress(0)
+    setStatus({ state: 'submitting', message: '' })
+    try {
+      await submitApplication(formData, { onProgress: setProgress, signal: controller.signal })
+      setStatus({ state: 'success', message: t('application.status.success') })
+      track('application_submitted', { job: job.id, discipline: job.discipline, location: job.location })
+      setValues(emptyApplication)
+      setErrors({})
+      if (fileInput.current) fileInput.current.value = ''
+    } catch (err) {
+      if (err.kind === 'aborted') {
+        if (upload.current === controller) setStatus({ state: 'idle', message: t('application.status.cancelled') })
+        return
+      }
+      const fieldErrors = err.status === 422 ? parseValidationErrors(err.body) : {}
+      if (Object.keys(fieldErrors).length) {
+        setErrors(fieldErrors)
+        setStatus({ state: 'invalid', message: t('application.status.invalid') })
+        return
+      }
+      setStatus({ state: 'error', message: t('application.status.error') })
+    } finally {
+      if (upload.current === controller) upload.current = null
+    }
+  }
+
+  const submitting = status.state === 'submitting'
+  const percent = Math.round(progress * 100)
+  const cvError = errors.cv
+  const unmappedErrors = Object.entries(errors).filter(([field]) => !(field in schema))
+
+  return (
+    <form onSubmit={submit} noValidate className="bg-surface/90 backdrop-blur border border-line rounded-2xl p-6 shadow">
+      <div className="grid sm:grid-cols-2 gap-4">
+        <TextField idPrefix="application" field="name" label={t('application.name')} autoComplete="name" values={values} errors={errors} onChange={onChange} className="sm:col-span-2" />
+        <TextField idPrefix="application" field="email" label={t('application.email')} type="email" dir="ltr" autoComplete="email" values={values} errors={errors} onChange={onChange} />
+        <TextField idPrefix="application" field="phone" label={t('application.phone')} type="tel" dir="ltr" autoComplete="tel" values={values} errors={errors} onChange={onChange} />
+        <TextField idPrefix="application" field="portfolio" label={t('application.portfolio')} type="url" dir="ltr" autoComplete="url" placeholder="https://" values={values} errors={errors} onChange={onChange} className="sm:col-span-2" />
+        <TextField idPrefix="application" field="cover_letter" label={t('application.coverLetter')} rows={5} multiline values={values} errors={errors} onChange={onChange} className="sm:col-span-2" />
+
+        <div className="sm:col-span-2">
+          <label htmlFor="application-cv" className="block text-sm font-medium">{t('application.cv')}</label>
+          <input
+            ref={fileInput}
+            id="application-cv"
+            type="file"
+            accept={[...Object.keys(CV_TYPES).map((ext) => `.${ext}`), ...Object.values(CV_TYPES)].join(',')}
+            onChange={onFileChange}
+            aria-invalid={cvError ? true : undefined}
+            aria-describedby={`application-cv-hint${cvError ? ' application-cv-error' : ''}`}
+            className="mt-1 block w-full text-sm text-muted file:me-3 file:rounded-md file:border-0 file:bg-primary-soft file:px-4 file:py-2 file:font-semibold file:text-primary-strong hover:file:bg-primary-soft/70"
+          />
+          <p id="application-cv-hint" className="mt-1 text-xs text-subtle">{t('application.cvHint', { size: formatNumber(MAX_CV_BYTES / 1024 / 1024) })}</p>
+          <FieldError id="application-cv-error" error={cvError} />
+        </div>
+      </div>
+
+      {unmappedErrors.length > 0 && (
+        <ul className="mt-4 text-sm text-red-600 dark:text-red-400 list-disc ps-5">
+          {unmappedErrors.map(([field, error]) => (
+            <li key={field}>{error.message || t(error.key, error.vars)}</li>
+          ))}
+        </ul>
+      )}
+
+      {submitting && (
+        <div className="mt-6">
+          <div
+            role="progressbar"
+            aria-label={t('application.uploading')}
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={percent}
+            className="h-2 rounded-full bg-line overflow-hidden"
+          >
+            <div className="h-full bg-primary transition-[width]" style={{ width: `${percent}%` }} />
+          </div>
+          <p className="mt-2 text-xs text-subtle">{t('application.progress', { percent: formatNumber(percent) })}</p>
+        </div>
+      )}
+
+      <div className="mt-6 flex gap-3">
+        <motion.button whileHover={{ y: -2 }} whileTap={{ y: 0 }} disabled={submitting} type="submit" className="flex-1 bg-primary hover:bg-primary/90 disabled:opacity-60 text-white font-semibold py-3 rounded-md">
+          {submitting ? t('application.submitting') : t('application.submit')}
+        </motion.button>
+        {submitting && (
+          <button type="button" onClick={() => upload.current?.abort()} className="px-5 py-3 rounded-md font-semibold border border-line-strong/80 hover:border-subtle/90 bg-surface">
+            {t('application.cancel')}
+          </button>
+        )}
+      </div>
+      <div role="status" aria-live="polite" aria-atomic="true">
+        {STATUS_TONES[status.state] && status.message && (
+          <p className={`mt-3 text-sm ${STATUS_TONES[status.state]}`}>{status.message}</p>
+        )}
+      </div>
+    </form>
+  )
+}
+
+export default ApplicationForm
@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest'
+import { fireEvent, screen, within } from '@testing-library/react'
+import { renderRoute } from '../test/render'
+import { applyScenario } from '../mocks/node'
+import { applicationValidationErrorFixture, jobsFixture } from '../mocks/fixtures'
+import en from '../locales/en'
+
+const job = jobsFixture('en')[0]
+
+async function fillAndSubmit() {
+  renderRoute(`/careers/${job.id}`)
+  fireEvent.change(await screen.findByLabelText(en.application.name), { target: { value: 'Sara Al-Harbi' } })
+  fireEvent.change(screen.getByLabelText(en.application.email), { target: { value: 'sara@example.com' } })
+  const cv = new File(['%PDF-1.7'], 'cv.pdf', { type: 'application/pdf' })
+  fireEvent.change(screen.getByLabelText(en.application.cv), { target: { files: [cv] } })
+  fireEvent.click(screen.getByRole('button', { name: en.application.submit }))
+}
+
+describe('job application form', () => {
+  it('announces an application the backend accepts', async () => {
+    await fillAndSubmit()
+    const status = screen.getByRole('status')
+    expect(await within(status).findByText(en.application.status.success)).toBeTruthy()
+  })
+
+  it('shows the backend’s field errors next to their fields', async () => {
+    applyScenario('validation')
+    await fillAndSubmit()
+    for (const { msg } of applicationValidationErrorFixture.detail) {
+      expect(await screen.findByText(msg)).toBeTruthy()
+    }
+    expect(screen.getByLabelText(en.application.phone).getAttribute('aria-invalid')).toBe('true')
+  })
+})
@@ -0,0 +1,201 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { useI18n } from '../lib/i18n'
+import { createBooking, getAvailability } from '../lib/api'
+import { createIdempotencyKey } from '../lib/leadQueue'
+import { downloadFile } from '../lib/download'
+import { toIcs } from '../lib/ics'
+import { track } from '../lib/analytics'
+
+const BUSINESS_ZONE = 'Asia/Riyadh'
+// Saudi Arabia has no daylight saving, so Riyadh times without an offset are always UTC+3
+const BUSINESS_OFFSET = '+03:00'
+// Slots this close to starting are treated as expired, even if the backend still lists them
+const MIN_NOTICE_MS = 15 * 60_000
+
+function parseSlotTime(value) {
+  return new Date(/(Z|[+-]\d{2}:?\d{2})$/i.test(value) ? value : `${value}${BUSINESS_OFFSET}`)
+}
+
+function toSlot(raw) {
+  return { id: raw.id, raw, start: parseSlotTime(raw.start), end: parseSlotTime(raw.end) }
+}
+
+function BookingStep({ lead }) {
+  const { locale, t } = useI18n()
+  const visitorZone = Intl.DateTimeFormat().resolvedOptions().timeZone
+  const [availability, setAvailability] = useState({ state: 'loading', slots: [] })
+  const [reloads, setReloads] = useState(0)
+  const [now, setNow] = useState(Date.now)
+  const [selected, setSelected] = useState(null)
+  const [status, setStatus] = useState({ state: 'idle' })
+  // One key per chosen slot, so retrying after a network error cannot book it twice
+  const bookingKey = useRef(null)
+
+  useEffect(() => {
+    const controller = new AbortController()
+    setAvailability((prev) => ({ ...prev, state: 'loading' }))
+    getAvailability({ signal: controller.signal })
+      .then((data) => setAvailability({ state: 'ready', slots: (data.slots || []).map(toSlot).sort((a, b) => a.start - b.start) }))
+      .catch((err) => {
+        if (err.kind !== 'aborted') setAvailability({ state: 'error', slots: [] })
+      })
+    return () => controller.abort()
+  }, [reloads])
+
+  // Slots quietly expire while the visitor is deciding
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 60_000)
+    return () => clearInterval(id)
+  }, [])
+
+  const open = availability.slots.filter((slot) => slot.start.getTime() - now > MIN_NOTICE_MS)
+  const selectedSlot = open.find((slot) => slot === selected) || null
+
+  const formats = useMemo(() => ({
+    dayKey: new Intl.DateTimeFormat('en-CA', { timeZone: visitorZone, year: 'numeric', month: '2-digit', day: '2-digit' }),
+    day: new Intl.DateTimeFormat(locale, { weekday: 'long', day: 'numeric', month: 'long' }),
+    time: new Intl.DateTimeFormat(locale, { hour: 'numeric', minute: '2-digit' }),
+    businessTime: new Intl.DateTimeFormat(locale, { hour: 'numeric', minute: '2-digit', timeZone: BUSINESS_ZONE }),
+    full: new Intl.DateTimeFormat(locale, { dateStyle: 'full', timeStyle: 'short' }),
+  }), [locale, visitorZone])
+
+  // Grouped by the visitor's calendar day, not Riyadh's
+  const days = []
+  for (const slot of open) {
+    const key = formats.dayKey.format(slot.start)
+    if (days.at(-1)?.key !== key) days.push({ key, label: formats.day.format(slot.start), slots: [] })
+    days.at(-1).slots.push(slot)
+  }
+
+  const reload = () => setReloads((n) => n + 1)
+
+  const book = async () => {
+    if (!selectedSlot) return
+    if (selectedSlot.start.getTime() - Date.now() <= MIN_NOTICE_MS) {
+      setStatus({ state: 'expired' })
+      setSelected(null)
+      return
+    }
+    setStatus({ state: 'booking' })
+    try {
+      const booking = await createBooking({
+        slot_id: selectedSlot.id,
+        start: selectedSlot.raw.start,
+        end: selectedSlot.raw.end,
+        lead_id: lead.id,
+        name: lead.name,
+        email: lead.email,
+        timezone: visitorZone,
+      }, { idempotencyKey: bookingKey.current })
+      setStatus({
+        state: 'booked',
+        booking: {
+          id: booking?.id || createIdempotencyKey(),
+          start: booking?.start ? parseSlotTime(booking.start) : selectedSlot.start,
+          end: booking?.end ? parseSlotTime(booking.end) : selectedSlot.end,
+          meetingUrl: booking?.meeting_url,
+        },
+      })
+      track('call_booked', { hoursAhead: Math.round((selectedSlot.start.getTime() - Date.now()) / 3_600_000) })
+    } catch (err) {
+      // Someone else took the slot, or it closed: drop it and show what is still open
+      if (err.status === 409 || err.status === 410) {
+        setStatus({ state: err.status === 409 ? 'conflict' : 'expired' })
+        setSelected(null)
+        reload()
+        return
+      }
+      setStatus({ state: 'error' })
+    }
+  }
+
+  const downloadInvite = () => {
+    const { booking } = status
+    const ics = toIcs({
+      uid: `${booking.id}@speedofmastry`,
+      start: booking.start,
+      end: booking.end,
+      title: t('booking.inviteTitle'),
+      description: t('booking.inviteBody'),
+      url: booking.meetingUrl,
+    })
+    downloadFile('discovery-call.ics', ics, 'text/calendar;charset=utf-8')
+  }
+
+  if (status.state === 'booked') {
+    return (
+      <div className="mt-6 bg-surface/90 backdrop-blur border border-green-200 dark:border-green-900 rounded-2xl p-6 shadow">
+        <h3 className="text-lg font-bold text-green-700 dark:text-green-400">{t('booking.confirmedTitle')}</h3>
+        <p className="mt-2 text-ink">{t('booking.confirmedBody', { time: formats.full.format(status.booking.start) })}</p>
+        <button type="button" onClick={downloadInvite} className="mt-4 px-4 py-2 rounded-md font-semibold border border-line-strong hover:border-subtle bg-surface">
+          {t('booking.addToCalendar')}
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <section aria-labelledby="booking-title" className="mt-6 bg-surface/90 backdrop-blur border border-line rounded-2xl p-6 shadow">
+      <h3 id="booking-title" className="text-lg font-bold">{t('booking.title')}</h3>
+      <p className="mt-1 text-sm text-muted">{t('booking.intro')}</p>
+      <p className="mt-1 text-xs text-subtle">{t('booking.timezone', { zone: visitorZone })}</p>
+
+      {availability.state === 'loading' && availability.slots.length === 0 ? (
+        <p className="mt-4 text-sm text-subtle">{t('booking.loading')}</p>
+      ) : availability.state === 'error' ? (
+        <p className="mt-4 text-sm text-red-600 dark:text-red-400">
+          {t('booking.loadError')}{' '}
+          <button type="button" onClick={reload} className="font-semibold underline">{t('booking.retry')}</button>
+        </p>
+      ) : days.length === 0 ? (
+        <p className="mt-4 text-sm text-muted">{t('booking.noSlots')}</p>
+      ) : (
+        <div className="mt-4 space-y-4 max-h-80 overflow-y-auto pe-1">
+          {days.map((day) => (
+            <div key={day.key}>
+              <h4 className="text-sm font-semibold text-ink">{day.label}</h4>
+              <div className="mt-2 flex flex-wrap gap-2">
+                {day.slots.map((slot) => {
+                  const active = slot === selectedSlot
+                  return (
+                    <button
+                      key={slot.start.toISOString()}
+                      type="button"
+                      aria-pressed={active}
+                      onClick={() => {
+                        if (slot !== selectedSlot) bookingKey.current = createIdempotencyKey()
+                        setSelected(slot)
+                        setStatus({ state: 'idle' })
+                      }}
+                      className={`px-3 py-1.5 rounded-md border text-sm transition-colors ${active ? 'border-primary bg-primary-soft text-primary-strong' : 'border-line-strong bg-surface hover:border-subtle'}`}
+                    >
+                      {formats.time.format(slot.start)}
+                      {visitorZone !== BUSINESS_ZONE && (
+                        <span className="ms-1 text-xs text-subtle">{t('booking.businessTime', { time: formats.businessTime.format(slot.start) })}</span>
+                      )}
+                    </button>
+                  )
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {status.state === 'conflict' && <p role="alert" className="mt-4 text-sm text-amber-700 dark:text-amber-400">{t('booking.conflict')}</p>}
+      {status.state === 'expired' && <p role="alert" className="mt-4 text-sm text-amber-700 dark:text-amber-400">{t('booking.expired')}</p>}
+      {status.state === 'error' && <p role="alert" className="mt-4 text-sm text-red-600 dark:text-red-400">{t('booking.error')}</p>}
+
+      <button
+        type="button"
+        onClick={book}
+        disabled={!selectedSlot || status.state === 'booking'}
+        className="mt-4 w-full bg-primary hover:bg-primary/90 disabled:opacity-60 text-white font-semibold py-3 rounded-md"
+      >
+        {status.state === 'booking' ? t('booking.booking') : t('booking.confirm')}
+      </button>
+    </section>
+  )
+}
+
+export default BookingStep
@@ -0,0 +1,167 @@
+import { useMemo } from 'react'
+import { Link, useLocation, useNavigate } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { useI18n } from '../lib/i18n'
+import { Reveal, TiltCard } from './motion'
+
+// `service` already preselects a service in the lead wizard, so the grid filters on its own params
+const FILTERS = [
+  { id: 'industry', param: 'industry' },
+  { id: 'country', param: 'country' },
+  { id: 'service', param: 'expertise' },
+]
+
+/** Labels for a case study's industry key and ISO country code in the current language. */
+export function useCaseStudyLabels() {
+  const { locale, t } = useI18n()
+  return useMemo(() => {
+    const regions = new Intl.DisplayNames([locale], { type: 'region' })
+    return {
+      industry: (key) => {
+        const label = t(`work.industries.${key}`)
+        return label === `work.industries.${key}` ? key : label
+      },
+      country: (code) => {
+        try {
+          return regions.of(code.toUpperCase()) || code
+        } catch (e) {
+          return code
+        }
+      },
+    }
+  }, [locale, t])
+}
+
+function FilterSelect({ id, label, value, options, onChange }) {
+  const { t } = useI18n()
+  return (
+    <div>
+      <label htmlFor={`work-filter-${id}`} className="block text-xs font-semibold uppercase tracking-wide text-subtle">{label}</label>
+      <select
+        id={`work-filter-${id}`}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="mt-1 w-full rounded-md border border-line-strong px-3 py-2 bg-surface focus:outline-none focus:ring-2 focus:ring-primary"
+      >
+        <option value="">{t('work.filters.all')}</option>
+        {options.map((opt) => (
+          <option key={opt.value} value={opt.value}>{opt.label}</option>
+        ))}
+      </select>
+    </div>
+  )
+}
+
+function CaseStudies({ caseStudies, services }) {
+  const { locale, t, formatNumber } = useI18n()
+  const location = useLocation()
+  const navigate = useNavigate()
+  const searchParams = new URLSearchParams(location.search)
+  const labels = useCaseStudyLabels()
+
+  const active = Object.fromEntries(FILTERS.map((f) => [f.id, searchParams.get(f.param) || '']))
+  const serviceTitles = useMemo(() => Object.fromEntries(services.map((s) => [s.slug, s.title])), [services])
+
+  const options = useMemo(() => {
+    const sorted = (values, label) => [...new Set(values)]
+      .map((value) => ({ value, label: label(value) }))
+      .sort((a, b) => a.label.localeCompare(b.label, locale))
+    return {
+      industry: sorted(caseStudies.map((cs) => cs.industry), labels.industry),
+      country: sorted(caseStudies.map((cs) => cs.country), labels.country),
+      // Offered in the same order as the services section, limited to ones with published work
+      service: services
+        .filter((s) => caseStudies.some((cs) => cs.services?.includes(s.slug)))
+        .map((s) => ({ value: s.slug, label: s.title })),
+    }
+  }, [caseStudies, services, labels, locale])
+
+  const visible = caseStudies.filter((cs) =>
+    (!active.industry || cs.industry === active.industry) &&
+    (!active.country || cs.country === active.country) &&
+    (!active.service || cs.services?.includes(active.service))
+  )
+
+  // Keep #work in the URL so a shared link lands on the grid; `filtering` tells App not to scroll again
+  const updateFilters = (update) => {
+    const next = new URLSearchParams(location.search)
+    update(next)
+    const search = next.toString()
+    navigate({ search: search ? `?${search}` : '', hash: '#work' }, { replace: true, state: { filtering: true } })
+  }
+
+  const setFilter = (filter, value) => updateFilters((next) => {
+    if (value) next.set(filter.param, value)
+    else next.delete(filter.param)
+  })
+
+  const clearFilters = () => updateFilters((next) => FILTERS.forEach((f) => next.delete(f.param)))
+
+  const filtered = FILTERS.some((f) => active[f.id])
+
+  return (
+    <section id="work" className="py-20">
+      <div className="max-w-6xl mx-auto px-6">
+        <Reveal section="work">
+          <h2 className="text-3xl md:text-4xl font-extrabold">{t('work.title')}</h2>
+          <p className="mt-2 text-muted max-w-2xl">{t('work.intro')}</p>
+        </Reveal>
+
+        <div className="mt-8 grid sm:grid-cols-3 gap-4 items-end">
+          {FILTERS.map((f) => (
+            <FilterSelect
+              key={f.id}
+              id={f.id}
+              label={t(`work.filters.${f.id}`)}
+              value={active[f.id]}
+              options={options[f.id]}
+              onChange={(value) => setFilter(f, value)}
+            />
+          ))}
+        </div>
+        <div className="mt-3 flex items-center gap-4 text-sm text-subtle">
+          <span aria-live="polite">{t('work.count', { count: formatNumber(visible.length) })}</span>
+          {filtered && (
+            <button type="button" onClick={clearFilters} className="font-semibold text-primary-strong hover:text-primary">{t('work.filters.clear')}</button>
+          )}
+        </div>
+
+        {visible.length === 0 ? (
+          <p className="mt-10 text-muted">{t('work.empty')}</p>
+        ) : (
+          <div className="mt-8 grid md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {visible.map((cs, i) => (
+              <Reveal key={cs.slug} delay={Math.min(i, 5) * 0.05}>
+                <TiltCard>
+                  <Link to={`/work/${cs.slug}`} className="block h-full rounded-xl focus:outline-none focus-visible:ring-2 focus-visible:ring-primary">
+                    <motion.article whileHover={{ y: -6 }} className="group h-full bg-surface/80 backdrop-blur rounded-xl p-6 shadow-sm hover:shadow-xl transition-shadow border border-line">
+                      <div className="flex flex-wrap gap-2 text-xs font-semibold">
+                        <span className="px-2 py-0.5 rounded bg-primary-soft text-primary-strong">{labels.industry(cs.industry)}</span>
+                        <span className="px-2 py-0.5 rounded bg-surface-muted text-muted">{labels.country(cs.country)}</span>
+                      </div>
+                      <h3 className="mt-4 font-bold text-lg">{cs.title}</h3>
+                      <p className="mt-2 text-sm text-muted">{cs.summary}</p>
+                      {cs.results?.[0] && (
+                        <p className="mt-4 text-sm">
+                          <span className="font-extrabold text-primary-strong">{cs.results[0].value}</span> <span className="text-muted">{cs.results[0].label}</span>
+                        </p>
+                      )}
+                      <p className="mt-3 text-xs text-subtle">
+                        {cs.services?.map((slug) => serviceTitles[slug]).filter(Boolean).join(' • ')}
+                      </p>
+                      <span className="mt-4 inline-block text-sm font-semibold text-primary-strong group-hover:text-primary">
+                        {t('work.view')} <span aria-hidden className="inline-block rtl:rotate-180">→</span>
+                      </span>
+                    </motion.article>
+                  </Link>
+                </TiltCard>
+              </Reveal>
+            ))}
+          </div>
+        )}
+      </div>
+    </section>
+  )
+}
+
+export default CaseStudies
@@ -0,0 +1,237 @@
+import { useEffect, useRef, useState } from 'react'
+import { useLocation, useNavigate } from 'react-router-dom'
+import { MessageCircle, RotateCcw, Send, Square, X } from 'lucide-react'
+import { useI18n } from '../lib/i18n'
+import { useConsent } from '../lib/consent'
+import { streamChat } from '../lib/api'
+import { track } from '../lib/analytics'
+import { chatContext, hasBuyingIntent, loadSession, newMessage, newSession, saveSession, transcriptForLead } from '../lib/chat'
+
+const SUGGESTIONS = ['llm', 'pricing', 'data']
+// Internal tools get no assistant
+const HIDDEN_ON = /^\/(admin|test)(\/|$)/
+
+function Message({ message, last, onRetry }) {
+  const { t } = useI18n()
+  const mine = message.role === 'user'
+  const failed = message.status === 'error' || message.status === 'cancelled'
+  return (
+    <li className={`flex flex-col ${mine ? 'items-end' : 'items-start'}`}>
+      <span className="sr-only">{mine ? t('chat.you') : t('chat.assistant')}</span>
+      <div className={`max-w-[85%] rounded-2xl px-3 py-2 text-sm whitespace-pre-line break-words ${mine ? 'bg-primary text-white rounded-ee-sm' : 'bg-surface-muted text-ink rounded-es-sm'}`}>
+        {message.content || (message.status === 'streaming' && <span className="text-subtle">{t('chat.thinking')}</span>)}
+        {message.status === 'streaming' && message.content && <span aria-hidden className="ms-0.5 inline-block h-3 w-1.5 animate-pulse bg-current align-middle" />}
+      </div>
+      {failed && (
+        <p className={`mt-1 flex items-center gap-2 text-xs ${message.status === 'error' ? 'text-red-600 dark:text-red-400' : 'text-subtle'}`}>
+          {t(message.status === 'error' ? 'chat.failed' : 'chat.stopped')}
+          {last && (
+            <button type="button" onClick={onRetry} className="inline-flex items-center gap-1 font-semibold text-primary-strong hover:text-primary">
+              <RotateCcw aria-hidden className="h-3 w-3" />
+              {t('chat.retry')}
+            </button>
+          )}
+        </p>
+      )}
+    </li>
+  )
+}
+
+/** Floating assistant; answers stream in over SSE and buying intent offers a prefilled lead. */
+function ChatWidget() {
+  const { lang, t } = useI18n()
+  const { decided } = useConsent()
+  const location = useLocation()
+  const navigate = useNavigate()
+  const [open, setOpen] = useState(false)
+  const [session, setSession] = useState(loadSession)
+  const [input, setInput] = useState('')
+  const request = useRef(null)
+  const list = useRef(null)
+  const field = useRef(null)
+
+  useEffect(() => saveSession(session), [session])
+  useEffect(() => () => request.current?.abort(), [])
+
+  useEffect(() => {
+    if (open) field.current?.focus()
+  }, [open])
+
+  // Keep the newest tokens in view while they stream in
+  useEffect(() => {
+    if (list.current) list.current.scrollTop = list.current.scrollHeight
+  }, [session.messages, open])
+
+  const { messages } = session
+  const last = messages[messages.length - 1]
+  const streaming = last?.status === 'streaming'
+
+  const updateMessage = (id, update) => setSession((prev) => ({
+    ...prev,
+    messages: prev.messages.map((m) => (m.id === id ? update(m) : m)),
+  }))
+
+  // Streams an answer to `history`, which ends with the visitor's question
+  const ask = async (history) => {
+    const reply = newMessage('assistant', '', 'streaming')
+    setSession((prev) => ({ ...prev, messages: [...history, reply] }))
+    const controller = new AbortController()
+    request.current = controller
+    try {
+      const result = await streamChat(
+        { messages: chatContext(history), session_id: session.id, lang },
+        { signal: controller.signal, onToken: (text) => updateMessage(reply.id, (m) => ({ ...m, content: m.content + text })) },
+      )
+      const question = history[history.length - 1].content
+      setSession((prev) => ({
+        ...prev,
+        messages: prev.messages.map((m) => (m.id === reply.id ? { ...m, status: 'done' } : m)),
+        handoff: prev.handoff || Boolean(result.handoff) || hasBuyingIntent(question),
+        services: [...new Set([...prev.services, ...(result.services || [])])],
+      }))
+    } catch (err) {
+      updateMessage(reply.id, (m) => ({ ...m, status: err.kind === 'aborted' ? 'cancelled' : 'error' }))
+      if (err.kind !== 'aborted') track('chat_error', { kind: err.kind, status: err.status })
+    } finally {
+      if (request.current === controller) request.current = null
+    }
+  }
+
+  const send = (text) => {
+    const question = text.trim()
+    if (!question || streaming) return
+    setInput('')
+    track('chat_message', { turn: messages.filter((m) => m.role === 'user').length + 1 })
+    ask([...messages, newMessage('user', question)])
+  }
+
+  // Drops the failed or stopped answer and asks the same question again
+  const retry = () => {
+    if (last?.role !== 'assistant') return
+    track('chat_retry', { status: last.status })
+    ask(messages.slice(0, -1))
+  }
+
+  const restart = () => {
+    request.current?.abort()
+    setSession(newSession())
+    field.current?.focus()
+  }
+
+  const handOff = () => {
+    track('chat_handoff', { turns: messages.filter((m) => m.role === 'user').length })
+    setOpen(false)
+    navigate('/#contact', {
+      state: { leadPrefill: { services: session.services, message: transcriptForLead(messages, t('chat.transcriptIntro')) } },
+    })
+  }
+
+  const toggle = () => {
+    if (!open) track('chat_open', { resumed: messages.length > 0 })
+    setOpen(!open)
+  }
+
+  const onKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+      e.preventDefault()
+      send(input)
+    }
+  }
+
+  // Both live at the bottom of the screen, so the assistant waits until the consent banner is answered
+  if (!decided || HIDDEN_ON.test(location.pathname)) return null
+
+  return (
+    <div onKeyDown={(e) => e.key === 'Escape' && open && setOpen(false)}>
+      {open && (
+        <section
+          id="chat-panel"
+          aria-labelledby="chat-title"
+          className="fixed bottom-20 end-4 z-40 flex h-[32rem] max-h-[calc(100vh-7rem)] w-[calc(100%-2rem)] max-w-sm flex-col overflow-hidden rounded-2xl border border-line bg-surface shadow-2xl text-ink"
+        >
+          <header className="flex items-center justify-between gap-2 border-b border-line px-4 py-3">
+            <div>
+              <h2 id="chat-title" className="font-bold">{t('chat.title')}</h2>
+              <p className="text-xs text-subtle">{t('chat.subtitle')}</p>
+            </div>
+            <div className="flex items-center gap-1">
+              {messages.length > 0 && (
+                <button type="button" onClick={restart} className="rounded-md px-2 py-1 text-xs font-semibold text-primary-strong hover:text-primary">{t('chat.restart')}</button>
+              )}
+              <button type="button" onClick={() => setOpen(false)} aria-label={t('chat.close')} className="rounded-md p-1 text-subtle hover:text-ink">
+                <X aria-hidden className="h-5 w-5" />
+              </button>
+            </div>
+          </header>
+
+          <div ref={list} className="flex-1 overflow-y-auto px-4 py-3">
+            {messages.length === 0 ? (
+              <div>
+                <p className="text-sm text-muted">{t('chat.welcome')}</p>
+                <ul className="mt-3 space-y-2">
+                  {SUGGESTIONS.map((key) => (
+                    <li key={key}>
+                      <button type="button" onClick={() => send(t(`chat.suggestions.${key}`))} className="w-full rounded-md border border-line-strong bg-surface px-3 py-2 text-start text-sm hover:border-primary">
+                        {t(`chat.suggestions.${key}`)}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ) : (
+              <ol role="log" aria-live="polite" aria-busy={streaming} aria-label={t('chat.title')} className="space-y-3">
+                {messages.map((message, i) => (
+                  <Message key={message.id} message={message} last={i === messages.length - 1} onRetry={retry} />
+                ))}
+              </ol>
+            )}
+          </div>
+
+          {session.handoff && !streaming && (
+            <div className="border-t border-line bg-primary-soft/70 px-4 py-3 text-sm">
+              <p className="text-ink">{t('chat.handoffPrompt')}</p>
+              <button type="button" onClick={handOff} className="mt-2 w-full rounded-md bg-primary py-2 font-semibold text-white hover:bg-primary/90">{t('chat.handoff')}</button>
+            </div>
+          )}
+
+          <form onSubmit={(e) => { e.preventDefault(); send(input) }} className="flex items-end gap-2 border-t border-line p-3">
+            <label htmlFor="chat-input" className="sr-only">{t('chat.inputLabel')}</label>
+            <textarea
+              ref={field}
+              id="chat-input"
+              rows={1}
+              value={input}
+              maxLength={1000}
+              onChange={(e) => setInput(e.target.value)}
+              onKeyDown={onKeyDown}
+              placeholder={t('chat.placeholder')}
+              className="max-h-28 flex-1 resize-none rounded-md border border-line-strong bg-surface px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+            />
+            {streaming ? (
+              <button type="button" onClick={() => request.current?.abort()} aria-label={t('chat.stop')} className="rounded-md border border-line-strong p-2.5 hover:border-subtle">
+                <Square aria-hidden className="h-4 w-4" />
+              </button>
+            ) : (
+              <button type="submit" disabled={!input.trim()} aria-label={t('chat.send')} className="rounded-md bg-primary p-2.5 text-white hover:bg-primary/90 disabled:opacity-60">
+                <Send aria-hidden className="h-4 w-4 rtl:-scale-x-100" />
+              </button>
+            )}
+          </form>
+        </section>
+      )}
+
+      <button
+        type="button"
+        onClick={toggle}
+        aria-expanded={open}
+        aria-controls={open ? 'chat-panel' : undefined}
+        aria-label={open ? t('chat.close') : t('chat.open')}
+        className="fixed bottom-4 end-4 z-40 flex h-14 w-14 items-center justify-center rounded-full bg-primary text-white shadow-xl hover:bg-primary/90 focus:outline-none focus-visible:ring-2 focus-visible:ring-primary focus-visible:ring-offset-2"
+      >
+        {open ? <X aria-hidden className="h-6 w-6" /> : <MessageCircle aria-hidden className="h-6 w-6" />}
+      </button>
+    </div>
+  )
+}
+
+export default ChatWidget
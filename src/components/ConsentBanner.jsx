@@ -0,0 +1,104 @@
+import { useEffect, useState } from 'react'
+import * as Dialog from '@radix-ui/react-dialog'
+import * as Switch from '@radix-ui/react-switch'
+import { useI18n } from '../lib/i18n'
+import { CONSENT_CATEGORIES, useConsent } from '../lib/consent'
+
+function CategorySwitch({ category, checked, onChange }) {
+  const { t } = useI18n()
+  const locked = category === 'necessary'
+  const id = `consent-${category}`
+  return (
+    <div className="flex items-start justify-between gap-4 py-4">
+      <div>
+        <label htmlFor={id} className="font-semibold">{t(`consent.categories.${category}.title`)}</label>
+        <p id={`${id}-desc`} className="mt-1 text-sm text-muted">{t(`consent.categories.${category}.desc`)}</p>
+        {locked && <p className="mt-1 text-xs font-semibold text-subtle">{t('consent.alwaysOn')}</p>}
+      </div>
+      <Switch.Root
+        id={id}
+        checked={checked}
+        disabled={locked}
+        onCheckedChange={onChange}
+        aria-describedby={`${id}-desc`}
+        className="relative mt-1 inline-flex h-5 w-9 shrink-0 rounded-full bg-line-strong transition-colors data-[state=checked]:bg-primary disabled:opacity-60 focus:outline-none focus-visible:ring-2 focus-visible:ring-primary"
+      >
+        <Switch.Thumb className="absolute top-0.5 start-0.5 h-4 w-4 rounded-full bg-white shadow transition-transform data-[state=checked]:translate-x-4 rtl:data-[state=checked]:-translate-x-4" />
+      </Switch.Root>
+    </div>
+  )
+}
+
+function PreferencesDialog() {
+  const { t } = useI18n()
+  const { record, save, preferencesOpen, setPreferencesOpen } = useConsent()
+  const [choices, setChoices] = useState({ preferences: false, analytics: false })
+
+  // Start from the stored decision every time the dialog opens
+  useEffect(() => {
+    if (preferencesOpen) setChoices({ preferences: Boolean(record?.preferences), analytics: Boolean(record?.analytics) })
+  }, [preferencesOpen])
+
+  const submit = () => {
+    save(choices)
+    setPreferencesOpen(false)
+  }
+
+  return (
+    <Dialog.Root open={preferencesOpen} onOpenChange={setPreferencesOpen}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 z-50 bg-slate-900/40 backdrop-blur-sm" />
+        <Dialog.Content className="fixed left-1/2 top-1/2 z-50 w-[calc(100%-2rem)] max-w-lg -translate-x-1/2 -translate-y-1/2 rounded-2xl bg-surface p-6 shadow-2xl text-ink focus:outline-none">
+          <Dialog.Title className="text-xl font-extrabold">{t('consent.dialogTitle')}</Dialog.Title>
+          <Dialog.Description className="mt-2 text-sm text-muted">{t('consent.dialogBody')}</Dialog.Description>
+          <div className="mt-4 divide-y divide-line">
+            {CONSENT_CATEGORIES.map((category) => (
+              <CategorySwitch
+                key={category}
+                category={category}
+                checked={category === 'necessary' || choices[category]}
+                onChange={(checked) => setChoices((prev) => ({ ...prev, [category]: checked }))}
+              />
+            ))}
+          </div>
+          <div className="mt-6 flex flex-wrap justify-end gap-3">
+            <Dialog.Close className="px-4 py-2 rounded-md font-semibold border border-line-strong hover:border-subtle">{t('consent.cancel')}</Dialog.Close>
+            <button type="button" onClick={submit} className="px-4 py-2 rounded-md font-semibold bg-primary hover:bg-primary/90 text-white">{t('consent.save')}</button>
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
+
+/** First-visit banner plus the preferences dialog, which the footer can reopen at any time. */
+function ConsentBanner() {
+  const { t } = useI18n()
+  const { decided, acceptAll, rejectAll, setPreferencesOpen } = useConsent()
+
+  return (
+    <>
+      {!decided && (
+        <section
+          aria-labelledby="consent-title"
+          className="fixed inset-x-0 bottom-0 z-40 p-4"
+        >
+          <div className="max-w-4xl mx-auto rounded-2xl border border-line bg-surface/95 backdrop-blur p-5 shadow-2xl text-ink md:flex md:items-center md:gap-6">
+            <div className="flex-1">
+              <h2 id="consent-title" className="font-bold">{t('consent.title')}</h2>
+              <p className="mt-1 text-sm text-muted">{t('consent.body')}</p>
+            </div>
+            <div className="mt-4 md:mt-0 flex flex-wrap gap-2 shrink-0">
+              <button type="button" onClick={() => setPreferencesOpen(true)} className="px-4 py-2 rounded-md text-sm font-semibold text-primary-strong hover:text-primary">{t('consent.customize')}</button>
+              <button type="button" onClick={rejectAll} className="px-4 py-2 rounded-md text-sm font-semibold border border-line-strong hover:border-subtle">{t('consent.rejectAll')}</button>
+              <button type="button" onClick={acceptAll} className="px-4 py-2 rounded-md text-sm font-semibold bg-primary hover:bg-primary/90 text-white">{t('consent.acceptAll')}</button>
+            </div>
+          </div>
+        </section>
+      )}
+      <PreferencesDialog />
+    </>
+  )
+}
+
+export default ConsentBanner
@@ -0,0 +1,43 @@
+import { Component } from 'react'
+import { Outlet, useLocation } from 'react-router-dom'
+import { reportError } from '../lib/errorReporter'
+import ErrorScreen from './ErrorScreen'
+
+/**
+ * Catches render errors below it, reports them and renders `fallback({ error, reset })` instead.
+ * A new `resetKey`, such as the next route, clears the error. Boundaries can only be classes.
+ */
+class ErrorBoundary extends Component {
+  state = { error: null }
+
+  static getDerivedStateFromError(error) {
+    return { error }
+  }
+
+  componentDidCatch(error, info) {
+    reportError(error, { source: 'render', componentStack: info.componentStack })
+  }
+
+  componentDidUpdate(prevProps) {
+    if (this.state.error && prevProps.resetKey !== this.props.resetKey) this.reset()
+  }
+
+  reset = () => this.setState({ error: null })
+
+  render() {
+    const { error } = this.state
+    return error ? this.props.fallback({ error, reset: this.reset }) : this.props.children
+  }
+}
+
+/** Layout route: a crash in one page shows the recovery screen and clears on the next navigation. */
+export function RouteErrorBoundary() {
+  const { pathname } = useLocation()
+  return (
+    <ErrorBoundary resetKey={pathname} fallback={({ reset }) => <ErrorScreen onRetry={reset} />}>
+      <Outlet />
+    </ErrorBoundary>
+  )
+}
+
+export default ErrorBoundary
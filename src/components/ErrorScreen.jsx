@@ -0,0 +1,51 @@
+import { Link } from 'react-router-dom'
+import { useI18n } from '../lib/i18n'
+import SiteHeader from './SiteHeader'
+import SiteFooter from './SiteFooter'
+
+function Message({ onRetry, home }) {
+  const { t } = useI18n()
+  return (
+    <main className="flex-1 max-w-2xl mx-auto px-6 py-24 text-center">
+      <p className="inline-block text-xs uppercase tracking-widest font-semibold text-primary-strong bg-primary-soft/70 px-2.5 py-1 rounded">{t('errorPage.eyebrow')}</p>
+      <h1 className="mt-5 text-3xl md:text-5xl font-extrabold leading-tight">{t('errorPage.title')}</h1>
+      <p className="mt-4 text-lg text-muted">{t('errorPage.body')}</p>
+      <div className="mt-8 flex flex-wrap justify-center gap-3">
+        <button type="button" onClick={onRetry} className="bg-primary hover:bg-primary/90 text-white px-5 py-3 rounded-md font-semibold shadow">{t('errorPage.retry')}</button>
+        {home}
+      </div>
+    </main>
+  )
+}
+
+const secondaryButton = 'px-5 py-3 rounded-md font-semibold border border-line-strong/80 hover:border-subtle/90 bg-surface/60'
+
+/**
+ * Recovery screen after a crash. `bare` is for crashes outside the router, where the header
+ * may be what broke: no site chrome, and retrying reloads the page.
+ */
+function ErrorScreen({ onRetry, bare = false }) {
+  const { t } = useI18n()
+
+  if (bare) {
+    return (
+      <div className="min-h-screen flex flex-col text-ink">
+        <div className="max-w-6xl w-full mx-auto px-6 py-4 flex items-center gap-3">
+          <div className="h-9 w-9 rounded-lg bg-gradient-to-tr from-primary to-accent shadow-md" />
+          <span className="font-extrabold text-xl tracking-tight">{t('brand')}</span>
+        </div>
+        <Message onRetry={() => window.location.reload()} home={<a href="/" className={secondaryButton}>{t('errorPage.home')}</a>} />
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen flex flex-col text-ink">
+      <SiteHeader />
+      <Message onRetry={onRetry} home={<Link to="/" className={secondaryButton}>{t('errorPage.home')}</Link>} />
+      <SiteFooter />
+    </div>
+  )
+}
+
+export default ErrorScreen
@@ -0,0 +1,85 @@
+import { motion } from 'framer-motion'
+import { useI18n } from '../lib/i18n'
+import { formatEstimate } from '../lib/estimate'
+import { Reveal } from './motion'
+import { ChoiceGroup } from './formFields'
+
+// Option keys the pricing rules are written against; the numbers behind them come from the rules
+const SCOPES = ['mvp', 'standard', 'enterprise']
+const PLATFORMS = ['web', 'ios', 'android', 'admin']
+const INTEGRATIONS = ['none', 'few', 'several', 'many']
+const URGENCIES = ['flexible', 'standard', 'fast']
+
+/** Controlled: the page owns the selection and the estimate, so the lead form can send them along. */
+function Estimator({ services, selection, estimate, onChange, onUse }) {
+  const i18n = useI18n()
+  const { t } = i18n
+  const shown = estimate && formatEstimate(estimate, i18n)
+  const options = (keys, group) => keys.map((value) => ({ value, label: t(`estimator.${group}.${value}`) }))
+
+  return (
+    <section id="estimate" className="py-20">
+      <div className="max-w-6xl mx-auto px-6">
+        <Reveal section="estimator">
+          <h2 className="text-3xl md:text-4xl font-extrabold">{t('estimator.title')}</h2>
+          <p className="mt-2 text-muted max-w-2xl">{t('estimator.intro')}</p>
+        </Reveal>
+
+        <div className="mt-10 grid lg:grid-cols-5 gap-8 items-start">
+          <div className="lg:col-span-3">
+            <Reveal delay={0.05}>
+              <div className="space-y-6 bg-surface/80 backdrop-blur border border-line rounded-2xl p-6 shadow-sm">
+                <ChoiceGroup
+                  idPrefix="estimate"
+                  field="services"
+                  legend={t('estimator.servicesLegend')}
+                  options={services.map((svc) => ({ value: svc.slug, label: svc.title }))}
+                  values={selection}
+                  onChange={onChange}
+                  columns="grid-cols-2"
+                  multiple
+                />
+                <ChoiceGroup idPrefix="estimate" field="scope" legend={t('estimator.scopeLegend')} options={options(SCOPES, 'scopes')} values={selection} onChange={onChange} columns="grid-cols-2 sm:grid-cols-3" />
+                <ChoiceGroup idPrefix="estimate" field="platforms" legend={t('estimator.platformsLegend')} options={options(PLATFORMS, 'platforms')} values={selection} onChange={onChange} columns="grid-cols-2 sm:grid-cols-4" multiple />
+                <ChoiceGroup idPrefix="estimate" field="integrations" legend={t('estimator.integrationsLegend')} options={options(INTEGRATIONS, 'integrations')} values={selection} onChange={onChange} columns="grid-cols-2 sm:grid-cols-4" />
+                <ChoiceGroup idPrefix="estimate" field="urgency" legend={t('estimator.urgencyLegend')} options={options(URGENCIES, 'urgencies')} values={selection} onChange={onChange} columns="grid-cols-2 sm:grid-cols-3" />
+              </div>
+            </Reveal>
+          </div>
+
+          <div className="lg:col-span-2 lg:sticky lg:top-24">
+            <Reveal delay={0.1}>
+              <div className="rounded-2xl p-6 shadow-xl text-white bg-gradient-to-br from-accent-strong to-primary">
+                <h3 className="text-sm uppercase tracking-widest font-semibold text-white/80">{t('estimator.result')}</h3>
+                <div aria-live="polite" className="mt-4">
+                  {shown ? (
+                    <dl className="space-y-4">
+                      <div>
+                        <dt className="text-sm text-white/80">{t('estimator.budget')}</dt>
+                        <dd className="text-2xl md:text-3xl font-extrabold">{shown.budget}</dd>
+                      </div>
+                      <div>
+                        <dt className="text-sm text-white/80">{t('estimator.timeline')}</dt>
+                        <dd className="text-2xl font-bold">{shown.timeline}</dd>
+                      </div>
+                    </dl>
+                  ) : (
+                    <p className="text-white/90">{t('estimator.empty')}</p>
+                  )}
+                </div>
+                <p className="mt-6 text-xs text-white/80">{t('estimator.disclaimer')}</p>
+                {estimate && (
+                  <motion.a whileHover={{ y: -2 }} whileTap={{ y: 0 }} href="#contact" onClick={onUse} className="mt-6 block text-center bg-white text-primary px-5 py-3 rounded-md font-semibold shadow">
+                    {t('estimator.use')}
+                  </motion.a>
+                )}
+              </div>
+            </Reveal>
+          </div>
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default Estimator
@@ -0,0 +1,104 @@
+import { Suspense, lazy, useEffect, useRef, useState } from 'react'
+import { motion } from 'framer-motion'
+import { useMotionPreference } from '../lib/motionPreference'
+import { track } from '../lib/analytics'
+import ErrorBoundary from './ErrorBoundary'
+
+// The runtime is several hundred kilobytes, so it is only fetched for visitors who will see the scene
+const Spline = lazy(() => import('@splinetool/react-spline'))
+
+// Connections on which a multi-megabyte scene would compete with the rest of the page
+const SLOW_CONNECTIONS = ['slow-2g', '2g', '3g']
+
+function isSlowConnection() {
+  const connection = navigator.connection
+  return Boolean(connection && (connection.saveData || SLOW_CONNECTIONS.includes(connection.effectiveType)))
+}
+
+// Runs `callback` once the page has loaded and the main thread is idle; returns a cancel function
+function whenIdleAfterLoad(callback) {
+  let idle = null
+  const schedule = () => {
+    idle = window.requestIdleCallback
+      ? { id: window.requestIdleCallback(callback, { timeout: 2000 }), cancel: window.cancelIdleCallback }
+      : { id: setTimeout(callback, 200), cancel: clearTimeout }
+  }
+  if (document.readyState === 'complete') schedule()
+  else window.addEventListener('load', schedule, { once: true })
+  return () => {
+    window.removeEventListener('load', schedule)
+    if (idle) idle.cancel(idle.id)
+  }
+}
+
+/**
+ * The hero's gradient card, with the company's Spline `scene` faded in over it once the page has
+ * loaded and the card is in view. The card stays on its own for reduced motion, slow connections
+ * and scenes that fail to load, and the scene stops rendering while scrolled offscreen.
+ */
+function HeroScene({ scene }) {
+  const { reduced } = useMotionPreference()
+  const card = useRef(null)
+  const app = useRef(null)
+  const [requested, setRequested] = useState(false)
+  const [loaded, setLoaded] = useState(false)
+  const enabled = Boolean(scene) && !reduced
+
+  useEffect(() => {
+    if (!enabled || requested || isSlowConnection()) return undefined
+    let cancel = () => {}
+    const observer = new IntersectionObserver(([entry]) => {
+      if (!entry.isIntersecting) return
+      observer.disconnect()
+      cancel = whenIdleAfterLoad(() => setRequested(true))
+    }, { rootMargin: '200px' })
+    observer.observe(card.current)
+    return () => {
+      observer.disconnect()
+      cancel()
+    }
+  }, [enabled, requested])
+
+  useEffect(() => {
+    if (!enabled || !loaded) return undefined
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) app.current?.play()
+      else app.current?.stop()
+    })
+    observer.observe(card.current)
+    return () => observer.disconnect()
+  }, [enabled, loaded])
+
+  // A new scene, or one unmounted by reduced motion, starts hidden until it has loaded again
+  useEffect(() => {
+    setLoaded(false)
+  }, [enabled, scene])
+
+  const onLoad = (application) => {
+    app.current = application
+    setLoaded(true)
+    track('hero_scene_loaded', { ms: Math.round(performance.now()) })
+  }
+
+  return (
+    <motion.div ref={card} initial={{ scale: 0.96, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} transition={{ duration: 0.7, ease: 'easeOut' }} className="aspect-[4/3] rounded-2xl bg-gradient-to-br from-accent-strong to-primary shadow-2xl relative overflow-hidden">
+      {/* Animated shine, until the scene takes over */}
+      {!loaded && (
+        <div className="absolute inset-0 [mask-image:radial-gradient(white,transparent_70%)]">
+          <div className="absolute -inset-1 shimmer" />
+        </div>
+      )}
+      {enabled && requested && (
+        <ErrorBoundary resetKey={scene} fallback={() => null}>
+          <Suspense fallback={null}>
+            <div aria-hidden className={`absolute inset-0 transition-opacity duration-700 ${loaded ? 'opacity-100' : 'opacity-0'}`}>
+              <Spline scene={scene} onLoad={onLoad} />
+            </div>
+          </Suspense>
+        </ErrorBoundary>
+      )}
+    </motion.div>
+  )
+}
+
+export default HeroScene
@@ -0,0 +1,31 @@
+import { useMemo } from 'react'
+import { useI18n } from '../lib/i18n'
+
+/** Location, discipline and contract type as pills. Unknown keys from the API show as sent. */
+export function useJobLabels() {
+  const { t } = useI18n()
+  return useMemo(() => {
+    const label = (group, key) => {
+      const text = t(`careers.${group}.${key}`)
+      return text === `careers.${group}.${key}` ? key : text
+    }
+    return {
+      location: (key) => label('locations', key),
+      discipline: (key) => label('disciplines', key),
+      employmentType: (key) => label('employmentTypes', key),
+    }
+  }, [t])
+}
+
+function JobTags({ job, className = '' }) {
+  const labels = useJobLabels()
+  return (
+    <div className={`flex flex-wrap gap-2 text-xs font-semibold ${className}`}>
+      <span className="px-2 py-0.5 rounded bg-primary-soft text-primary-strong">{labels.discipline(job.discipline)}</span>
+      <span className="px-2 py-0.5 rounded bg-surface-muted text-muted">{labels.location(job.location)}</span>
+      {job.employmentType && <span className="px-2 py-0.5 rounded bg-surface-muted text-muted">{labels.employmentType(job.employmentType)}</span>}
+    </div>
+  )
+}
+
+export default JobTags
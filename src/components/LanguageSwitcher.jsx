@@ -0,0 +1,20 @@
+import { LANGUAGES, useI18n } from '../lib/i18n'
+
+function LanguageSwitcher({ className = '' }) {
+  const { lang, setLang, t } = useI18n()
+  const next = lang === 'ar' ? 'en' : 'ar'
+
+  return (
+    <button
+      type="button"
+      onClick={() => setLang(next)}
+      lang={next}
+      aria-label={`${t('language.label')}: ${LANGUAGES[next].label}`}
+      className={`px-3 py-1.5 rounded-md text-sm font-semibold border border-line-strong/80 hover:border-subtle/90 bg-surface/60 transition-colors ${className}`}
+    >
+      {t('language.switchTo')}
+    </button>
+  )
+}
+
+export default LanguageSwitcher
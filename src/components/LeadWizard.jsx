@@ -0,0 +1,275 @@
+import { useEffect, useRef, useState } from 'react'
+import { motion } from 'framer-motion'
+import { useI18n } from '../lib/i18n'
+import { validate } from '../lib/validation'
+import { onPageHide, track } from '../lib/analytics'
+import { formatEstimate } from '../lib/estimate'
+import { ChoiceGroup, TextField } from './formFields'
+
+export const BUDGETS = ['lt-200k', '200k-500k', '500k-1m', 'gt-1m', 'unsure']
+export const TIMELINES = ['asap', '1-3-months', '3-6-months', 'flexible']
+
+/** Budget option covering the middle of an estimate; estimates in other currencies stay 'unsure'. */
+export function budgetForEstimate(estimate) {
+  if (estimate.currency !== 'SAR') return 'unsure'
+  const middle = (estimate.low + estimate.high) / 2
+  if (middle < 200000) return 'lt-200k'
+  if (middle < 500000) return '200k-500k'
+  if (middle < 1000000) return '500k-1m'
+  return 'gt-1m'
+}
+
+const STEPS = [
+  {
+    id: 'contact',
+    schema: {
+      name: { required: true, minLength: 2, maxLength: 120 },
+      email: { required: true, email: true, maxLength: 254 },
+      company: { maxLength: 120 },
+      country: { maxLength: 80 },
+    },
+  },
+  {
+    id: 'services',
+    schema: {
+      services: { minItems: 1 },
+      message: { maxLength: 2000 },
+    },
+  },
+  {
+    id: 'budget',
+    schema: {
+      budget: { required: true, oneOf: BUDGETS },
+      timeline: { required: true, oneOf: TIMELINES },
+    },
+  },
+  { id: 'review', schema: {} },
+]
+
+export const emptyLead = { name: '', email: '', company: '', country: '', services: [], message: '', budget: '', timeline: '' }
+
+// Submission outcomes the wizard reports under the submit button
+const STATUS_TONES = {
+  success: 'text-green-600 dark:text-green-400',
+  queued: 'text-amber-700 dark:text-amber-400',
+  error: 'text-red-600 dark:text-red-400',
+  invalid: 'text-red-600 dark:text-red-400',
+  rejected: 'text-red-600 dark:text-red-400',
+}
+
+function stepOfField(field) {
+  const index = STEPS.findIndex((step) => field in step.schema)
+  return index === -1 ? null : index
+}
+
+/**
+ * `prefill` adds services and fills an unanswered budget and message, e.g. from a ?service= link,
+ * the estimator or a chat hand-off.
+ * `estimate` is shown on the review step; the page sends it along with the lead.
+ */
+function LeadWizard({ services, prefill, estimate, leadStatus, onSubmit }) {
+  const i18n = useI18n()
+  const { locale, t } = i18n
+  const [step, setStep] = useState(0)
+  const [lead, setLead] = useState(emptyLead)
+  const [errors, setErrors] = useState({})
+  // Last field the visitor focused; null until they start, and again once the lead is sent
+  const lastField = useRef(null)
+  const currentStep = useRef(STEPS[0].id)
+  currentStep.current = STEPS[step].id
+  // When the visitor started this lead; the spam checks reject forms finished inhumanly fast
+  const startedAt = useRef(Date.now())
+
+  // Leaving with a started form, by closing the page or navigating elsewhere in the app, is an abandon
+  useEffect(() => {
+    const reportAbandon = () => {
+      if (!lastField.current) return
+      track('form_abandon', { step: currentStep.current, lastField: lastField.current })
+      lastField.current = null
+    }
+    const unsubscribe = onPageHide(reportAbandon)
+    return () => {
+      unsubscribe()
+      reportAbandon()
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!prefill) return
+    setLead((prev) => {
+      const added = (prefill.services || []).filter((slug) => !prev.services.includes(slug))
+      const budget = prev.budget || prefill.budget || ''
+      const message = prev.message || prefill.message || ''
+      if (!added.length && budget === prev.budget && message === prev.message) return prev
+      return { ...prev, services: [...prev.services, ...added], budget, message }
+    })
+  }, [prefill])
+
+  const onChange = (field, value) => {
+    setLead((prev) => ({ ...prev, [field]: value }))
+    setErrors((prev) => {
+      if (!prev[field]) return prev
+      const { [field]: _cleared, ...rest } = prev
+      return rest
+    })
+  }
+
+  // Focus bubbles up from every input; ids and radio names all follow lead-<field>
+  const onFocus = (e) => {
+    const field = /^lead-([a-z]+)$/.exec(e.target.id || e.target.name || '')?.[1]
+    if (!field || field === lastField.current) return
+    lastField.current = field
+    track('form_field_focus', { field, step: STEPS[step].id })
+  }
+
+  const next = () => {
+    const stepErrors = validate(STEPS[step].schema, lead)
+    setErrors(stepErrors)
+    if (Object.keys(stepErrors).length === 0) setStep((s) => Math.min(s + 1, STEPS.length - 1))
+  }
+
+  const back = () => {
+    setErrors({})
+    setStep((s) => Math.max(s - 1, 0))
+  }
+
+  const submit = async (e) => {
+    e.preventDefault()
+    if (step < STEPS.length - 1) return next()
+    const honeypot = e.currentTarget.elements.website?.value || ''
+
+    // Re-check every step in case data changed after it was passed
+    for (let i = 0; i < STEPS.length; i++) {
+      const stepErrors = validate(STEPS[i].schema, lead)
+      if (Object.keys(stepErrors).length) {
+        setErrors(stepErrors)
+        setStep(i)
+        return
+      }
+    }
+
+    const result = await onSubmit(lead, { honeypot, startedAt: startedAt.current })
+    if (result?.ok) {
+      lastField.current = null
+      startedAt.current = Date.now()
+      setLead(emptyLead)
+      setErrors({})
+      setStep(0)
+    } else if (result?.fieldErrors && Object.keys(result.fieldErrors).length) {
+      setErrors(result.fieldErrors)
+      const steps = Object.keys(result.fieldErrors).map(stepOfField).filter((i) => i !== null)
+      if (steps.length) setStep(Math.min(...steps))
+    }
+  }
+
+  const serviceOptions = services.map((svc) => ({ value: svc.slug, label: svc.title }))
+  const budgetOptions = BUDGETS.map((value) => ({ value, label: t(`wizard.budgets.${value}`) }))
+  const timelineOptions = TIMELINES.map((value) => ({ value, label: t(`wizard.timelines.${value}`) }))
+  const serviceTitle = (slug) => services.find((svc) => svc.slug === slug)?.title || slug
+  // Server errors for fields the wizard does not render still need to surface
+  const unmappedErrors = Object.entries(errors).filter(([field]) => stepOfField(field) === null)
+  const current = STEPS[step].id
+  const shownEstimate = estimate && formatEstimate(estimate, i18n)
+
+  return (
+    <form onSubmit={submit} onFocus={onFocus} noValidate className="relative bg-surface/90 backdrop-blur border border-line rounded-2xl p-6 shadow">
+      {/* Honeypot: off-screen rather than display:none, which some bots know to skip */}
+      <div aria-hidden="true" className="absolute -start-[9999px] top-0 h-px w-px overflow-hidden">
+        <label>
+          Website
+          <input type="text" name="website" tabIndex={-1} autoComplete="off" defaultValue="" />
+        </label>
+      </div>
+      <ol className="flex items-center gap-2 text-xs font-semibold mb-6">
+        {STEPS.map((s, i) => (
+          <li key={s.id} aria-current={i === step ? 'step' : undefined} className="flex-1">
+            <div className={`h-1.5 rounded-full ${i <= step ? 'bg-primary' : 'bg-line'}`} />
+            <span className={`mt-2 block ${i === step ? 'text-primary-strong' : 'text-subtle'}`}>{t(`wizard.steps.${s.id}`)}</span>
+          </li>
+        ))}
+      </ol>
+
+      {current === 'contact' && (
+        <div className="grid sm:grid-cols-2 gap-4">
+          <TextField idPrefix="lead" field="name" label={t('form.name')} placeholder={t('form.namePlaceholder')} autoComplete="name" values={lead} errors={errors} onChange={onChange} className="sm:col-span-2" />
+          <TextField idPrefix="lead" field="email" label={t('form.email')} placeholder={t('form.emailPlaceholder')} type="email" dir="ltr" autoComplete="email" values={lead} errors={errors} onChange={onChange} className="sm:col-span-2" />
+          <TextField idPrefix="lead" field="company" label={t('form.company')} placeholder={t('form.companyPlaceholder')} autoComplete="organization" values={lead} errors={errors} onChange={onChange} />
+          <TextField idPrefix="lead" field="country" label={t('form.country')} placeholder={t('form.countryPlaceholder')} autoComplete="country-name" values={lead} errors={errors} onChange={onChange} />
+        </div>
+      )}
+
+      {current === 'services' && (
+        <div className="space-y-4">
+          <ChoiceGroup idPrefix="lead" field="services" legend={t('wizard.servicesLegend')} options={serviceOptions} values={lead} errors={errors} onChange={onChange} multiple />
+          <TextField idPrefix="lead" field="message" label={t('form.message')} placeholder={t('form.messagePlaceholder')} rows={4} multiline values={lead} errors={errors} onChange={onChange} />
+        </div>
+      )}
+
+      {current === 'budget' && (
+        <div className="space-y-6">
+          <ChoiceGroup idPrefix="lead" field="budget" legend={t('wizard.budgetLegend')} options={budgetOptions} values={lead} errors={errors} onChange={onChange} />
+          <ChoiceGroup idPrefix="lead" field="timeline" legend={t('wizard.timelineLegend')} options={timelineOptions} values={lead} errors={errors} onChange={onChange} />
+        </div>
+      )}
+
+      {current === 'review' && (
+        <dl className="grid sm:grid-cols-2 gap-4 text-sm">
+          {shownEstimate && (
+            <div className="sm:col-span-2 rounded-md bg-primary-soft/70 px-3 py-2">
+              <dt className="flex items-center justify-between text-subtle">
+                {t('wizard.review.estimate')}
+                <a href="#estimate" aria-label={t('wizard.editField', { field: t('wizard.review.estimate') })} className="text-xs font-semibold text-primary-strong hover:text-primary">{t('wizard.edit')}</a>
+              </dt>
+              <dd className="mt-0.5 font-medium">{shownEstimate.budget} · {shownEstimate.timeline}</dd>
+            </div>
+          )}
+          {[
+            ['name', lead.name, 0],
+            ['email', lead.email, 0],
+            ['company', lead.company, 0],
+            ['country', lead.country, 0],
+            ['services', new Intl.ListFormat(locale).format(lead.services.map(serviceTitle)), 1],
+            ['budget', lead.budget && t(`wizard.budgets.${lead.budget}`), 2],
+            ['timeline', lead.timeline && t(`wizard.timelines.${lead.timeline}`), 2],
+            ['message', lead.message, 1],
+          ].map(([field, value, stepIndex]) => (
+            <div key={field} className={field === 'message' ? 'sm:col-span-2' : ''}>
+              <dt className="flex items-center justify-between text-subtle">
+                {t(`wizard.review.${field}`)}
+                <button type="button" onClick={() => setStep(stepIndex)} aria-label={t('wizard.editField', { field: t(`wizard.review.${field}`) })} className="text-xs font-semibold text-primary-strong hover:text-primary">{t('wizard.edit')}</button>
+              </dt>
+              <dd className="mt-0.5 font-medium break-words whitespace-pre-line">{value || '—'}</dd>
+            </div>
+          ))}
+        </dl>
+      )}
+
+      {unmappedErrors.length > 0 && (
+        <ul className="mt-4 text-sm text-red-600 dark:text-red-400 list-disc ps-5">
+          {unmappedErrors.map(([field, error]) => (
+            <li key={field}>{error.message || t(error.key, error.vars)}</li>
+          ))}
+        </ul>
+      )}
+
+      <div className="mt-6 flex gap-3">
+        {step > 0 && (
+          <button type="button" onClick={back} className="px-5 py-3 rounded-md font-semibold border border-line-strong/80 hover:border-subtle/90 bg-surface">
+            {t('wizard.back')}
+          </button>
+        )}
+        <motion.button whileHover={{ y: -2 }} whileTap={{ y: 0 }} disabled={leadStatus.state === 'submitting'} type="submit" className="flex-1 bg-primary hover:bg-primary/90 disabled:opacity-60 text-white font-semibold py-3 rounded-md">
+          {current !== 'review' ? t('wizard.next') : leadStatus.state === 'submitting' ? t('form.submitting') : t('form.submit')}
+        </motion.button>
+      </div>
+      {/* Always rendered: screen readers only announce changes to a live region that already exists */}
+      <div aria-live="polite" aria-atomic="true">
+        {STATUS_TONES[leadStatus.state] && leadStatus.message && (
+          <p className={`mt-3 text-sm ${STATUS_TONES[leadStatus.state]}`}>{leadStatus.message}</p>
+        )}
+      </div>
+    </form>
+  )
+}
+
+export default LeadWizard
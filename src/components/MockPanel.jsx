@@ -0,0 +1,36 @@
+import { useState } from 'react'
+import { useI18n } from '../lib/i18n'
+import { SCENARIOS } from '../mocks/mode'
+
+/** Shown only in mock mode: which scenario the fake backend plays, and a way to switch or leave. */
+function MockPanel({ mock }) {
+  const { t } = useI18n()
+  const [scenario, setScenario] = useState(mock.scenario)
+
+  const change = (e) => {
+    mock.setScenario(e.target.value)
+    setScenario(e.target.value)
+  }
+
+  const turnOff = () => {
+    const url = new URL(window.location.href)
+    url.searchParams.set('mock', '0')
+    url.searchParams.delete('scenario')
+    window.location.assign(url)
+  }
+
+  return (
+    <div className="fixed bottom-4 start-4 z-50 flex items-center gap-2 rounded-full border border-amber-300 bg-amber-50 px-3 py-1.5 text-xs font-semibold text-amber-900 shadow-lg">
+      <span aria-hidden="true" className="h-2 w-2 rounded-full bg-amber-500" />
+      <label htmlFor="mock-scenario">{t('mock.label')}</label>
+      <select id="mock-scenario" value={scenario} onChange={change} className="rounded border border-amber-300 bg-white px-1.5 py-0.5 font-normal">
+        {SCENARIOS.map((name) => (
+          <option key={name} value={name}>{t(`mock.scenarios.${name}`)}</option>
+        ))}
+      </select>
+      <button type="button" onClick={turnOff} className="underline hover:no-underline">{t('mock.turnOff')}</button>
+    </div>
+  )
+}
+
+export default MockPanel
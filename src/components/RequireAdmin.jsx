@@ -0,0 +1,14 @@
+import { Navigate, Outlet, useLocation } from 'react-router-dom'
+import { getAdminToken } from '../lib/adminAuth'
+
+// Route guard for the /admin area: without a session token, go to the login
+// screen and come back to the requested page afterwards.
+function RequireAdmin() {
+  const location = useLocation()
+  if (!getAdminToken()) {
+    return <Navigate to="/admin/login" replace state={{ from: location }} />
+  }
+  return <Outlet />
+}
+
+export default RequireAdmin
@@ -0,0 +1,50 @@
+import { useI18n } from '../lib/i18n'
+import { useMotionPreference } from '../lib/motionPreference'
+import { useConsent } from '../lib/consent'
+
+function MotionToggle() {
+  const { t } = useI18n()
+  const { reduced, lowPower, setPreference } = useMotionPreference()
+
+  return (
+    <div className="flex items-center gap-2 text-sm text-muted">
+      <button
+        type="button"
+        role="switch"
+        aria-checked={reduced}
+        aria-describedby={lowPower ? 'motion-auto-note' : undefined}
+        onClick={() => setPreference(reduced ? 'full' : 'reduce')}
+        className="flex items-center gap-2 rounded focus:outline-none focus-visible:ring-2 focus-visible:ring-primary"
+      >
+        <span className={`relative inline-flex h-5 w-9 shrink-0 rounded-full transition-colors ${reduced ? 'bg-primary' : 'bg-line-strong'}`}>
+          <span className={`absolute top-0.5 start-0.5 h-4 w-4 rounded-full bg-white shadow transition-transform ${reduced ? 'translate-x-4 rtl:-translate-x-4' : ''}`} />
+        </span>
+        {t('footer.reduceMotion')}
+      </button>
+      {lowPower && <span id="motion-auto-note" className="text-xs text-subtle">{t('footer.reducedAutomatically')}</span>}
+    </div>
+  )
+}
+
+function SiteFooter() {
+  const { t } = useI18n()
+  const { setPreferencesOpen } = useConsent()
+
+  return (
+    <footer className="py-10 border-t border-line/60 bg-surface/60 backdrop-blur">
+      <div className="max-w-6xl mx-auto px-6 flex flex-col md:flex-row items-center justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <div className="h-7 w-7 rounded bg-gradient-to-tr from-primary to-accent" />
+          <span className="font-bold">{t('brand')}</span>
+        </div>
+        <div className="flex flex-wrap items-center gap-x-6 gap-y-2">
+          <MotionToggle />
+          <button type="button" onClick={() => setPreferencesOpen(true)} className="text-sm text-muted hover:text-primary-strong">{t('consent.manage')}</button>
+        </div>
+        <div className="text-sm text-subtle">{t('footer.rights', { year: new Date().getFullYear() })}</div>
+      </div>
+    </footer>
+  )
+}
+
+export default SiteFooter
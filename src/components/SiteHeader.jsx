@@ -0,0 +1,129 @@
+import { useEffect, useState } from 'react'
+import { Link, useLocation } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import * as Dialog from '@radix-ui/react-dialog'
+import { Menu, X } from 'lucide-react'
+import { useI18n } from '../lib/i18n'
+import LanguageSwitcher from './LanguageSwitcher'
+import ThemeToggle from './ThemeToggle'
+import { track } from '../lib/analytics'
+import { getCompany } from '../lib/api'
+import { useBrandColors } from '../lib/theme'
+import { useSwr } from '../lib/useSwr'
+import { useScrollSpy } from '../lib/useScrollSpy'
+
+// `section` links point into the home page and light up while it is scrolled to them
+const NAV = [
+  { key: 'services', to: '/#services', section: 'services' },
+  { key: 'work', to: '/#work', section: 'work' },
+  { key: 'whyUs', to: '/#credibility', section: 'credibility' },
+  { key: 'careers', to: '/careers' },
+  { key: 'contact', to: '/#contact', section: 'contact' },
+]
+const SECTIONS = NAV.filter((item) => item.section).map((item) => item.section)
+// Tailwind's md breakpoint, where the inline nav takes over from the drawer
+const DESKTOP = '(min-width: 768px)'
+
+function SiteHeader() {
+  const { dir, lang, t } = useI18n()
+  const { pathname } = useLocation()
+  const [menuOpen, setMenuOpen] = useState(false)
+  // Every public page has the header, so partner brand colors apply wherever a visitor lands
+  const { data: company } = useSwr(`company:${lang}`, (signal) => getCompany({ lang, signal }))
+  useBrandColors(company?.brand)
+  const activeSection = useScrollSpy(SECTIONS, { enabled: pathname === '/' })
+
+  // A drawer left open while the window widens would sit over the desktop layout
+  useEffect(() => {
+    if (!menuOpen) return undefined
+    const query = window.matchMedia(DESKTOP)
+    const close = () => query.matches && setMenuOpen(false)
+    close()
+    query.addEventListener('change', close)
+    return () => query.removeEventListener('change', close)
+  }, [menuOpen])
+
+  const current = (item) => {
+    if (item.section) return item.section === activeSection ? 'location' : undefined
+    return pathname === item.to || pathname.startsWith(`${item.to}/`) ? 'page' : undefined
+  }
+
+  const workWithUs = (location) => () => {
+    track('cta_click', { cta: 'work_with_us', location })
+    setMenuOpen(false)
+  }
+
+  return (
+    <header className="sticky top-0 z-20 backdrop-blur bg-surface/70 border-b border-line/60">
+      <div className="max-w-6xl mx-auto px-6 py-4 flex items-center justify-between">
+        <motion.div initial={{ opacity: 0, x: dir === 'rtl' ? 10 : -10 }} animate={{ opacity: 1, x: 0 }} transition={{ duration: 0.5 }}>
+          <Link to="/" className="flex items-center gap-3">
+            <div className="h-9 w-9 rounded-lg bg-gradient-to-tr from-primary to-accent shadow-md" />
+            <span className="font-extrabold text-xl tracking-tight">{t('brand')}</span>
+          </Link>
+        </motion.div>
+        <nav aria-label={t('nav.label')} className="hidden md:flex items-center gap-6 text-sm">
+          {NAV.map((item) => (
+            <Link
+              key={item.key}
+              to={item.to}
+              aria-current={current(item)}
+              className={`transition-colors hover:text-primary ${current(item) ? 'text-primary-strong font-semibold' : ''}`}
+            >
+              {t(`nav.${item.key}`)}
+            </Link>
+          ))}
+          <a href="/test" className="text-subtle hover:text-primary transition-colors">{t('nav.systemTest')}</a>
+        </nav>
+        <div className="flex items-center gap-3">
+          <ThemeToggle />
+          <LanguageSwitcher />
+          <Link to="/#contact" onClick={workWithUs('header')} className="hidden md:inline-flex bg-primary hover:bg-primary/90 text-white px-4 py-2 rounded-md font-semibold shadow transition-colors">{t('nav.workWithUs')}</Link>
+
+          <Dialog.Root open={menuOpen} onOpenChange={setMenuOpen}>
+            <Dialog.Trigger asChild>
+              <button type="button" aria-label={t('nav.openMenu')} className="md:hidden rounded-md p-2 text-ink hover:text-primary focus:outline-none focus-visible:ring-2 focus-visible:ring-primary">
+                <Menu aria-hidden className="h-6 w-6" />
+              </button>
+            </Dialog.Trigger>
+            <Dialog.Portal>
+              <Dialog.Overlay className="fixed inset-0 z-50 bg-slate-900/40 backdrop-blur-sm" />
+              <Dialog.Content aria-describedby={undefined} className="fixed inset-y-0 end-0 z-50 flex w-80 max-w-[85%] flex-col bg-surface p-6 shadow-2xl text-ink focus:outline-none">
+                <div className="flex items-center justify-between">
+                  <Dialog.Title className="font-extrabold text-xl tracking-tight">{t('nav.menu')}</Dialog.Title>
+                  <Dialog.Close asChild>
+                    <button type="button" aria-label={t('nav.closeMenu')} className="rounded-md p-2 text-subtle hover:text-ink">
+                      <X aria-hidden className="h-5 w-5" />
+                    </button>
+                  </Dialog.Close>
+                </div>
+                <nav aria-label={t('nav.label')} className="mt-6">
+                  <ul className="space-y-1">
+                    {NAV.map((item) => (
+                      <li key={item.key}>
+                        <Link
+                          to={item.to}
+                          onClick={() => setMenuOpen(false)}
+                          aria-current={current(item)}
+                          className={`block rounded-md px-3 py-2.5 text-base font-semibold transition-colors ${current(item) ? 'bg-primary-soft/70 text-primary-strong' : 'hover:bg-surface-muted'}`}
+                        >
+                          {t(`nav.${item.key}`)}
+                        </Link>
+                      </li>
+                    ))}
+                    <li>
+                      <a href="/test" className="block rounded-md px-3 py-2.5 text-base text-subtle hover:bg-surface-muted">{t('nav.systemTest')}</a>
+                    </li>
+                  </ul>
+                </nav>
+                <Link to="/#contact" onClick={workWithUs('menu')} className="mt-auto block text-center bg-primary hover:bg-primary/90 text-white px-4 py-3 rounded-md font-semibold shadow transition-colors">{t('nav.workWithUs')}</Link>
+              </Dialog.Content>
+            </Dialog.Portal>
+          </Dialog.Root>
+        </div>
+      </div>
+    </header>
+  )
+}
+
+export default SiteHeader
@@ -0,0 +1,24 @@
+import { Moon, Sun } from 'lucide-react'
+import { useI18n } from '../lib/i18n'
+import { useTheme } from '../lib/theme'
+
+function ThemeToggle({ className = '' }) {
+  const { t } = useI18n()
+  const { theme, systemTheme, setPreference } = useTheme()
+  const next = theme === 'dark' ? 'light' : 'dark'
+
+  return (
+    <button
+      type="button"
+      // Picking what the OS already uses goes back to following it
+      onClick={() => setPreference(next === systemTheme ? 'system' : next)}
+      aria-label={t(next === 'dark' ? 'theme.toDark' : 'theme.toLight')}
+      title={t(next === 'dark' ? 'theme.toDark' : 'theme.toLight')}
+      className={`p-2 rounded-md border border-line-strong/80 hover:border-subtle/90 bg-surface/60 transition-colors ${className}`}
+    >
+      {theme === 'dark' ? <Sun aria-hidden="true" className="h-4 w-4" /> : <Moon aria-hidden="true" className="h-4 w-4" />}
+    </button>
+  )
+}
+
+export default ThemeToggle
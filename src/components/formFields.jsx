@@ -0,0 +1,72 @@
+import { useI18n } from '../lib/i18n'
+
+// Fields shared by the site's forms. Each form passes an `idPrefix` so ids stay unique on the page.
+
+export const inputClass = 'mt-1 w-full rounded-md border px-3 py-2 focus:outline-none focus:ring-2 focus:ring-primary bg-surface'
+
+export function FieldError({ id, error }) {
+  const { t } = useI18n()
+  if (!error) return null
+  return <p id={id} className="mt-1 text-xs text-red-600 dark:text-red-400">{error.message || t(error.key, error.vars)}</p>
+}
+
+export function TextField({ idPrefix, field, label, values, errors, onChange, className = '', multiline = false, ...inputProps }) {
+  const id = `${idPrefix}-${field}`
+  const error = errors[field]
+  const Input = multiline ? 'textarea' : 'input'
+  return (
+    <div className={className}>
+      <label htmlFor={id} className="block text-sm font-medium">{label}</label>
+      <Input
+        id={id}
+        value={values[field]}
+        onChange={(e) => onChange(field, e.target.value)}
+        aria-invalid={error ? true : undefined}
+        aria-describedby={error ? `${id}-error` : undefined}
+        className={`${inputClass} ${error ? 'border-red-400 dark:border-red-500' : 'border-line-strong'}`}
+        {...inputProps}
+      />
+      <FieldError id={`${id}-error`} error={error} />
+    </div>
+  )
+}
+
+/** Radio buttons, or checkboxes when `multiple`, laid out as cards in `columns`. */
+export function ChoiceGroup({ idPrefix, field, legend, options, values, errors = {}, onChange, multiple = false, columns = 'sm:grid-cols-2' }) {
+  const id = `${idPrefix}-${field}`
+  const error = errors[field]
+  const selected = multiple ? values[field] : [values[field]]
+
+  const toggle = (value) => {
+    if (!multiple) return onChange(field, value)
+    onChange(field, selected.includes(value) ? selected.filter((v) => v !== value) : [...selected, value])
+  }
+
+  return (
+    <fieldset aria-describedby={error ? `${id}-error` : undefined}>
+      <legend className="block text-sm font-medium">{legend}</legend>
+      <div className={`mt-2 grid ${columns} gap-2`}>
+        {options.map((opt) => {
+          const checked = selected.includes(opt.value)
+          return (
+            <label
+              key={opt.value}
+              className={`flex items-center gap-2 rounded-md border px-3 py-2 text-sm cursor-pointer transition-colors ${checked ? 'border-primary bg-primary-soft/70 text-primary-strong' : 'border-line-strong bg-surface hover:border-subtle'}`}
+            >
+              <input
+                type={multiple ? 'checkbox' : 'radio'}
+                name={id}
+                value={opt.value}
+                checked={checked}
+                onChange={() => toggle(opt.value)}
+                className="accent-primary"
+              />
+              {opt.label}
+            </label>
+          )
+        })}
+      </div>
+      <FieldError id={`${id}-error`} error={error} />
+    </fieldset>
+  )
+}
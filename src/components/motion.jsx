@@ -0,0 +1,95 @@
+import { useRef } from 'react'
+import { motion, useScroll, useSpring } from 'framer-motion'
+import { useI18n } from '../lib/i18n'
+import { useMotionPreference } from '../lib/motionPreference'
+import { track } from '../lib/analytics'
+
+// The CSS animations behind these layers stop under html[data-motion="reduced"]
+export function AnimatedBackground() {
+  return (
+    <div aria-hidden className="pointer-events-none fixed inset-0 -z-10 overflow-hidden">
+      {/* Dark blue animated aurora */}
+      <div className="aurora-blue" />
+
+      {/* Subtle grid */}
+      <div className="absolute inset-0 bg-grid-slate/30" />
+
+      {/* Gradient spotlight */}
+      <div className="absolute -top-20 left-1/2 -translate-x-1/2 h-[60vh] w-[90vw] max-w-6xl rounded-full bg-radial-blue blur-3xl opacity-40" />
+
+      {/* Floating blobs */}
+      <div className="gradient-blob blob-1" />
+      <div className="gradient-blob blob-2" />
+      <div className="gradient-blob blob-3" />
+
+      {/* Noise overlay */}
+      <div className="absolute inset-0 bg-noise opacity-[0.04] mix-blend-overlay" />
+    </div>
+  )
+}
+
+export function ScrollProgressBar() {
+  const { reduced } = useMotionPreference()
+  const { scrollYProgress } = useScroll()
+  const smoothed = useSpring(scrollYProgress, { stiffness: 120, damping: 30, mass: 0.2 })
+  return (
+    <motion.div style={{ scaleX: reduced ? scrollYProgress : smoothed }} className="fixed top-0 left-0 right-0 h-[2px] origin-left rtl:origin-right bg-gradient-to-r from-primary via-cyan-500 to-accent-strong z-30" />
+  )
+}
+
+/** `section` names the page section this reveals, and reports a `section_view` the first time it scrolls in. */
+export function Reveal({ children, delay = 0, section }) {
+  const { reduced } = useMotionPreference()
+  // Always a motion.div, so switching preference mid-visit never remounts the children
+  return (
+    <motion.div
+      initial={reduced ? false : { opacity: 0, y: 20 }}
+      animate={reduced ? { opacity: 1, y: 0 } : undefined}
+      whileInView={reduced ? undefined : { opacity: 1, y: 0 }}
+      onViewportEnter={section ? () => track('section_view', { section }) : undefined}
+      viewport={{ once: true, amount: 0.2 }}
+      transition={reduced ? { duration: 0 } : { duration: 0.6, ease: 'easeOut', delay }}
+    >
+      {children}
+    </motion.div>
+  )
+}
+
+export function TiltCard({ children }) {
+  const ref = useRef(null)
+  const { dir } = useI18n()
+  const { reduced } = useMotionPreference()
+
+  const onMove = (e) => {
+    const el = ref.current
+    if (!el) return
+    const rect = el.getBoundingClientRect()
+    // Measure from the inline-start edge so the tilt mirrors with the layout
+    const x = dir === 'rtl' ? rect.right - e.clientX : e.clientX - rect.left
+    const y = e.clientY - rect.top
+    const midX = rect.width / 2
+    const midY = rect.height / 2
+    const rotateX = ((y - midY) / midY) * -6
+    const rotateY = ((x - midX) / midX) * (dir === 'rtl' ? -6 : 6)
+    el.style.setProperty('--rx', `${rotateX}deg`)
+    el.style.setProperty('--ry', `${rotateY}deg`)
+  }
+
+  const onLeave = () => {
+    const el = ref.current
+    if (!el) return
+    el.style.setProperty('--rx', '0deg')
+    el.style.setProperty('--ry', '0deg')
+  }
+
+  return (
+    <div
+      ref={ref}
+      onMouseMove={reduced ? undefined : onMove}
+      onMouseLeave={reduced ? undefined : onLeave}
+      className={reduced ? undefined : '[transform:perspective(900px)_rotateX(var(--rx,0))_rotateY(var(--ry,0))] transition-transform duration-200 will-change-transform'}
+    >
+      {children}
+    </div>
+  )
+}
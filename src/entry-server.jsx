@@ -0,0 +1,90 @@
+import { renderToString } from 'react-dom/server'
+import { StaticRouter } from 'react-router-dom/server'
+import AppRoutes from './routes'
+import { I18nProvider } from './lib/i18n'
+import { MotionPreferenceProvider } from './lib/motionPreference'
+import { ThemeProvider } from './lib/theme'
+import { ConsentProvider } from './lib/consent'
+import { getCaseStudies, getCaseStudy, getCompany, getJob, getJobs, getService, getServices } from './lib/api'
+import { getFallbackCaseStudy, getFallbackContent, getFallbackService } from './lib/fallbackContent'
+import { serviceSlug } from './lib/slug'
+import { writeCache } from './lib/useSwr'
+import { pageMeta, renderHead, robotsTxt, sitemapXml } from './lib/seo'
+import en from './locales/en'
+
+// Build-time entry used by scripts/prerender.js; pages are prerendered in the default language.
+const LANG = 'en'
+
+// Seed the SWR cache with what the page will ask for, so it renders with content instead of a spinner.
+// The live backend wins when it answers at build time; otherwise the offline content is used.
+async function load(key, fetcher, fallback) {
+  let data
+  try {
+    data = await fetcher()
+  } catch (err) {
+    console.warn(`[prerender] ${key}: ${err.message}; using fallback content`)
+    data = fallback
+  }
+  if (data != null) writeCache(key, data)
+  return data
+}
+
+function render(path) {
+  return renderToString(
+    <I18nProvider defaultLang={LANG}>
+      <MotionPreferenceProvider>
+        <ThemeProvider>
+          <ConsentProvider>
+            <StaticRouter location={path}>
+              <AppRoutes />
+            </StaticRouter>
+          </ConsentProvider>
+        </ThemeProvider>
+      </MotionPreferenceProvider>
+    </I18nProvider>,
+  )
+}
+
+/**
+ * Render every content route, plus the 404 page for hosts that serve a static 404.html.
+ * @param {string} siteUrl public origin without a trailing slash, used for canonical links
+ * @returns {Promise<{ pages: { path: string, file?: string, head: string, html: string }[], sitemap: string, robots: string }>}
+ */
+export async function prerender(siteUrl) {
+  const fallback = getFallbackContent(LANG)
+  const company = await load(`company:${LANG}`, () => getCompany({ lang: LANG }), fallback.company)
+  const services = await load(`services:${LANG}`, () => getServices({ lang: LANG }), fallback.services)
+  const caseStudies = await load(`case-studies:${LANG}`, () => getCaseStudies({ lang: LANG }), fallback.caseStudies)
+
+  const metas = [pageMeta({ path: '/', company }, siteUrl)]
+  for (const listed of services) {
+    const slug = serviceSlug(listed)
+    const service = await load(`service:${slug}:${LANG}`, () => getService(slug, { lang: LANG }), getFallbackService(LANG, slug) || listed)
+    metas.push(pageMeta({ path: `/services/${slug}`, company, service }, siteUrl))
+  }
+  for (const listed of caseStudies) {
+    const caseStudy = await load(`case-study:${listed.slug}:${LANG}`, () => getCaseStudy(listed.slug, { lang: LANG }), getFallbackCaseStudy(LANG, listed.slug) || listed)
+    metas.push(pageMeta({ path: `/work/${listed.slug}`, company, caseStudy }, siteUrl))
+  }
+
+  // Openings have no offline copy, so careers pages are only prerendered when the API answers
+  const jobs = await load(`jobs:${LANG}`, () => getJobs({ lang: LANG }), null)
+  if (jobs) {
+    metas.push(pageMeta({ path: '/careers', company, page: { title: en.careers.title, description: en.careers.intro } }, siteUrl))
+    for (const listed of jobs) {
+      const job = await load(`job:${listed.id}:${LANG}`, () => getJob(listed.id, { lang: LANG }), listed)
+      metas.push(pageMeta({ path: `/careers/${encodeURIComponent(listed.id)}`, company, job }, siteUrl))
+    }
+  }
+
+  const pages = metas.map((meta) => ({ path: meta.path, head: renderHead(meta, { siteName: company.name }), html: render(meta.path) }))
+  // Any unmatched path renders the 404 page
+  const notFound = pageMeta({ path: '/404', company, page: { title: en.notFound.title, description: en.notFound.body, noindex: true } }, siteUrl)
+  pages.push({ path: notFound.path, file: '404.html', head: renderHead(notFound, { siteName: company.name }), html: render(notFound.path) })
+
+  return {
+    pages,
+    sitemap: sitemapXml(metas),
+    robots: robotsTxt(siteUrl),
+  }
+}
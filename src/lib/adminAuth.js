@@ -0,0 +1,26 @@
+// The admin token lives in sessionStorage so it is dropped when the tab closes.
+const TOKEN_KEY = 'admin:token'
+
+export function getAdminToken() {
+  try {
+    return sessionStorage.getItem(TOKEN_KEY)
+  } catch (e) {
+    return null
+  }
+}
+
+export function setAdminToken(token) {
+  try {
+    sessionStorage.setItem(TOKEN_KEY, token)
+  } catch (e) {
+    // Without storage the admin has to sign in again after a reload
+  }
+}
+
+export function clearAdminToken() {
+  try {
+    sessionStorage.removeItem(TOKEN_KEY)
+  } catch (e) {
+    // Nothing stored
+  }
+}
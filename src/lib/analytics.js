@@ -0,0 +1,100 @@
+import { API_BASE } from './api'
+import { hasConsent } from './consent'
+
+// Product analytics: `track()` queues events in memory and sinks receive them in batches.
+// Events describe what happened (a CTA, a field name, a status) and never carry form values.
+
+const BATCH_SIZE = 20
+const FLUSH_INTERVAL_MS = 5000
+
+export const EVENTS_ENDPOINT = import.meta.env.VITE_EVENTS_URL || `${API_BASE.replace(/\/+$/, '')}/api/events`
+
+const isBrowser = typeof window !== 'undefined'
+const sessionId = isBrowser && crypto.randomUUID ? crypto.randomUUID() : String(Date.now())
+
+let queue = []
+let timer = null
+const pageHideListeners = new Set()
+
+/**
+ * @typedef {{ event: string, props: Record<string, any>, path: string, ts: string, session: string }} AnalyticsEvent
+ * @typedef {{ name: string, send: (events: AnalyticsEvent[], options: { unloading: boolean }) => void }} AnalyticsSink
+ */
+
+/**
+ * POSTs batches to the events endpoint. sendBeacon survives page unloads; a text/plain body keeps
+ * it a simple request, so no CORS preflight is needed. Falls back to a keepalive fetch.
+ * @returns {AnalyticsSink}
+ */
+export function beaconSink(endpoint = EVENTS_ENDPOINT) {
+  return {
+    name: 'beacon',
+    send(events) {
+      const body = JSON.stringify({ events })
+      if (navigator.sendBeacon?.(endpoint, new Blob([body], { type: 'text/plain;charset=UTF-8' }))) return
+      fetch(endpoint, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'text/plain;charset=UTF-8' } }).catch(() => {})
+    },
+  }
+}
+
+/** Logs each batch to the devtools console. */
+export function consoleSink() {
+  return {
+    name: 'console',
+    send(events, { unloading }) {
+      console.groupCollapsed(`[analytics] ${events.length} event(s)${unloading ? ' (page hide)' : ''}`)
+      events.forEach(({ event, props }) => console.log(event, props))
+      console.groupEnd()
+    },
+  }
+}
+
+const sinks = new Set(import.meta.env.DEV ? [consoleSink()] : [beaconSink()])
+
+/** Register another sink; returns a function that removes it. */
+export function addSink(sink) {
+  sinks.add(sink)
+  return () => sinks.delete(sink)
+}
+
+export function flush({ unloading = false } = {}) {
+  clearTimeout(timer)
+  timer = null
+  if (!queue.length) return
+  const batch = queue
+  queue = []
+  // Consent can be withdrawn while events wait in the queue
+  if (!hasConsent('analytics')) return
+  sinks.forEach((sink) => {
+    try {
+      sink.send(batch, { unloading })
+    } catch (e) {
+      // One broken sink must not take the page or the other sinks down
+    }
+  })
+}
+
+/** Record an event. Props should be small, flat and free of personal data. Dropped without analytics consent. */
+export function track(event, props = {}) {
+  if (!isBrowser || !hasConsent('analytics')) return
+  queue.push({ event, props, path: window.location.pathname, ts: new Date().toISOString(), session: sessionId })
+  if (queue.length >= BATCH_SIZE) flush()
+  else if (!timer) timer = setTimeout(flush, FLUSH_INTERVAL_MS)
+}
+
+/** Run `listener` just before the final flush when the page is hidden for good. Returns an unsubscribe function. */
+export function onPageHide(listener) {
+  pageHideListeners.add(listener)
+  return () => pageHideListeners.delete(listener)
+}
+
+if (isBrowser) {
+  // A hidden tab may never come back, so send what we have; pagehide also gives listeners a last word
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush({ unloading: true })
+  })
+  window.addEventListener('pagehide', () => {
+    pageHideListeners.forEach((listener) => listener())
+    flush({ unloading: true })
+  })
+}
@@ -0,0 +1,510 @@
+// Single entry point for talking to the backend. Every call gets a timeout,
+// honours the caller's AbortSignal, and fails with an ApiError whose `kind`
+// says what went wrong, so pages never have to inspect raw Responses.
+
+export const API_BASE = import.meta.env.VITE_BACKEND_URL || 'http://localhost:8000'
+
+const DEFAULT_TIMEOUT_MS = 10_000
+// CV uploads can be several megabytes on a slow mobile connection
+const UPLOAD_TIMEOUT_MS = 120_000
+// A streamed reply may take a while overall, but should never go quiet for this long
+const STREAM_IDLE_TIMEOUT_MS = 30_000
+const RETRY_BASE_DELAY_MS = 400
+
+/**
+ * @typedef {'network' | 'timeout' | 'aborted' | 'http' | 'parse'} ApiErrorKind
+ */
+
+export class ApiError extends Error {
+  /**
+   * @param {ApiErrorKind} kind
+   * @param {string} message
+   * @param {{ status?: number, url?: string, body?: unknown, cause?: unknown }} [details]
+   */
+  constructor(kind, message, { status = 0, url = '', body = null, cause } = {}) {
+    super(message, { cause })
+    this.name = 'ApiError'
+    this.kind = kind
+    this.status = status
+    this.url = url
+    this.body = body
+  }
+}
+
+const apiErrorListeners = new Set()
+
+/**
+ * Be told about every call that failed for good, after any retries. Aborts are not failures.
+ * @param {(err: ApiError, call: { method: string, path: string }) => void} listener
+ * @returns {() => void} unsubscribe
+ */
+export function onApiError(listener) {
+  apiErrorListeners.add(listener)
+  return () => apiErrorListeners.delete(listener)
+}
+
+function notifyApiError(err, call) {
+  if (err.kind === 'aborted') return
+  apiErrorListeners.forEach((listener) => {
+    try {
+      listener(err, call)
+    } catch (e) {
+      // A broken listener must not change how the call fails
+    }
+  })
+}
+
+/** Network failures, timeouts, rate limits and 5xx are transient; everything else is final. */
+export function isRetryableError(err) {
+  if (!(err instanceof ApiError)) return false
+  if (err.kind === 'network' || err.kind === 'timeout') return true
+  return err.kind === 'http' && (err.status === 408 || err.status === 429 || err.status >= 500)
+}
+
+function buildUrl(path, query) {
+  const url = new URL(`${API_BASE.replace(/\/+$/, '')}${path}`)
+  for (const [key, value] of Object.entries(query || {})) {
+    if (value != null && value !== '') url.searchParams.set(key, value)
+  }
+  return url.toString()
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(new ApiError('aborted', 'Request aborted'))
+    }
+    // A signal shared across retries would otherwise collect one listener per wait
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+async function readBody(res) {
+  const text = await res.text()
+  if (!text) return null
+  try {
+    return JSON.parse(text)
+  } catch (e) {
+    return { __raw: text, __parseError: e }
+  }
+}
+
+async function attempt(url, { method, headers, body, signal, timeout }) {
+  const controller = new AbortController()
+  let timedOut = false
+  const timer = setTimeout(() => {
+    timedOut = true
+    controller.abort()
+  }, timeout)
+  const onAbort = () => controller.abort()
+  if (signal?.aborted) controller.abort()
+  signal?.addEventListener('abort', onAbort, { once: true })
+
+  try {
+    let res
+    try {
+      res = await fetch(url, { method, headers, body, signal: controller.signal })
+    } catch (e) {
+      if (timedOut) throw new ApiError('timeout', `Request timed out after ${timeout}ms`, { url, cause: e })
+      if (controller.signal.aborted) throw new ApiError('aborted', 'Request aborted', { url, cause: e })
+      throw new ApiError('network', 'Network request failed', { url, cause: e })
+    }
+
+    const data = await readBody(res)
+    const invalidJson = data && data.__parseError
+    if (!res.ok) {
+      throw new ApiError('http', `${res.status} ${res.statusText}`.trim(), {
+        status: res.status,
+        url,
+        body: invalidJson ? data.__raw : data,
+      })
+    }
+    if (invalidJson) {
+      throw new ApiError('parse', 'Response was not valid JSON', { status: res.status, url, body: data.__raw, cause: data.__parseError })
+    }
+    return { status: res.status, data }
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', onAbort)
+  }
+}
+
+/**
+ * Send a request to the backend and resolve with the parsed JSON body.
+ * GETs are idempotent and retried on transient failures by default.
+ * With `fullResponse` it resolves with `{ status, data }` instead.
+ * A `token` is sent as a bearer Authorization header.
+ *
+ * @param {string} path
+ * @param {{ method?: string, query?: Record<string, any>, body?: unknown, headers?: Record<string, string>,
+ *   signal?: AbortSignal, timeout?: number, retries?: number, fullResponse?: boolean, token?: string }} [options]
+ */
+export async function request(path, { method = 'GET', query, body, headers, signal, timeout = DEFAULT_TIMEOUT_MS, retries, fullResponse = false, token } = {}) {
+  const url = buildUrl(path, query)
+  const maxRetries = retries ?? (method === 'GET' ? 2 : 0)
+  const init = {
+    method,
+    signal,
+    timeout,
+    headers: {
+      Accept: 'application/json',
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers,
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  }
+
+  for (let tries = 0; ; tries++) {
+    try {
+      const res = await attempt(url, init)
+      return fullResponse ? res : res.data
+    } catch (err) {
+      if (tries >= maxRetries || !isRetryableError(err)) {
+        notifyApiError(err, { method, path })
+        throw err
+      }
+      await sleep(RETRY_BASE_DELAY_MS * 2 ** tries, signal)
+    }
+  }
+}
+
+/**
+ * POST a multipart form and report upload progress (0 to 1), which fetch cannot do.
+ * Fails with the same ApiError kinds as `request`; uploads are never retried automatically.
+ * @param {string} path
+ * @param {FormData} formData
+ * @param {{ onProgress?: (fraction: number) => void, signal?: AbortSignal, timeout?: number }} [options]
+ */
+export function upload(path, formData, { onProgress, signal, timeout = UPLOAD_TIMEOUT_MS } = {}) {
+  const url = buildUrl(path)
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new ApiError('aborted', 'Request aborted', { url }))
+    const xhr = new XMLHttpRequest()
+    const onAbort = () => xhr.abort()
+    const settle = (fn, value) => {
+      signal?.removeEventListener('abort', onAbort)
+      if (fn === reject) notifyApiError(value, { method: 'POST', path })
+      fn(value)
+    }
+
+    xhr.open('POST', url)
+    xhr.setRequestHeader('Accept', 'application/json')
+    xhr.timeout = timeout
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable) onProgress?.(e.loaded / e.total)
+    }
+    xhr.onload = () => {
+      let data = null
+      let parseError = null
+      try {
+        data = xhr.responseText ? JSON.parse(xhr.responseText) : null
+      } catch (e) {
+        parseError = e
+      }
+      const body = parseError ? xhr.responseText : data
+      if (xhr.status < 200 || xhr.status >= 300) {
+        return settle(reject, new ApiError('http', `${xhr.status} ${xhr.statusText}`.trim(), { status: xhr.status, url, body }))
+      }
+      if (parseError) return settle(reject, new ApiError('parse', 'Response was not valid JSON', { status: xhr.status, url, body, cause: parseError }))
+      settle(resolve, data)
+    }
+    xhr.onerror = () => settle(reject, new ApiError('network', 'Network request failed', { url }))
+    xhr.ontimeout = () => settle(reject, new ApiError('timeout', `Upload timed out after ${timeout}ms`, { url }))
+    xhr.onabort = () => settle(reject, new ApiError('aborted', 'Request aborted', { url }))
+    signal?.addEventListener('abort', onAbort, { once: true })
+    // No Content-Type header: the browser adds the multipart boundary itself
+    xhr.send(formData)
+  })
+}
+
+// One Server-Sent Events block: `event:` names it (default 'message'), `data:` lines are joined,
+// comment lines starting with ':' are keep-alives
+function parseEvent(block) {
+  let event = 'message'
+  const data = []
+  for (const line of block.split(/\r?\n/)) {
+    if (!line || line.startsWith(':')) continue
+    const [, field, value = ''] = /^([^:]*):? ?(.*)$/.exec(line)
+    if (field === 'event') event = value
+    else if (field === 'data') data.push(value)
+  }
+  if (!data.length) return null
+  const text = data.join('\n')
+  try {
+    return { event, data: JSON.parse(text) }
+  } catch (e) {
+    return { event, data: text }
+  }
+}
+
+/**
+ * POST a JSON body and read a Server-Sent Events reply, calling `onEvent({ event, data })` as each
+ * event arrives; `data` is parsed JSON where possible. EventSource cannot POST, hence fetch.
+ * Fails with the same ApiError kinds as `request`, where 'timeout' means the stream went quiet
+ * for `idleTimeout`. Errors thrown by `onEvent` end the stream and are passed on as they are.
+ * Streams are never retried automatically.
+ * @param {string} path
+ * @param {{ body?: unknown, onEvent: (event: { event: string, data: any }) => void, signal?: AbortSignal,
+ *   idleTimeout?: number }} options
+ */
+export async function stream(path, { body, onEvent, signal, idleTimeout = STREAM_IDLE_TIMEOUT_MS }) {
+  const url = buildUrl(path)
+  const controller = new AbortController()
+  let timedOut = false
+  let timer = null
+  const resetIdleTimer = () => {
+    clearTimeout(timer)
+    timer = setTimeout(() => {
+      timedOut = true
+      controller.abort()
+    }, idleTimeout)
+  }
+  const onAbort = () => controller.abort()
+  if (signal?.aborted) controller.abort()
+  signal?.addEventListener('abort', onAbort, { once: true })
+  let reader = null
+  let drained = false
+
+  try {
+    resetIdleTimer()
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { Accept: 'text/event-stream', 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    })
+    if (!res.ok) {
+      const data = await readBody(res)
+      throw new ApiError('http', `${res.status} ${res.statusText}`.trim(), {
+        status: res.status,
+        url,
+        body: data?.__parseError ? data.__raw : data,
+      })
+    }
+
+    reader = res.body.pipeThrough(new TextDecoderStream()).getReader()
+    let buffer = ''
+    for (;;) {
+      resetIdleTimer()
+      const { value, done } = await reader.read()
+      // Not every fetch implementation stops delivering the body once aborted
+      if (controller.signal.aborted) throw controller.signal.reason
+      if (done) break
+      buffer += value
+      const blocks = buffer.split(/\r?\n\r?\n/)
+      buffer = blocks.pop()
+      blocks.map(parseEvent).forEach((event) => event && onEvent(event))
+    }
+    drained = true
+    const last = parseEvent(buffer)
+    if (last) onEvent(last)
+  } catch (e) {
+    let err = e
+    if (!(e instanceof ApiError)) {
+      if (timedOut) err = new ApiError('timeout', `Stream was idle for ${idleTimeout}ms`, { url, cause: e })
+      else if (controller.signal.aborted) err = new ApiError('aborted', 'Request aborted', { url, cause: e })
+      else err = new ApiError('network', 'Network request failed', { url, cause: e })
+    }
+    notifyApiError(err, { method: 'POST', path })
+    throw err
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', onAbort)
+    // Tells the server to stop generating when we bail out early: aborted, timed out or onEvent threw
+    if (!drained) reader?.cancel().catch(() => {})
+  }
+}
+
+/**
+ * @typedef {{ label: string, value: string | number, prefix?: string, suffix?: string }} CompanyStat
+ * @typedef {{ primary?: string, accent?: string }} Brand hex colors that override the theme for partner sites
+ * @typedef {{ name: string, headline: string, subheadline: string, stats: CompanyStat[], awards: string[],
+ *   brand?: Brand, heroScene?: string }} Company `heroScene` is the URL of a Spline scene for the hero
+ * @typedef {{ title: string, desc: string }} Capability
+ * @typedef {{ title: string, summary: string, result?: string, slug?: string }} ServiceCaseStudy
+ * @typedef {{ slug?: string, title: string, desc: string, bullets?: string[], longDesc?: string,
+ *   capabilities?: Capability[], techStack?: string[], caseStudies?: ServiceCaseStudy[] }} Service
+ * @typedef {{ value: string, label: string }} CaseStudyResult
+ * @typedef {{ slug: string, title: string, client: string, industry: string, country: string, services: string[],
+ *   summary: string, challenge?: string, solution?: string, results?: CaseStudyResult[], techStack?: string[] }} CaseStudy
+ * @typedef {{ name: string, email: string, company?: string, country?: string, services: string[],
+ *   message?: string, budget: string, timeline: string, consent?: import('./consent').ConsentRecord | null,
+ *   pow?: { version: number, difficulty: number, issuedAt: number, nonce: number } | null,
+ *   estimate?: import('./estimate').Estimate | null }} Lead
+ * @typedef {'new' | 'contacted' | 'qualified' | 'won' | 'lost'} LeadStatus
+ * @typedef {{ id: string, body: string, author?: string, created_at: string }} LeadNote
+ * @typedef {Lead & { id: string, created_at: string, status: LeadStatus, notes?: LeadNote[] }} StoredLead
+ * @typedef {{ items: StoredLead[], total: number, page: number, page_size: number }} LeadPage
+ * @typedef {{ id?: string, start: string, end: string }} Slot times are Asia/Riyadh, with or without an offset
+ * @typedef {{ timezone: string, slots: Slot[] }} Availability
+ * @typedef {{ id: string, start: string, end: string, meeting_url?: string }} Booking
+ * @typedef {{ id: string, title: string, location: string, discipline: string, employmentType?: string,
+ *   summary: string, description?: string, responsibilities?: string[], requirements?: string[],
+ *   postedAt?: string }} Job `location` is a key such as riyadh, dubai or remote
+ * @typedef {{ id: string, job_id: string, created_at: string }} Application
+ * @typedef {{ role: 'user' | 'assistant', content: string }} ChatMessage
+ * @typedef {{ handoff?: boolean, services?: string[] }} ChatReply `handoff` flags buying intent;
+ *   `services` holds slugs of the services the conversation was about
+ */
+
+/** @returns {Promise<Company>} */
+export function getCompany({ lang, signal } = {}) {
+  return request('/api/company', { query: { lang }, signal })
+}
+
+/** @returns {Promise<Service[]>} */
+export function getServices({ lang, signal } = {}) {
+  return request('/api/services', { query: { lang }, signal })
+}
+
+/** @returns {Promise<Service>} */
+export function getService(slug, { lang, signal } = {}) {
+  return request(`/api/services/${encodeURIComponent(slug)}`, { query: { lang }, signal })
+}
+
+/**
+ * `industry` is a stable key, `country` an ISO 3166 alpha-2 code and `services` holds service slugs,
+ * so filters work the same in every language.
+ * @returns {Promise<CaseStudy[]>}
+ */
+export function getCaseStudies({ lang, signal } = {}) {
+  return request('/api/case-studies', { query: { lang }, signal })
+}
+
+/** @returns {Promise<CaseStudy>} */
+export function getCaseStudy(slug, { lang, signal } = {}) {
+  return request(`/api/case-studies/${encodeURIComponent(slug)}`, { query: { lang }, signal })
+}
+
+/**
+ * Rules behind the project estimator; see lib/estimate.js for the shape and the offline defaults.
+ * @returns {Promise<import('./estimate').PricingRules>}
+ */
+export function getPricingRules({ signal } = {}) {
+  return request('/api/pricing-rules', { signal })
+}
+
+/**
+ * The idempotency key lets the backend drop replays of the same lead.
+ * @param {Lead} lead
+ */
+export function createLead(lead, { idempotencyKey, signal } = {}) {
+  return request('/api/leads', {
+    method: 'POST',
+    body: lead,
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : undefined,
+    signal,
+  })
+}
+
+/** @returns {Promise<Availability>} */
+export async function getAvailability({ signal } = {}) {
+  const data = await request('/api/availability', { signal })
+  // A bare slot list is in the business timezone
+  if (Array.isArray(data)) return { timezone: 'Asia/Riyadh', slots: data }
+  return data
+}
+
+/**
+ * Answers 409 when the slot was taken meanwhile and 410 when it is no longer bookable.
+ * @param {{ slot_id?: string, start: string, end: string, lead_id?: string, name: string, email: string, timezone: string }} booking
+ * @returns {Promise<Booking>}
+ */
+export function createBooking(booking, { idempotencyKey, signal } = {}) {
+  return request('/api/bookings', {
+    method: 'POST',
+    body: booking,
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : undefined,
+    signal,
+  })
+}
+
+/** @returns {Promise<Job[]>} */
+export function getJobs({ lang, signal } = {}) {
+  return request('/api/jobs', { query: { lang }, signal })
+}
+
+/** @returns {Promise<Job>} */
+export function getJob(id, { lang, signal } = {}) {
+  return request(`/api/jobs/${encodeURIComponent(id)}`, { query: { lang }, signal })
+}
+
+/**
+ * Multipart fields: job_id, name, email, phone, portfolio, cover_letter and the `cv` file.
+ * @param {FormData} formData
+ * @returns {Promise<Application>}
+ */
+export function submitApplication(formData, { onProgress, signal } = {}) {
+  return upload('/api/applications', formData, { onProgress, signal })
+}
+
+/**
+ * Stream the assistant's answer to the conversation so far. `onToken` receives each partial chunk;
+ * the promise resolves with the reply metadata from the final `done` event. The server reports
+ * failures mid-stream as an `error` event, which rejects like a 502.
+ * @param {{ messages: ChatMessage[], session_id: string, lang?: string }} chat
+ * @param {{ onToken: (text: string) => void, signal?: AbortSignal }} options
+ * @returns {Promise<ChatReply>}
+ */
+export async function streamChat(chat, { onToken, signal }) {
+  let reply = null
+  await stream('/api/chat', {
+    body: chat,
+    signal,
+    onEvent: ({ event, data }) => {
+      if (event === 'error') throw new ApiError('http', data?.detail || 'Chat stream failed', { status: 502, body: data })
+      if (event === 'done') reply = data && typeof data === 'object' ? data : {}
+      else if (data?.delta) onToken(data.delta)
+    },
+  })
+  // A connection dropped by a proxy ends the body without `done`; the answer is incomplete
+  if (!reply) {
+    const err = new ApiError('network', 'Chat stream ended before the reply was complete')
+    notifyApiError(err, { method: 'POST', path: '/api/chat' })
+    throw err
+  }
+  return reply
+}
+
+/** @returns {Promise<{ token: string }>} */
+export function adminLogin({ email, password }, { signal } = {}) {
+  return request('/api/admin/login', { method: 'POST', body: { email, password }, signal })
+}
+
+/**
+ * @param {{ page?: number, page_size?: number, q?: string, country?: string, status?: string,
+ *   from?: string, to?: string }} params
+ * @returns {Promise<LeadPage>}
+ */
+export async function listLeads(params, { token, signal } = {}) {
+  const data = await request('/api/leads', { query: params, token, signal })
+  // Older backends return a bare array without paging metadata
+  if (Array.isArray(data)) return { items: data, total: data.length, page: 1, page_size: data.length }
+  return data
+}
+
+/** @returns {Promise<StoredLead>} */
+export function updateLead(id, patch, { token, signal } = {}) {
+  return request(`/api/leads/${encodeURIComponent(id)}`, { method: 'PATCH', body: patch, token, signal })
+}
+
+/** @returns {Promise<LeadNote>} */
+export function addLeadNote(id, body, { token, signal } = {}) {
+  return request(`/api/leads/${encodeURIComponent(id)}/notes`, { method: 'POST', body: { body }, token, signal })
+}
+
+/** Root endpoint, reports that the backend process is up. */
+export function getBackendHealth({ signal, fullResponse } = {}) {
+  return request('/', { signal, retries: 0, fullResponse })
+}
+
+/** `/test` endpoint, reports database connectivity. */
+export function getDatabaseHealth({ signal, fullResponse } = {}) {
+  return request('/test', { signal, retries: 0, fullResponse })
+}
@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest'
+import { http, HttpResponse } from 'msw'
+import { server } from '../mocks/node'
+import { API_BASE, stream } from './api'
+
+const STREAM_PATH = '/api/chat'
+
+// Serve `chunks` as one event-stream body, each chunk delivered separately
+function serveStream(chunks) {
+  server.use(http.post(`${API_BASE.replace(/\/+$/, '')}${STREAM_PATH}`, () => {
+    const encoder = new TextEncoder()
+    const pending = [...chunks]
+    const body = new ReadableStream({
+      pull(controller) {
+        if (pending.length) controller.enqueue(encoder.encode(pending.shift()))
+        else controller.close()
+      },
+    })
+    return new HttpResponse(body, { headers: { 'Content-Type': 'text/event-stream' } })
+  }))
+}
+
+async function receive(chunks) {
+  serveStream(chunks)
+  const events = []
+  await stream(STREAM_PATH, { body: {}, onEvent: (event) => events.push(event) })
+  return events
+}
+
+describe('stream', () => {
+  it.each([
+    ['parses JSON data and names events', ['event: token\ndata: {"delta":"Hi"}\n\n'], [{ event: 'token', data: { delta: 'Hi' } }]],
+    ['defaults the event name to message', ['data: {"delta":"Hi"}\n\n'], [{ event: 'message', data: { delta: 'Hi' } }]],
+    ['joins multi-line data with newlines', ['data: first line\ndata: second line\n\n'], [{ event: 'message', data: 'first line\nsecond line' }]],
+    ['joins multi-line JSON before parsing it', ['data: {"delta":\ndata: "Hi"}\n\n'], [{ event: 'message', data: { delta: 'Hi' } }]],
+    ['skips comments and retry hints', [': keep-alive\n\nretry: 3000\n\n: ping\ndata: "ok"\nretry: 1000\n\n'], [{ event: 'message', data: 'ok' }]],
+    ['accepts CRLF line endings', ['event: done\r\ndata: {}\r\n\r\n'], [{ event: 'done', data: {} }]],
+    [
+      'reassembles events split across chunks',
+      ['event: tok', 'en\ndata: {"del', 'ta":"Hi"}\n', '\ndata: "there"\n\n'],
+      [{ event: 'token', data: { delta: 'Hi' } }, { event: 'message', data: 'there' }],
+    ],
+    ['keeps a last event the body ends without a blank line after', ['data: "a"\n\ndata: "b"'], [{ event: 'message', data: 'a' }, { event: 'message', data: 'b' }]],
+  ])('%s', async (_, chunks, expected) => {
+    expect(await receive(chunks)).toEqual(expected)
+  })
+})
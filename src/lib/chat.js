@@ -0,0 +1,78 @@
+// Conversation state for the assistant widget. The transcript lives in sessionStorage, so it
+// survives navigation and reloads but not the end of the visit.
+
+const STORAGE_KEY = 'chat'
+// Matches the lead form's message limit, so a handed-off transcript passes validation
+const LEAD_MESSAGE_MAX = 2000
+// Only the most recent turns go to the backend; older context rarely changes the answer
+const CONTEXT_MESSAGES = 20
+
+// Pricing, proposals, hiring a team, timelines, meetings, in English and Arabic
+const BUYING_INTENT = /\b(price|pricing|cost|quote|proposal|budget|hire|engage|contract|rfp|timeline|demo|call|meeting)s?\b|سعر|أسعار|تكلفة|عرض سعر|ميزانية|تعاقد|اجتماع|مكالمة/i
+
+/**
+ * @typedef {{ id: string, role: 'user' | 'assistant', content: string,
+ *   status?: 'streaming' | 'done' | 'cancelled' | 'error' }} ChatEntry
+ * @typedef {{ id: string, messages: ChatEntry[], handoff: boolean, services: string[] }} ChatSession
+ */
+
+const newId = () => globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+
+/** @returns {ChatSession} */
+export function newSession() {
+  return { id: newId(), messages: [], handoff: false, services: [] }
+}
+
+/** @returns {ChatEntry} */
+export function newMessage(role, content = '', status) {
+  return { id: newId(), role, content, ...(status && { status }) }
+}
+
+/** The stored session, or a fresh one. A reply cut off by a reload comes back as cancelled. */
+export function loadSession() {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY))
+    if (stored?.id && Array.isArray(stored.messages)) {
+      return {
+        ...newSession(),
+        ...stored,
+        messages: stored.messages.map((m) => (m.status === 'streaming' ? { ...m, status: 'cancelled' } : m)),
+      }
+    }
+  } catch (e) {
+    // Unavailable or corrupt storage; start over
+  }
+  return newSession()
+}
+
+export function saveSession(session) {
+  try {
+    if (session.messages.length) sessionStorage.setItem(STORAGE_KEY, JSON.stringify(session))
+    else sessionStorage.removeItem(STORAGE_KEY)
+  } catch (e) {
+    // The conversation still works for this page view
+  }
+}
+
+/** What the backend gets: finished turns only, most recent last. */
+export function chatContext(messages) {
+  return messages
+    .filter((m) => m.role === 'user' || (m.content && m.status !== 'error'))
+    .slice(-CONTEXT_MESSAGES)
+    .map(({ role, content }) => ({ role, content }))
+}
+
+/** Client-side backstop for the backend's `handoff` flag. */
+export function hasBuyingIntent(text) {
+  return BUYING_INTENT.test(text)
+}
+
+/**
+ * The visitor's side of the conversation as a lead message, newest questions kept when it
+ * has to be shortened. `intro` heads the message, e.g. "From the website chat:".
+ */
+export function transcriptForLead(messages, intro) {
+  const lines = messages.filter((m) => m.role === 'user').map((m) => `- ${m.content.trim()}`)
+  while (lines.length > 1 && `${intro}\n${lines.join('\n')}`.length > LEAD_MESSAGE_MAX) lines.shift()
+  return `${intro}\n${lines.join('\n')}`.slice(0, LEAD_MESSAGE_MAX)
+}
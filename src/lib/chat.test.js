@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest'
+import { newMessage, transcriptForLead } from './chat'
+
+const INTRO = 'From the website chat:'
+const user = (content) => newMessage('user', content)
+const assistant = (content) => newMessage('assistant', content, 'done')
+
+describe('transcriptForLead', () => {
+  it('sends only what the visitor wrote, one trimmed line per message', () => {
+    const messages = [
+      user('  Do you build mobile apps? '),
+      assistant('Yes, for iOS and Android.'),
+      user('What would a quote look like?\n'),
+      assistant('Share a few details and the team will follow up.'),
+    ]
+    expect(transcriptForLead(messages, INTRO)).toBe(`${INTRO}\n- Do you build mobile apps?\n- What would a quote look like?`)
+  })
+
+  it('is just the intro when the visitor has not written anything', () => {
+    expect(transcriptForLead([assistant('Hello! How can I help?')], INTRO)).toBe(`${INTRO}\n`)
+  })
+
+  it('drops the oldest questions to fit the lead message limit', () => {
+    const messages = [user('a'.repeat(900)), user('b'.repeat(900)), user('c'.repeat(900))]
+    const transcript = transcriptForLead(messages, INTRO)
+    expect(transcript.length).toBeLessThanOrEqual(2000)
+    expect(transcript).toBe(`${INTRO}\n- ${'b'.repeat(900)}\n- ${'c'.repeat(900)}`)
+  })
+
+  it('cuts a single question that is too long on its own', () => {
+    const transcript = transcriptForLead([user('x'.repeat(2500))], INTRO)
+    expect(transcript).toHaveLength(2000)
+    expect(transcript.startsWith(`${INTRO}\n- xxx`)).toBe(true)
+  })
+})
@@ -0,0 +1,119 @@
+import { createContext, useCallback, useContext, useMemo, useState, useSyncExternalStore } from 'react'
+
+// Visitor consent under PDPL/GDPR. `necessary` is always on; `preferences` covers remembered
+// choices and cached content in web storage; `analytics` covers track() events.
+// Bump CONSENT_VERSION whenever the categories or their meaning change, so everyone is asked again.
+
+export const CONSENT_VERSION = 1
+export const CONSENT_CATEGORIES = ['necessary', 'preferences', 'analytics']
+
+const STORAGE_KEY = 'consent'
+const MAX_AGE_MS = 365 * 24 * 60 * 60_000
+
+// Keys written by preference-class code (i18n, motion preference, theme, useSwr, diagnostics), in
+// localStorage or sessionStorage; dropped when consent is withdrawn. The rest is strictly necessary
+// and stays: this consent record; in sessionStorage the chat transcript ('chat'), the admin token
+// ('admin:token') and the spam guard's throttle ('leads:sent'); and queued leads in IndexedDB.
+const PREFERENCE_KEYS = ['lang', 'motion', 'theme']
+const PREFERENCE_PREFIXES = ['swr:', 'diagnostics:', 'motion:']
+
+/**
+ * @typedef {{ version: number, necessary: true, preferences: boolean, analytics: boolean,
+ *   decidedAt: string, expiresAt: string }} ConsentRecord
+ */
+
+function readRecord() {
+  try {
+    const record = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    if (!record || record.version !== CONSENT_VERSION) return null
+    if (Date.parse(record.expiresAt) < Date.now()) return null
+    return record
+  } catch (e) {
+    return null
+  }
+}
+
+let current = typeof window === 'undefined' ? null : readRecord()
+const listeners = new Set()
+
+function subscribe(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/** The stored decision, or null while the visitor has not chosen (or it expired). */
+export function getConsentRecord() {
+  return current
+}
+
+/** For code outside React: may this category run? Nothing but `necessary` runs before a decision. */
+export function hasConsent(category) {
+  if (category === 'necessary') return true
+  return Boolean(current?.[category])
+}
+
+function clearPreferenceStorage() {
+  try {
+    for (const storage of [localStorage, sessionStorage]) {
+      Object.keys(storage)
+        .filter((key) => PREFERENCE_KEYS.includes(key) || PREFERENCE_PREFIXES.some((prefix) => key.startsWith(prefix)))
+        .forEach((key) => storage.removeItem(key))
+    }
+  } catch (e) {
+    // Nothing we can read, nothing we can clear
+  }
+}
+
+/** @param {{ preferences: boolean, analytics: boolean }} choices */
+export function saveConsent({ preferences, analytics }) {
+  const now = new Date()
+  current = {
+    version: CONSENT_VERSION,
+    necessary: true,
+    preferences: Boolean(preferences),
+    analytics: Boolean(analytics),
+    decidedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + MAX_AGE_MS).toISOString(),
+  }
+  try {
+    // The decision itself is strictly necessary: without it we would have to ask on every page
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(current))
+  } catch (e) {
+    // Applies for this visit only
+  }
+  if (!current.preferences) clearPreferenceStorage()
+  listeners.forEach((listener) => listener())
+}
+
+const ConsentContext = createContext(null)
+
+export function ConsentProvider({ children }) {
+  const record = useSyncExternalStore(subscribe, getConsentRecord, () => null)
+  const [preferencesOpen, setPreferencesOpen] = useState(false)
+
+  const acceptAll = useCallback(() => saveConsent({ preferences: true, analytics: true }), [])
+  const rejectAll = useCallback(() => saveConsent({ preferences: false, analytics: false }), [])
+
+  const value = useMemo(() => ({
+    record,
+    decided: record !== null,
+    allows: (category) => category === 'necessary' || Boolean(record?.[category]),
+    save: saveConsent,
+    acceptAll,
+    rejectAll,
+    preferencesOpen,
+    setPreferencesOpen,
+  }), [record, acceptAll, rejectAll, preferencesOpen])
+
+  return <ConsentContext.Provider value={value}>{children}</ConsentContext.Provider>
+}
+
+/**
+ * `allows(category)` is what components check before storing data or firing events;
+ * `setPreferencesOpen(true)` reopens the preferences dialog.
+ */
+export function useConsent() {
+  const ctx = useContext(ConsentContext)
+  if (!ctx) throw new Error('useConsent must be used inside <ConsentProvider>')
+  return ctx
+}
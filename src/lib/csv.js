@@ -0,0 +1,18 @@
+function escapeCell(value) {
+  let str = Array.isArray(value) ? value.join('; ') : String(value ?? '')
+  // Spreadsheet apps execute cells that start with these characters
+  if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+}
+
+/**
+ * Build a CSV document from `rows` using `columns` ({ key, label }).
+ * Starts with a BOM so Excel reads Arabic text as UTF-8.
+ */
+export function toCsv(rows, columns) {
+  const lines = [
+    columns.map((c) => escapeCell(c.label)).join(','),
+    ...rows.map((row) => columns.map((c) => escapeCell(row[c.key])).join(',')),
+  ]
+  return `\uFEFF${lines.join('\r\n')}`
+}
@@ -0,0 +1,259 @@
+import { API_BASE, ApiError, getBackendHealth, getDatabaseHealth, request } from './api'
+import { downloadFile } from './download'
+
+const HISTORY_KEY = 'diagnostics:history'
+const SELECTION_KEY = 'diagnostics:checks'
+// Backends that answered a dry run without confirming it, so the check stays off for them
+const NO_DRY_RUN_KEY = 'diagnostics:noDryRun'
+const HISTORY_LIMIT = 20
+
+const SAMPLE_LEAD = {
+  name: 'Diagnostics Probe',
+  email: 'diagnostics@example.com',
+  company: 'Diagnostics',
+  country: 'Saudi Arabia',
+  services: ['custom-software'],
+  message: 'Dry run from the /test diagnostics page.',
+  budget: 'unsure',
+  timeline: 'flexible',
+}
+
+// Shapes are deliberately loose: they catch a missing or mistyped field, not every value.
+const schemas = {
+  root: { type: 'object' },
+  database: { type: 'object', fields: { backend: 'string', database: 'string', connection_status: 'string' } },
+  company: { type: 'object', fields: { name: 'string', headline: 'string', stats: 'array' } },
+  services: { type: 'array', items: { title: 'string', desc: 'string' } },
+}
+
+// The backend answered a dry run without echoing `dry_run: true`, so it may have stored the lead
+class DryRunUnconfirmedError extends Error {
+  constructor({ status, body }) {
+    super('The backend did not confirm dry_run; the sample lead may have been saved')
+    this.name = 'DryRunUnconfirmedError'
+    this.kind = 'dryRunUnconfirmed'
+    this.status = status
+    this.body = body
+  }
+}
+
+/**
+ * The checks the diagnostics page knows how to run, in display order.
+ * `run` resolves with `{ status, data }` or throws an ApiError.
+ * `optIn` checks have side effects on a backend that ignores them: they are never selected by
+ * default, never remembered and never auto-refreshed.
+ */
+export const CHECKS = [
+  { id: 'root', method: 'GET', path: '/', schema: schemas.root, run: (signal) => getBackendHealth({ signal, fullResponse: true }) },
+  { id: 'database', method: 'GET', path: '/test', schema: schemas.database, run: (signal) => getDatabaseHealth({ signal, fullResponse: true }) },
+  { id: 'company', method: 'GET', path: '/api/company', schema: schemas.company, run: (signal) => request('/api/company', { signal, retries: 0, fullResponse: true }) },
+  { id: 'services', method: 'GET', path: '/api/services', schema: schemas.services, run: (signal) => request('/api/services', { signal, retries: 0, fullResponse: true }) },
+  {
+    id: 'leadsDryRun',
+    method: 'POST',
+    path: '/api/leads?dry_run=true',
+    optIn: true,
+    run: async (signal) => {
+      const response = await request('/api/leads', {
+        method: 'POST',
+        query: { dry_run: true },
+        headers: { 'X-Dry-Run': 'true' },
+        body: SAMPLE_LEAD,
+        signal,
+        retries: 0,
+        fullResponse: true,
+      })
+      if (response.data?.dry_run !== true) throw new DryRunUnconfirmedError({ status: response.status, body: response.data })
+      return response
+    },
+  },
+  {
+    // OPTIONS with a JSON content type and a custom header is not a simple request,
+    // so the browser must pass a CORS preflight before it can reach the backend.
+    id: 'corsPreflight',
+    method: 'OPTIONS',
+    path: '/api/leads',
+    run: async (signal) => {
+      try {
+        return await request('/api/leads', {
+          method: 'OPTIONS',
+          headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'diagnostics' },
+          signal,
+          retries: 0,
+          fullResponse: true,
+        })
+      } catch (err) {
+        // Any HTTP answer means the preflight itself was allowed through
+        if (err instanceof ApiError && err.kind === 'http') return { status: err.status, data: err.body }
+        throw err
+      }
+    },
+  },
+]
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array'
+  if (value === null) return 'null'
+  return typeof value
+}
+
+/** Compare `data` with a loose shape description and list every mismatch. */
+export function checkShape(schema, data) {
+  if (!schema) return []
+  const problems = []
+  if (typeOf(data) !== schema.type) {
+    return [`expected ${schema.type}, got ${typeOf(data)}`]
+  }
+  for (const [field, type] of Object.entries(schema.fields || {})) {
+    if (typeOf(data[field]) !== type) problems.push(`${field}: expected ${type}, got ${typeOf(data[field])}`)
+  }
+  if (schema.items) {
+    data.forEach((item, i) => {
+      for (const [field, type] of Object.entries(schema.items)) {
+        if (typeOf(item?.[field]) !== type) problems.push(`[${i}].${field}: expected ${type}, got ${typeOf(item?.[field])}`)
+      }
+    })
+  }
+  return problems
+}
+
+const SECRET_KEY_RE = /pass(word)?|secret|token|api[-_]?key|credential|private/i
+// Greedy up to the last `@`, so a password containing `@` or `/` is masked whole
+const URL_CREDENTIALS_RE = /([a-z][a-z0-9+.-]*:\/\/)([^:@/\s]+):([^\s?#]*)@/gi
+const QUERY_SECRET_RE = /([?&](?:password|pwd|secret|token|api[-_]?key|sig|signature)=)[^&\s]+/gi
+
+/** Mask credentials in connection strings (user:pass@host, ?password=) and secret-looking keys. */
+export function redactSecrets(value, key = '') {
+  if (typeof value === 'string') {
+    if (SECRET_KEY_RE.test(key)) return value ? '••••••' : value
+    return value.replace(URL_CREDENTIALS_RE, '$1$2:••••••@').replace(QUERY_SECRET_RE, '$1••••••')
+  }
+  if (Array.isArray(value)) return value.map((item) => redactSecrets(item, key))
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactSecrets(v, k)]))
+  }
+  return value
+}
+
+async function runCheck(check, signal) {
+  const started = performance.now()
+  try {
+    const { status, data } = await check.run(signal)
+    const schemaErrors = checkShape(check.schema, data)
+    return {
+      id: check.id,
+      ok: schemaErrors.length === 0,
+      status,
+      latency: Math.round(performance.now() - started),
+      schemaErrors,
+      data: redactSecrets(data),
+      error: null,
+    }
+  } catch (err) {
+    if (err instanceof ApiError && err.kind === 'aborted') throw err
+    return {
+      id: check.id,
+      ok: false,
+      status: err.status || null,
+      latency: Math.round(performance.now() - started),
+      schemaErrors: [],
+      data: redactSecrets(err.body ?? null),
+      error: { kind: err.kind || 'network', message: redactSecrets(err.message) },
+    }
+  }
+}
+
+/** Run the selected checks one after another and return a report. */
+export async function runDiagnostics(checkIds, { signal } = {}) {
+  const startedAt = new Date().toISOString()
+  const results = []
+  for (const check of CHECKS.filter((c) => checkIds.includes(c.id))) {
+    results.push(await runCheck(check, signal))
+  }
+  return { id: startedAt, startedAt, backendUrl: redactSecrets(API_BASE), results }
+}
+
+function readJson(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key)
+    return raw ? JSON.parse(raw) : fallback
+  } catch (e) {
+    return fallback
+  }
+}
+
+function writeJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value))
+  } catch (e) {
+    // History is a convenience; losing it is fine
+  }
+}
+
+export function loadHistory() {
+  return readJson(HISTORY_KEY, [])
+}
+
+/** Add a run to the front of `history` as a compact summary (no response bodies), keeping the most recent runs. */
+export function prependHistory(history, report) {
+  const summary = {
+    ...report,
+    results: report.results.map(({ data, ...rest }) => rest),
+  }
+  return [summary, ...history].slice(0, HISTORY_LIMIT)
+}
+
+/** Keep a compact summary of each run; response bodies stay out of storage. */
+export function saveToHistory(report) {
+  const history = prependHistory(loadHistory(), report)
+  writeJson(HISTORY_KEY, history)
+  return history
+}
+
+export function clearHistory() {
+  try {
+    localStorage.removeItem(HISTORY_KEY)
+  } catch (e) {
+    // Nothing stored
+  }
+  return []
+}
+
+const isOptIn = (id) => CHECKS.some((c) => c.id === id && c.optIn)
+
+export function loadSelectedChecks() {
+  const stored = readJson(SELECTION_KEY, null)
+  const ids = Array.isArray(stored) ? stored.filter((id) => CHECKS.some((c) => c.id === id)) : CHECKS.map((c) => c.id)
+  return ids.filter((id) => !isOptIn(id))
+}
+
+export function saveSelectedChecks(ids) {
+  writeJson(SELECTION_KEY, ids.filter((id) => !isOptIn(id)))
+}
+
+/** The checks an unattended auto-refresh may repeat. */
+export function autoRefreshChecks(ids) {
+  return ids.filter((id) => !isOptIn(id))
+}
+
+/** Whether this backend has answered a dry run without confirming it. */
+export function dryRunUnsupported() {
+  return readJson(NO_DRY_RUN_KEY, []).includes(API_BASE)
+}
+
+/** Remember a backend that ignored `dry_run`, from a report; returns whether it did. */
+export function recordDryRunSupport(report, { remember }) {
+  const unsupported = report.results.some((r) => r.error?.kind === 'dryRunUnconfirmed')
+  if (unsupported && remember) writeJson(NO_DRY_RUN_KEY, [...new Set([...readJson(NO_DRY_RUN_KEY, []), API_BASE])])
+  return unsupported
+}
+
+export function exportReport(report, history) {
+  const payload = {
+    generatedAt: new Date().toISOString(),
+    userAgent: navigator.userAgent,
+    report,
+    history,
+  }
+  downloadFile(`diagnostics-${payload.generatedAt.replace(/[:.]/g, '-')}.json`, JSON.stringify(payload, null, 2), 'application/json')
+}
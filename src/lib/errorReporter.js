@@ -0,0 +1,154 @@
+import { API_BASE, ApiError, onApiError } from './api'
+import { hasConsent } from './consent'
+
+// Client error reporting: render errors, uncaught errors, unhandled rejections and failed API
+// calls are deduped, batched and POSTed to the backend. Reports describe the failure and where
+// it happened, never what the visitor typed, and describe the browser only with analytics consent.
+
+const BATCH_SIZE = 10
+const FLUSH_INTERVAL_MS = 5000
+// The same error reported more often than this within a page view is only counted
+const MAX_PER_FINGERPRINT = 5
+const MAX_STACK_CHARS = 4000
+
+export const ERRORS_ENDPOINT = import.meta.env.VITE_ERRORS_URL || `${API_BASE.replace(/\/+$/, '')}/api/client-errors`
+export const BUILD_VERSION = __APP_VERSION__
+
+const isBrowser = typeof window !== 'undefined'
+
+/**
+ * @typedef {'render' | 'uncaught' | 'rejection' | 'api'} ErrorSource
+ * @typedef {{ fingerprint: string, source: ErrorSource, name: string, message: string, stack?: string,
+ *   componentStack?: string, api?: { method: string, path: string, kind: string, status: number },
+ *   route: string, count: number, firstSeen: string, lastSeen: string }} ClientError
+ */
+
+let queue = []
+let timer = null
+// fingerprint -> queued or already-sent report, for counting repeats
+const seen = new Map()
+// Errors already reported from one source, so the same object is not reported again from another
+const reported = new WeakSet()
+
+function browserInfo() {
+  // User agent, language and viewport together help identify a visitor; being offline does not
+  if (!hasConsent('analytics')) return { online: navigator.onLine }
+  return {
+    userAgent: navigator.userAgent,
+    language: navigator.language,
+    viewport: `${window.innerWidth}x${window.innerHeight}`,
+    online: navigator.onLine,
+  }
+}
+
+function send(errors, { unloading }) {
+  const body = JSON.stringify({ errors, build: { version: BUILD_VERSION, mode: import.meta.env.MODE }, browser: browserInfo() })
+  if (unloading && navigator.sendBeacon?.(ERRORS_ENDPOINT, new Blob([body], { type: 'text/plain;charset=UTF-8' }))) return
+  // Deliberately not lib/api: a failing report must not produce a report about itself
+  fetch(ERRORS_ENDPOINT, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'text/plain;charset=UTF-8' } }).catch(() => {})
+}
+
+export function flushErrors({ unloading = false } = {}) {
+  clearTimeout(timer)
+  timer = null
+  if (!queue.length) return
+  const batch = queue
+  queue = []
+  if (import.meta.env.DEV) {
+    console.groupCollapsed(`[errors] ${batch.length} report(s)`)
+    batch.forEach((report) => console.log(report.source, report.message, report))
+    console.groupEnd()
+  }
+  send(batch, { unloading })
+}
+
+// The first stack frame tells apart equal messages thrown from different places
+const firstFrame = (stack) => stack?.split('\n').find((line) => /\d+:\d+/.test(line))?.trim() || ''
+
+/**
+ * Queue an error for reporting.
+ * @param {unknown} error
+ * @param {{ source: ErrorSource, componentStack?: string, api?: ClientError['api'] }} context
+ */
+export function reportError(error, { source, componentStack, api }) {
+  if (!isBrowser) return
+  if (error && typeof error === 'object') {
+    if (reported.has(error)) return
+    reported.add(error)
+  }
+  const name = error?.name || typeof error
+  const message = String(error?.message ?? error).slice(0, 500)
+  const stack = typeof error?.stack === 'string' ? error.stack.slice(0, MAX_STACK_CHARS) : undefined
+  const fingerprint = [name, message, api ? `${api.method} ${api.path}` : firstFrame(stack)].join('|')
+  const now = new Date().toISOString()
+
+  const existing = seen.get(fingerprint)
+  if (existing) {
+    existing.count += 1
+    existing.lastSeen = now
+    // Repeats only count up; once sent, a report goes out again at most a few times
+    if (queue.includes(existing) || existing.count > MAX_PER_FINGERPRINT) return
+    queue.push(existing)
+  } else {
+    /** @type {ClientError} */
+    const report = {
+      fingerprint,
+      source,
+      name,
+      message,
+      ...(stack && { stack }),
+      ...(componentStack && { componentStack: componentStack.slice(0, MAX_STACK_CHARS) }),
+      ...(api && { api }),
+      // Path only: query strings and hashes can carry personal data
+      route: window.location.pathname,
+      count: 1,
+      firstSeen: now,
+      lastSeen: now,
+    }
+    seen.set(fingerprint, report)
+    queue.push(report)
+  }
+  if (queue.length >= BATCH_SIZE) flushErrors()
+  else if (!timer) timer = setTimeout(flushErrors, FLUSH_INTERVAL_MS)
+}
+
+// Expected answers (401, 404, 409, 422…) are part of normal flows; offline visitors are not our bug
+function isReportableApiError(err) {
+  if (!navigator.onLine) return false
+  return err.kind !== 'http' || err.status >= 500
+}
+
+/**
+ * Start listening for uncaught errors, unhandled rejections and failed API calls.
+ * Render errors come in through the error boundaries. Returns a function that stops listening.
+ */
+export function startErrorReporting() {
+  if (!isBrowser) return () => {}
+
+  const onError = (event) => {
+    // Resource load failures (img, script) arrive here without an error object
+    if (event.error) reportError(event.error, { source: 'uncaught' })
+  }
+  const onRejection = (event) => {
+    // API failures are reported with their request details by the listener below
+    if (event.reason instanceof ApiError) return
+    reportError(event.reason, { source: 'rejection' })
+  }
+  const onHidden = () => {
+    if (document.visibilityState === 'hidden') flushErrors({ unloading: true })
+  }
+  const stopApi = onApiError((err, { method, path }) => {
+    if (!isReportableApiError(err)) return
+    reportError(err, { source: 'api', api: { method, path, kind: err.kind, status: err.status } })
+  })
+
+  window.addEventListener('error', onError)
+  window.addEventListener('unhandledrejection', onRejection)
+  document.addEventListener('visibilitychange', onHidden)
+  return () => {
+    stopApi()
+    window.removeEventListener('error', onError)
+    window.removeEventListener('unhandledrejection', onRejection)
+    document.removeEventListener('visibilitychange', onHidden)
+  }
+}
@@ -0,0 +1,139 @@
+// Project estimates from pricing rules. The backend serves the live rules at /api/pricing-rules;
+// these defaults keep the estimator usable when it cannot. Amounts are ranges in `currency`,
+// durations are ranges in weeks.
+
+/**
+ * @typedef {{ cost: [number, number], weeks: [number, number] }} ServiceRule
+ * @typedef {{ version: string, currency: string, roundTo: number,
+ *   services: Record<string, ServiceRule>, scope: Record<string, { cost: number, weeks: number }>,
+ *   platforms: Record<string, number>, integrations: { options: Record<string, number>, cost: [number, number], weeks: number },
+ *   urgency: Record<string, { cost: number, weeks: number }>, parallelWeeks: number }} PricingRules
+ * @typedef {{ services: string[], scope: string, platforms: string[], integrations: string, urgency: string }} EstimateSelection
+ * @typedef {{ selection: EstimateSelection, currency: string, low: number, high: number,
+ *   weeksLow: number, weeksHigh: number, rulesVersion: string }} Estimate
+ */
+
+/** @type {PricingRules} */
+export const DEFAULT_PRICING_RULES = {
+  version: 'default-2026-10',
+  currency: 'SAR',
+  roundTo: 5000,
+  services: {
+    'custom-software': { cost: [180000, 320000], weeks: [8, 14] },
+    'cloud-devops': { cost: [120000, 240000], weeks: [6, 10] },
+    'ai-data': { cost: [150000, 300000], weeks: [8, 12] },
+    'digital-transformation': { cost: [250000, 500000], weeks: [12, 20] },
+    // Services added later are priced like a mid-sized build until the backend has a rule for them
+    default: { cost: [150000, 300000], weeks: [8, 12] },
+  },
+  scope: {
+    mvp: { cost: 0.6, weeks: 0.6 },
+    standard: { cost: 1, weeks: 1 },
+    enterprise: { cost: 1.9, weeks: 1.5 },
+  },
+  // Extra share of the service cost for each platform beyond the first
+  platforms: { web: 0.2, ios: 0.3, android: 0.3, admin: 0.15 },
+  integrations: {
+    options: { none: 0, few: 2, several: 5, many: 9 },
+    cost: [15000, 35000],
+    weeks: 0.5,
+  },
+  urgency: {
+    flexible: { cost: 0.95, weeks: 1.15 },
+    standard: { cost: 1, weeks: 1 },
+    fast: { cost: 1.3, weeks: 0.75 },
+  },
+  // Each additional service runs partly in parallel and adds this share of its own duration
+  parallelWeeks: 0.35,
+}
+
+export const DEFAULT_SELECTION = { services: [], scope: 'standard', platforms: ['web'], integrations: 'few', urgency: 'standard' }
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+const isRange = (value) => Array.isArray(value) && value.length === 2 && value.every(isNumber)
+const isFactor = (value) => isNumber(value?.cost) && isNumber(value?.weeks)
+
+// The defaults with every well-formed entry of `record` laid over them
+function mergeRecord(defaults, record, valid) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return defaults
+  return { ...defaults, ...Object.fromEntries(Object.entries(record).filter(([, value]) => valid(value))) }
+}
+
+/**
+ * Complete pricing rules from whatever the backend sent: each well-formed value overrides its
+ * default, anything missing or malformed keeps the default. Always safe to pass to estimateProject.
+ * @param {unknown} rules
+ * @returns {PricingRules}
+ */
+export function mergePricingRules(rules) {
+  const defaults = DEFAULT_PRICING_RULES
+  if (!rules || typeof rules !== 'object') return defaults
+  return {
+    version: typeof rules.version === 'string' ? rules.version : defaults.version,
+    currency: /^[A-Z]{3}$/.test(rules.currency) ? rules.currency : defaults.currency,
+    roundTo: isNumber(rules.roundTo) && rules.roundTo > 0 ? rules.roundTo : defaults.roundTo,
+    services: mergeRecord(defaults.services, rules.services, (rule) => isRange(rule?.cost) && isRange(rule?.weeks)),
+    scope: mergeRecord(defaults.scope, rules.scope, isFactor),
+    platforms: mergeRecord(defaults.platforms, rules.platforms, isNumber),
+    integrations: {
+      options: mergeRecord(defaults.integrations.options, rules.integrations?.options, isNumber),
+      cost: isRange(rules.integrations?.cost) ? rules.integrations.cost : defaults.integrations.cost,
+      weeks: isNumber(rules.integrations?.weeks) ? rules.integrations.weeks : defaults.integrations.weeks,
+    },
+    urgency: mergeRecord(defaults.urgency, rules.urgency, isFactor),
+    parallelWeeks: isNumber(rules.parallelWeeks) ? rules.parallelWeeks : defaults.parallelWeeks,
+  }
+}
+
+const round = (value, step) => Math.max(step, Math.round(value / step) * step)
+
+/**
+ * Budget and timeline ranges for a selection, or null until at least one service is picked.
+ * `rules` must be complete; backend rules go through mergePricingRules first. Selected keys the
+ * rules do not know, such as a retired scope, count as neutral multipliers.
+ * @param {EstimateSelection} selection
+ * @param {PricingRules} rules
+ * @returns {Estimate | null}
+ */
+export function estimateProject(selection, rules = DEFAULT_PRICING_RULES) {
+  if (!selection.services.length) return null
+  const serviceRules = selection.services.map((slug) => rules.services[slug] || rules.services.default)
+  const scope = rules.scope[selection.scope] || { cost: 1, weeks: 1 }
+  const urgency = rules.urgency[selection.urgency] || { cost: 1, weeks: 1 }
+  const integrations = rules.integrations.options[selection.integrations] ?? 0
+  const platforms = selection.platforms.length ? selection.platforms : ['web']
+  const platformFactor = 1 + platforms.slice(1).reduce((sum, p) => sum + (rules.platforms[p] ?? 0.25), 0)
+
+  const cost = [0, 1].map((i) => {
+    const services = serviceRules.reduce((sum, rule) => sum + rule.cost[i], 0)
+    return (services * scope.cost * platformFactor + integrations * rules.integrations.cost[i]) * urgency.cost
+  })
+
+  const weeks = [0, 1].map((i) => {
+    const durations = serviceRules.map((rule) => rule.weeks[i]).sort((a, b) => b - a)
+    const parallel = durations.slice(1).reduce((sum, w) => sum + w * rules.parallelWeeks, 0)
+    return (durations[0] + parallel + integrations * rules.integrations.weeks) * scope.weeks * urgency.weeks
+  })
+
+  return {
+    selection,
+    currency: rules.currency,
+    low: round(cost[0], rules.roundTo),
+    high: round(cost[1], rules.roundTo),
+    weeksLow: Math.max(2, Math.round(weeks[0])),
+    weeksHigh: Math.max(3, Math.round(weeks[1])),
+    rulesVersion: rules.version,
+  }
+}
+
+/**
+ * Display strings for an estimate, e.g. { budget: 'SAR 180K – SAR 320K', timeline: '8–14 weeks' }.
+ * @param {Estimate} estimate
+ * @param {{ locale: string, t: Function, formatNumber: (n: number) => string }} i18n
+ */
+export function formatEstimate(estimate, { locale, t, formatNumber }) {
+  const money = new Intl.NumberFormat(locale, { style: 'currency', currency: estimate.currency, notation: 'compact', maximumSignificantDigits: 3 })
+  const budget = money.formatRange ? money.formatRange(estimate.low, estimate.high) : `${money.format(estimate.low)} – ${money.format(estimate.high)}`
+  const timeline = t('estimator.weeks', { min: formatNumber(estimate.weeksLow), max: formatNumber(estimate.weeksHigh) })
+  return { budget, timeline }
+}
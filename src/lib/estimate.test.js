@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_PRICING_RULES, DEFAULT_SELECTION, estimateProject, mergePricingRules } from './estimate'
+
+const select = (overrides) => ({ ...DEFAULT_SELECTION, ...overrides })
+
+describe('estimateProject', () => {
+  it('waits for a service to be picked', () => {
+    expect(estimateProject(DEFAULT_SELECTION)).toBeNull()
+  })
+
+  // Quotes go out with every lead: a change here is a change to what visitors are told
+  it.each([
+    ['one service, default options', select({ services: ['custom-software'] }), { low: 210000, high: 390000, weeksLow: 9, weeksHigh: 15 }],
+    [
+      'two services, MVP on two platforms, fast',
+      select({ services: ['custom-software', 'cloud-devops'], scope: 'mvp', platforms: ['web', 'ios'], integrations: 'none', urgency: 'fast' }),
+      { low: 305000, high: 570000, weeksLow: 5, weeksHigh: 8 },
+    ],
+    [
+      'an unknown service at enterprise scope on every platform',
+      select({ services: ['blockchain'], scope: 'enterprise', platforms: ['web', 'ios', 'android', 'admin'], integrations: 'many', urgency: 'flexible' }),
+      { low: 600000, high: 1245000, weeksLow: 22, weeksHigh: 28 },
+    ],
+    [
+      'retired options, which count as neutral',
+      select({ services: ['custom-software'], scope: 'pilot', platforms: [], integrations: 'some', urgency: 'yesterday' }),
+      { low: 180000, high: 320000, weeksLow: 8, weeksHigh: 14 },
+    ],
+  ])('%s', (_, selection, expected) => {
+    expect(estimateProject(selection)).toEqual({
+      selection,
+      currency: 'SAR',
+      rulesVersion: DEFAULT_PRICING_RULES.version,
+      ...expected,
+    })
+  })
+
+  it.each([
+    // 181,234 + 2 × 15,000 rounds to the nearest 1,000
+    [{ roundTo: 1000, services: { 'custom-software': { cost: [181234, 320000], weeks: [8, 14] } } }, { low: 211000, high: 390000 }],
+    // Never rounds down to nothing, and never promises less than two to three weeks
+    [{ services: { 'custom-software': { cost: [1000, 2000], weeks: [1, 1] } }, integrations: { options: { few: 0 } } }, { low: 5000, high: 5000, weeksLow: 2, weeksHigh: 3 }],
+  ])('rounds with rules %j', (rules, expected) => {
+    expect(estimateProject(select({ services: ['custom-software'] }), mergePricingRules(rules))).toMatchObject(expected)
+  })
+})
+
+describe('mergePricingRules', () => {
+  it.each([undefined, null, 'rules', 42])('keeps the defaults for %j', (rules) => {
+    expect(mergePricingRules(rules)).toEqual(DEFAULT_PRICING_RULES)
+  })
+
+  it('lays well-formed values over the defaults', () => {
+    const merged = mergePricingRules({
+      version: 'live-7',
+      currency: 'USD',
+      roundTo: 1000,
+      services: { 'cloud-devops': { cost: [50000, 90000], weeks: [4, 6] }, 'ux-research': { cost: [40000, 60000], weeks: [3, 5] } },
+      scope: { enterprise: { cost: 2.2, weeks: 1.6 } },
+      platforms: { ios: 0.4 },
+      integrations: { options: { many: 12 }, weeks: 0.75 },
+      urgency: { fast: { cost: 1.5, weeks: 0.7 } },
+      parallelWeeks: 0.5,
+    })
+    expect(merged).toEqual({
+      ...DEFAULT_PRICING_RULES,
+      version: 'live-7',
+      currency: 'USD',
+      roundTo: 1000,
+      services: { ...DEFAULT_PRICING_RULES.services, 'cloud-devops': { cost: [50000, 90000], weeks: [4, 6] }, 'ux-research': { cost: [40000, 60000], weeks: [3, 5] } },
+      scope: { ...DEFAULT_PRICING_RULES.scope, enterprise: { cost: 2.2, weeks: 1.6 } },
+      platforms: { ...DEFAULT_PRICING_RULES.platforms, ios: 0.4 },
+      integrations: { ...DEFAULT_PRICING_RULES.integrations, options: { ...DEFAULT_PRICING_RULES.integrations.options, many: 12 }, weeks: 0.75 },
+      urgency: { ...DEFAULT_PRICING_RULES.urgency, fast: { cost: 1.5, weeks: 0.7 } },
+      parallelWeeks: 0.5,
+    })
+  })
+
+  it('ignores malformed values', () => {
+    const merged = mergePricingRules({
+      version: 7,
+      currency: 'riyal',
+      roundTo: -5,
+      services: { 'custom-software': { cost: ['cheap', 'dear'], weeks: [8, 14] }, 'cloud-devops': { cost: [1, 2, 3], weeks: [1, 2] } },
+      scope: ['mvp'],
+      platforms: { ios: '0.4' },
+      integrations: { options: null, cost: [15000], weeks: Infinity },
+      urgency: { fast: { cost: 1.5 } },
+      parallelWeeks: '0.5',
+    })
+    expect(merged).toEqual(DEFAULT_PRICING_RULES)
+  })
+})
@@ -0,0 +1,449 @@
+// Offline content shown when the backend is unreachable, one entry per language.
+const fallbackContent = {
+  en: {
+    company: {
+      name: 'SPEED OF MASTRY',
+      headline: 'The leading technology partner across the Gulf and Saudi Arabia',
+      subheadline: 'From strategy to delivery, we engineer scalable platforms, cloud-native systems, and AI solutions that power regional leaders.',
+      stats: [
+        { label: 'Projects Delivered', value: 120, prefix: '+' },
+        { label: 'Enterprise Uptime', value: 99.99, suffix: '%' },
+        { label: 'Avg. Launch Time', value: 8, suffix: ' weeks' },
+      ],
+      awards: ['Top Technology Innovator – KSA', 'Best Cloud Modernization Partner – GCC'],
+    },
+    services: [
+      {
+        slug: 'custom-software',
+        title: 'Custom Software',
+        desc: 'High-performance web and mobile applications tailored to your business.',
+        bullets: ['Product engineering', 'Microservices', 'API platforms'],
+        longDesc: 'We design and build the products your customers and teams use every day. Our squads pair product thinking with senior engineering to ship web, mobile and platform software that stays fast and maintainable as you grow across the region.',
+        capabilities: [
+          { title: 'Product engineering', desc: 'Discovery, UX and iterative delivery of customer-facing web and mobile apps.' },
+          { title: 'Microservices', desc: 'Domain-driven service design that lets teams release independently.' },
+          { title: 'API platforms', desc: 'Secure, documented APIs for partners, open banking and government integrations.' },
+          { title: 'Arabic-first UX', desc: 'Bilingual, right-to-left interfaces built in from day one.' },
+        ],
+        techStack: ['React', 'React Native', 'Node.js', 'Java / Spring', 'PostgreSQL', 'GraphQL'],
+        caseStudies: [
+          { slug: 'retail-super-app', title: 'Retail super-app for a KSA chain', summary: 'Unified loyalty, ordering and payments for 2M+ shoppers.', result: 'Launched in 14 weeks' },
+          { slug: 'citizen-services-portal', title: 'Citizen services portal', summary: 'Rebuilt a government e-services portal on a modular API platform.', result: '3x faster page loads' },
+        ],
+      },
+      {
+        slug: 'cloud-devops',
+        title: 'Cloud & DevOps',
+        desc: 'Secure, scalable cloud on AWS, Azure, and GCP with modern DevOps.',
+        bullets: ['Kubernetes', 'CI/CD', 'Observability'],
+        longDesc: 'We build and run cloud foundations that meet local data-residency rules without slowing teams down. From landing zones to platform engineering, we automate the path from commit to production and keep it observable.',
+        capabilities: [
+          { title: 'Kubernetes platforms', desc: 'Production-grade clusters with GitOps, autoscaling and policy guardrails.' },
+          { title: 'CI/CD', desc: 'Pipelines with automated testing, security scanning and progressive delivery.' },
+          { title: 'Observability', desc: 'Metrics, logs and traces wired to SLOs and on-call runbooks.' },
+          { title: 'In-Kingdom hosting', desc: 'Architectures for local cloud regions and data-residency requirements.' },
+        ],
+        techStack: ['AWS', 'Azure', 'Google Cloud', 'Kubernetes', 'Terraform', 'Argo CD', 'Grafana'],
+        caseStudies: [
+          { slug: 'fintech-platform-migration', title: 'Fintech platform migration', summary: 'Moved a payments platform to Kubernetes with zero downtime.', result: '99.99% uptime' },
+          { slug: 'telecom-release-automation', title: 'Telecom release automation', summary: 'Replaced monthly manual releases with daily automated deploys.', result: '30x more releases' },
+        ],
+      },
+      {
+        slug: 'ai-data',
+        title: 'AI & Data',
+        desc: 'Applied AI, analytics, and data platforms for real impact.',
+        bullets: ['LLM apps', 'MLOps', 'Data lakes'],
+        longDesc: 'We turn data into decisions and products. Our teams build modern data platforms, production machine-learning pipelines and Arabic-capable LLM applications that are measured against business outcomes, not demos.',
+        capabilities: [
+          { title: 'LLM apps', desc: 'Assistants, search and document automation with Arabic and English support.' },
+          { title: 'MLOps', desc: 'Repeatable training, deployment and monitoring of models in production.' },
+          { title: 'Data lakes', desc: 'Governed lakehouse platforms that unify operational and analytical data.' },
+          { title: 'Analytics', desc: 'Executive dashboards and self-service BI on trusted data.' },
+        ],
+        techStack: ['Python', 'Databricks', 'Snowflake', 'Kafka', 'LangChain', 'MLflow', 'Power BI'],
+        caseStudies: [
+          { slug: 'arabic-customer-care-assistant', title: 'Arabic customer-care assistant', summary: 'LLM assistant resolving banking queries in Arabic and English.', result: '40% fewer call-center tickets' },
+          { slug: 'energy-demand-forecasting', title: 'Energy demand forecasting', summary: 'Forecasting models feeding daily operations planning.', result: '18% forecast error reduction' },
+        ],
+      },
+      {
+        slug: 'digital-transformation',
+        title: 'Digital Transformation',
+        desc: 'From legacy to modern, accelerate delivery across the enterprise.',
+        bullets: ['Cloud migration', 'ERP integrations', 'Governance'],
+        longDesc: 'We help enterprises and public entities modernize legacy estates in step with Vision 2030 programs. We plan the roadmap, migrate critical workloads, integrate core systems and set up the governance that keeps transformation on track.',
+        capabilities: [
+          { title: 'Cloud migration', desc: 'Assessment, planning and phased migration of legacy workloads.' },
+          { title: 'ERP integrations', desc: 'Connecting SAP, Oracle and Dynamics with modern digital channels.' },
+          { title: 'Governance', desc: 'Architecture, security and delivery governance aligned with regulators.' },
+          { title: 'Change management', desc: 'Training and operating-model design so new systems get adopted.' },
+        ],
+        techStack: ['SAP', 'Oracle', 'Microsoft Dynamics', 'MuleSoft', 'ServiceNow', 'Azure'],
+        caseStudies: [
+          { slug: 'ministry-erp-modernization', title: 'Ministry ERP modernization', summary: 'Integrated a legacy ERP with new citizen and employee portals.', result: '60% faster approvals' },
+          { slug: 'logistics-group-consolidation', title: 'Logistics group consolidation', summary: 'Merged five regional systems into one cloud platform.', result: '25% lower run cost' },
+        ],
+      },
+    ],
+    caseStudies: [
+      {
+        slug: 'retail-super-app',
+        title: 'Retail super-app for a KSA chain',
+        client: 'National retail group',
+        industry: 'retail',
+        country: 'SA',
+        services: ['custom-software'],
+        summary: 'Unified loyalty, ordering and payments for 2M+ shoppers.',
+        challenge: 'Loyalty, click-and-collect and payments lived in three separate apps with separate logins, and most shoppers never installed more than one.',
+        solution: 'We built a single Arabic-first app on a shared API platform, migrated loyalty balances in place and launched store by store.',
+        results: [
+          { value: '14 weeks', label: 'from kickoff to launch' },
+          { value: '2M+', label: 'active shoppers' },
+          { value: '35%', label: 'more repeat orders' },
+        ],
+        techStack: ['React Native', 'Node.js', 'PostgreSQL', 'GraphQL'],
+      },
+      {
+        slug: 'citizen-services-portal',
+        title: 'Citizen services portal',
+        client: 'Government entity',
+        industry: 'government',
+        country: 'SA',
+        services: ['custom-software', 'digital-transformation'],
+        summary: 'Rebuilt a government e-services portal on a modular API platform.',
+        challenge: 'A monolithic portal made every new e-service a six-month project and slowed to a crawl during peak periods.',
+        solution: 'We split the portal into independently released services behind a shared design system and API gateway.',
+        results: [
+          { value: '3x', label: 'faster page loads' },
+          { value: '40+', label: 'e-services migrated' },
+        ],
+        techStack: ['React', 'Java / Spring', 'Kong', 'PostgreSQL'],
+      },
+      {
+        slug: 'fintech-platform-migration',
+        title: 'Fintech platform migration',
+        client: 'Licensed payments provider',
+        industry: 'fintech',
+        country: 'SA',
+        services: ['cloud-devops'],
+        summary: 'Moved a payments platform to Kubernetes with zero downtime.',
+        challenge: 'Payment volumes were outgrowing a hand-managed VM fleet, and data had to stay in-Kingdom.',
+        solution: 'We moved the platform to Kubernetes in an in-Kingdom cloud region with GitOps delivery and traffic shifted service by service.',
+        results: [
+          { value: '99.99%', label: 'uptime since cutover' },
+          { value: '0', label: 'minutes of downtime' },
+        ],
+        techStack: ['Kubernetes', 'Terraform', 'Argo CD', 'Prometheus'],
+      },
+      {
+        slug: 'telecom-release-automation',
+        title: 'Telecom release automation',
+        client: 'Regional telecom operator',
+        industry: 'telecom',
+        country: 'AE',
+        services: ['cloud-devops'],
+        summary: 'Replaced monthly manual releases with daily automated deploys.',
+        challenge: 'Releases needed a weekend change window and a 200-step runbook.',
+        solution: 'We built CI/CD pipelines with automated tests and progressive rollouts, then retired the runbook.',
+        results: [
+          { value: '30x', label: 'more releases' },
+          { value: '70%', label: 'fewer failed changes' },
+        ],
+        techStack: ['GitLab CI', 'Kubernetes', 'Helm', 'Grafana'],
+      },
+      {
+        slug: 'arabic-customer-care-assistant',
+        title: 'Arabic customer-care assistant',
+        client: 'Retail bank',
+        industry: 'banking',
+        country: 'QA',
+        services: ['ai-data'],
+        summary: 'LLM assistant resolving banking queries in Arabic and English.',
+        challenge: 'Call-center queues peaked at month end, and most calls were routine balance, card and transfer questions.',
+        solution: 'We deployed a retrieval-augmented assistant grounded in the bank’s policies, with hand-off to agents for anything sensitive.',
+        results: [
+          { value: '40%', label: 'fewer call-center tickets' },
+          { value: '2', label: 'languages, including Gulf dialects' },
+        ],
+        techStack: ['Python', 'LangChain', 'Azure OpenAI', 'Elasticsearch'],
+      },
+      {
+        slug: 'energy-demand-forecasting',
+        title: 'Energy demand forecasting',
+        client: 'Utility operator',
+        industry: 'energy',
+        country: 'SA',
+        services: ['ai-data'],
+        summary: 'Forecasting models feeding daily operations planning.',
+        challenge: 'Planners relied on spreadsheets that missed heatwave and holiday demand spikes.',
+        solution: 'We built a data platform and forecasting models that feed the daily planning cycle automatically.',
+        results: [
+          { value: '18%', label: 'forecast error reduction' },
+        ],
+        techStack: ['Python', 'Databricks', 'Airflow', 'Power BI'],
+      },
+      {
+        slug: 'ministry-erp-modernization',
+        title: 'Ministry ERP modernization',
+        client: 'Government ministry',
+        industry: 'government',
+        country: 'SA',
+        services: ['digital-transformation'],
+        summary: 'Integrated a legacy ERP with new citizen and employee portals.',
+        challenge: 'Approvals moved on paper between the ERP and a dozen departmental systems.',
+        solution: 'We put an integration layer in front of the ERP and built digital workflows for the highest-volume approvals first.',
+        results: [
+          { value: '60%', label: 'faster approvals' },
+          { value: '12', label: 'systems integrated' },
+        ],
+        techStack: ['SAP', 'MuleSoft', 'React', 'Camunda'],
+      },
+      {
+        slug: 'logistics-group-consolidation',
+        title: 'Logistics group consolidation',
+        client: 'Logistics group',
+        industry: 'logistics',
+        country: 'AE',
+        services: ['digital-transformation', 'cloud-devops'],
+        summary: 'Merged five regional systems into one cloud platform.',
+        challenge: 'Five acquired companies ran five different operations systems with no shared view of shipments.',
+        solution: 'We consolidated operations onto one cloud platform and migrated each region in turn.',
+        results: [
+          { value: '25%', label: 'lower run cost' },
+          { value: '5 → 1', label: 'operations platforms' },
+        ],
+        techStack: ['AWS', 'Terraform', 'Kafka', 'PostgreSQL'],
+      },
+    ],
+  },
+  ar: {
+    company: {
+      name: 'سبيد أوف ماستري',
+      headline: 'الشريك التقني الرائد في الخليج والمملكة العربية السعودية',
+      subheadline: 'من الاستراتيجية إلى التنفيذ، نهندس منصات قابلة للتوسع وأنظمة سحابية أصيلة وحلول ذكاء اصطناعي تدعم رواد المنطقة.',
+      stats: [
+        { label: 'مشروع منجز', value: 120, prefix: '+' },
+        { label: 'جاهزية الأنظمة', value: 99.99, suffix: '٪' },
+        { label: 'متوسط مدة الإطلاق', value: 8, suffix: ' أسابيع' },
+      ],
+      awards: ['أفضل مبتكر تقني – المملكة العربية السعودية', 'أفضل شريك للتحديث السحابي – دول الخليج'],
+    },
+    services: [
+      {
+        slug: 'custom-software',
+        title: 'البرمجيات المخصصة',
+        desc: 'تطبيقات ويب وجوال عالية الأداء مصممة خصيصًا لأعمالك.',
+        bullets: ['هندسة المنتجات', 'الخدمات المصغّرة', 'منصات الواجهات البرمجية'],
+        longDesc: 'نصمم ونبني المنتجات التي يستخدمها عملاؤك وفرقك كل يوم. تجمع فرقنا بين التفكير في المنتج والخبرة الهندسية العالية لإطلاق برمجيات ويب وجوال ومنصات تبقى سريعة وسهلة الصيانة مع توسعك في المنطقة.',
+        capabilities: [
+          { title: 'هندسة المنتجات', desc: 'الاستكشاف وتجربة المستخدم والتسليم التدريجي لتطبيقات الويب والجوال.' },
+          { title: 'الخدمات المصغّرة', desc: 'تصميم خدمات قائم على المجالات يتيح للفرق الإطلاق باستقلالية.' },
+          { title: 'منصات الواجهات البرمجية', desc: 'واجهات برمجية آمنة وموثقة للشركاء والمصرفية المفتوحة والتكامل الحكومي.' },
+          { title: 'تجربة عربية أولًا', desc: 'واجهات ثنائية اللغة تدعم الاتجاه من اليمين إلى اليسار منذ اليوم الأول.' },
+        ],
+        techStack: ['React', 'React Native', 'Node.js', 'Java / Spring', 'PostgreSQL', 'GraphQL'],
+        caseStudies: [
+          { slug: 'retail-super-app', title: 'تطبيق شامل لسلسلة تجزئة سعودية', summary: 'توحيد الولاء والطلبات والمدفوعات لأكثر من مليوني متسوق.', result: 'الإطلاق خلال ١٤ أسبوعًا' },
+          { slug: 'citizen-services-portal', title: 'بوابة خدمات المواطنين', summary: 'إعادة بناء بوابة خدمات حكومية إلكترونية على منصة واجهات برمجية معيارية.', result: 'تحميل الصفحات أسرع بثلاث مرات' },
+        ],
+      },
+      {
+        slug: 'cloud-devops',
+        title: 'السحابة و DevOps',
+        desc: 'سحابة آمنة وقابلة للتوسع على AWS و Azure و GCP مع ممارسات DevOps حديثة.',
+        bullets: ['Kubernetes', 'التكامل والنشر المستمر', 'المراقبة'],
+        longDesc: 'نبني ونشغّل أسسًا سحابية تلتزم بمتطلبات إقامة البيانات المحلية دون إبطاء الفرق. من مناطق الهبوط إلى هندسة المنصات، نؤتمت الطريق من كتابة الشيفرة إلى بيئة الإنتاج ونبقيه قابلًا للمراقبة.',
+        capabilities: [
+          { title: 'منصات Kubernetes', desc: 'عناقيد جاهزة للإنتاج مع GitOps والتوسع التلقائي وضوابط السياسات.' },
+          { title: 'التكامل والنشر المستمر', desc: 'مسارات نشر مع اختبارات مؤتمتة وفحص أمني وإطلاق تدريجي.' },
+          { title: 'المراقبة', desc: 'مقاييس وسجلات وتتبع مرتبطة بأهداف مستوى الخدمة وأدلة التشغيل.' },
+          { title: 'استضافة داخل المملكة', desc: 'معماريات للمناطق السحابية المحلية ومتطلبات إقامة البيانات.' },
+        ],
+        techStack: ['AWS', 'Azure', 'Google Cloud', 'Kubernetes', 'Terraform', 'Argo CD', 'Grafana'],
+        caseStudies: [
+          { slug: 'fintech-platform-migration', title: 'ترحيل منصة تقنية مالية', summary: 'نقل منصة مدفوعات إلى Kubernetes دون أي توقف.', result: 'جاهزية ٩٩٫٩٩٪' },
+          { slug: 'telecom-release-automation', title: 'أتمتة الإطلاقات لشركة اتصالات', summary: 'استبدال الإطلاقات اليدوية الشهرية بنشر مؤتمت يومي.', result: 'إطلاقات أكثر بثلاثين ضعفًا' },
+        ],
+      },
+      {
+        slug: 'ai-data',
+        title: 'الذكاء الاصطناعي والبيانات',
+        desc: 'ذكاء اصطناعي تطبيقي وتحليلات ومنصات بيانات تحقق أثرًا حقيقيًا.',
+        bullets: ['تطبيقات النماذج اللغوية', 'عمليات تعلم الآلة', 'بحيرات البيانات'],
+        longDesc: 'نحوّل البيانات إلى قرارات ومنتجات. تبني فرقنا منصات بيانات حديثة ومسارات تعلم آلة جاهزة للإنتاج وتطبيقات نماذج لغوية تدعم العربية، وتُقاس بنتائج الأعمال لا بالعروض التجريبية.',
+        capabilities: [
+          { title: 'تطبيقات النماذج اللغوية', desc: 'مساعدات وبحث وأتمتة للمستندات بدعم العربية والإنجليزية.' },
+          { title: 'عمليات تعلم الآلة', desc: 'تدريب ونشر ومراقبة النماذج في بيئة الإنتاج بشكل متكرر وموثوق.' },
+          { title: 'بحيرات البيانات', desc: 'منصات بيانات محوكمة توحد البيانات التشغيلية والتحليلية.' },
+          { title: 'التحليلات', desc: 'لوحات معلومات تنفيذية وذكاء أعمال ذاتي الخدمة على بيانات موثوقة.' },
+        ],
+        techStack: ['Python', 'Databricks', 'Snowflake', 'Kafka', 'LangChain', 'MLflow', 'Power BI'],
+        caseStudies: [
+          { slug: 'arabic-customer-care-assistant', title: 'مساعد عربي لخدمة العملاء', summary: 'مساعد بالنماذج اللغوية يجيب عن استفسارات مصرفية بالعربية والإنجليزية.', result: 'تذاكر أقل بنسبة ٤٠٪ في مركز الاتصال' },
+          { slug: 'energy-demand-forecasting', title: 'التنبؤ بالطلب على الطاقة', summary: 'نماذج تنبؤ تغذي تخطيط العمليات اليومية.', result: 'خفض خطأ التنبؤ بنسبة ١٨٪' },
+        ],
+      },
+      {
+        slug: 'digital-transformation',
+        title: 'التحول الرقمي',
+        desc: 'من الأنظمة القديمة إلى الحديثة، نسرّع التنفيذ على مستوى المؤسسة.',
+        bullets: ['الترحيل إلى السحابة', 'تكامل أنظمة ERP', 'الحوكمة'],
+        longDesc: 'نساعد المؤسسات والجهات الحكومية على تحديث أنظمتها القديمة بما يتماشى مع برامج رؤية ٢٠٣٠. نخطط خارطة الطريق، وننقل الأنظمة الحرجة، وندمج الأنظمة الأساسية، ونؤسس الحوكمة التي تبقي التحول على المسار الصحيح.',
+        capabilities: [
+          { title: 'الترحيل إلى السحابة', desc: 'تقييم وتخطيط وترحيل مرحلي للأنظمة القديمة.' },
+          { title: 'تكامل أنظمة ERP', desc: 'ربط SAP و Oracle و Dynamics بالقنوات الرقمية الحديثة.' },
+          { title: 'الحوكمة', desc: 'حوكمة المعمارية والأمن والتسليم بما يتوافق مع الجهات التنظيمية.' },
+          { title: 'إدارة التغيير', desc: 'التدريب وتصميم نموذج التشغيل لضمان تبني الأنظمة الجديدة.' },
+        ],
+        techStack: ['SAP', 'Oracle', 'Microsoft Dynamics', 'MuleSoft', 'ServiceNow', 'Azure'],
+        caseStudies: [
+          { slug: 'ministry-erp-modernization', title: 'تحديث نظام ERP لوزارة', summary: 'دمج نظام ERP قديم مع بوابات جديدة للمواطنين والموظفين.', result: 'اعتمادات أسرع بنسبة ٦٠٪' },
+          { slug: 'logistics-group-consolidation', title: 'توحيد أنظمة مجموعة لوجستية', summary: 'دمج خمسة أنظمة إقليمية في منصة سحابية واحدة.', result: 'خفض تكلفة التشغيل بنسبة ٢٥٪' },
+        ],
+      },
+    ],
+    caseStudies: [
+      {
+        slug: 'retail-super-app',
+        title: 'تطبيق شامل لسلسلة تجزئة سعودية',
+        client: 'مجموعة تجزئة وطنية',
+        industry: 'retail',
+        country: 'SA',
+        services: ['custom-software'],
+        summary: 'توحيد الولاء والطلبات والمدفوعات لأكثر من مليوني متسوق.',
+        challenge: 'كان الولاء والاستلام من المتجر والمدفوعات موزعة على ثلاثة تطبيقات بحسابات منفصلة، ولم يثبّت معظم المتسوقين أكثر من تطبيق واحد.',
+        solution: 'بنينا تطبيقًا واحدًا يضع العربية أولًا على منصة واجهات برمجية مشتركة، ونقلنا أرصدة الولاء كما هي وأطلقناه متجرًا تلو الآخر.',
+        results: [
+          { value: '١٤ أسبوعًا', label: 'من الانطلاق إلى الإطلاق' },
+          { value: '+٢ مليون', label: 'متسوق نشط' },
+          { value: '٣٥٪', label: 'زيادة في الطلبات المتكررة' },
+        ],
+        techStack: ['React Native', 'Node.js', 'PostgreSQL', 'GraphQL'],
+      },
+      {
+        slug: 'citizen-services-portal',
+        title: 'بوابة خدمات المواطنين',
+        client: 'جهة حكومية',
+        industry: 'government',
+        country: 'SA',
+        services: ['custom-software', 'digital-transformation'],
+        summary: 'إعادة بناء بوابة خدمات حكومية إلكترونية على منصة واجهات برمجية معيارية.',
+        challenge: 'جعلت البوابة الأحادية كل خدمة إلكترونية جديدة مشروعًا يستغرق ستة أشهر، وكانت تتباطأ بشدة في أوقات الذروة.',
+        solution: 'قسّمنا البوابة إلى خدمات تُطلق باستقلالية خلف نظام تصميم وبوابة واجهات برمجية مشتركين.',
+        results: [
+          { value: '٣ أضعاف', label: 'سرعة تحميل الصفحات' },
+          { value: '+٤٠', label: 'خدمة إلكترونية منقولة' },
+        ],
+        techStack: ['React', 'Java / Spring', 'Kong', 'PostgreSQL'],
+      },
+      {
+        slug: 'fintech-platform-migration',
+        title: 'ترحيل منصة تقنية مالية',
+        client: 'مزود مدفوعات مرخّص',
+        industry: 'fintech',
+        country: 'SA',
+        services: ['cloud-devops'],
+        summary: 'نقل منصة مدفوعات إلى Kubernetes دون أي توقف.',
+        challenge: 'تجاوزت أحجام المدفوعات قدرة خوادم افتراضية تُدار يدويًا، مع وجوب بقاء البيانات داخل المملكة.',
+        solution: 'نقلنا المنصة إلى Kubernetes في منطقة سحابية داخل المملكة مع نشر GitOps وتحويل الحركة خدمةً تلو الأخرى.',
+        results: [
+          { value: '٩٩٫٩٩٪', label: 'جاهزية منذ الانتقال' },
+          { value: '٠', label: 'دقائق توقف' },
+        ],
+        techStack: ['Kubernetes', 'Terraform', 'Argo CD', 'Prometheus'],
+      },
+      {
+        slug: 'telecom-release-automation',
+        title: 'أتمتة الإطلاقات لشركة اتصالات',
+        client: 'مشغل اتصالات إقليمي',
+        industry: 'telecom',
+        country: 'AE',
+        services: ['cloud-devops'],
+        summary: 'استبدال الإطلاقات اليدوية الشهرية بنشر مؤتمت يومي.',
+        challenge: 'كانت الإطلاقات تتطلب نافذة تغيير في عطلة نهاية الأسبوع ودليل تشغيل من ٢٠٠ خطوة.',
+        solution: 'بنينا مسارات تكامل ونشر مستمرين مع اختبارات مؤتمتة وإطلاق تدريجي، ثم استغنينا عن دليل التشغيل.',
+        results: [
+          { value: '٣٠ ضعفًا', label: 'عدد الإطلاقات' },
+          { value: '٧٠٪', label: 'تغييرات فاشلة أقل' },
+        ],
+        techStack: ['GitLab CI', 'Kubernetes', 'Helm', 'Grafana'],
+      },
+      {
+        slug: 'arabic-customer-care-assistant',
+        title: 'مساعد عربي لخدمة العملاء',
+        client: 'بنك تجزئة',
+        industry: 'banking',
+        country: 'QA',
+        services: ['ai-data'],
+        summary: 'مساعد بالنماذج اللغوية يجيب عن استفسارات مصرفية بالعربية والإنجليزية.',
+        challenge: 'كانت طوابير مركز الاتصال تبلغ ذروتها في نهاية الشهر، ومعظم المكالمات أسئلة روتينية عن الرصيد والبطاقات والتحويلات.',
+        solution: 'أطلقنا مساعدًا يعتمد على الاسترجاع من سياسات البنك، مع تحويل أي طلب حساس إلى موظف.',
+        results: [
+          { value: '٤٠٪', label: 'تذاكر أقل في مركز الاتصال' },
+          { value: '٢', label: 'لغتان تشملان اللهجات الخليجية' },
+        ],
+        techStack: ['Python', 'LangChain', 'Azure OpenAI', 'Elasticsearch'],
+      },
+      {
+        slug: 'energy-demand-forecasting',
+        title: 'التنبؤ بالطلب على الطاقة',
+        client: 'مشغل مرافق',
+        industry: 'energy',
+        country: 'SA',
+        services: ['ai-data'],
+        summary: 'نماذج تنبؤ تغذي تخطيط العمليات اليومية.',
+        challenge: 'اعتمد المخططون على جداول بيانات لا تلتقط ذروات الطلب في موجات الحر والعطلات.',
+        solution: 'بنينا منصة بيانات ونماذج تنبؤ تغذي دورة التخطيط اليومية تلقائيًا.',
+        results: [
+          { value: '١٨٪', label: 'خفض خطأ التنبؤ' },
+        ],
+        techStack: ['Python', 'Databricks', 'Airflow', 'Power BI'],
+      },
+      {
+        slug: 'ministry-erp-modernization',
+        title: 'تحديث نظام ERP لوزارة',
+        client: 'وزارة حكومية',
+        industry: 'government',
+        country: 'SA',
+        services: ['digital-transformation'],
+        summary: 'دمج نظام ERP قديم مع بوابات جديدة للمواطنين والموظفين.',
+        challenge: 'كانت الاعتمادات تنتقل ورقيًا بين نظام ERP وعشرات الأنظمة في الإدارات.',
+        solution: 'وضعنا طبقة تكامل أمام نظام ERP وبنينا مسارات رقمية للاعتمادات الأعلى حجمًا أولًا.',
+        results: [
+          { value: '٦٠٪', label: 'اعتمادات أسرع' },
+          { value: '١٢', label: 'نظامًا متكاملًا' },
+        ],
+        techStack: ['SAP', 'MuleSoft', 'React', 'Camunda'],
+      },
+      {
+        slug: 'logistics-group-consolidation',
+        title: 'توحيد أنظمة مجموعة لوجستية',
+        client: 'مجموعة لوجستية',
+        industry: 'logistics',
+        country: 'AE',
+        services: ['digital-transformation', 'cloud-devops'],
+        summary: 'دمج خمسة أنظمة إقليمية في منصة سحابية واحدة.',
+        challenge: 'كانت خمس شركات مستحوذ عليها تشغّل خمسة أنظمة عمليات مختلفة دون رؤية موحدة للشحنات.',
+        solution: 'وحّدنا العمليات على منصة سحابية واحدة ونقلنا كل منطقة على حدة.',
+        results: [
+          { value: '٢٥٪', label: 'خفض تكلفة التشغيل' },
+          { value: '٥ ← ١', label: 'منصات العمليات' },
+        ],
+        techStack: ['AWS', 'Terraform', 'Kafka', 'PostgreSQL'],
+      },
+    ],
+  },
+}
+
+export function getFallbackContent(lang) {
+  return fallbackContent[lang] || fallbackContent.en
+}
+
+export function getFallbackService(lang, slug) {
+  return getFallbackContent(lang).services.find((svc) => svc.slug === slug) || null
+}
+
+export function getFallbackCaseStudy(lang, slug) {
+  return getFallbackContent(lang).caseStudies.find((cs) => cs.slug === slug) || null
+}
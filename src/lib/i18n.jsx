@@ -0,0 +1,88 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react'
+import en from '../locales/en'
+import ar from '../locales/ar'
+import { hasConsent } from './consent'
+
+export const LANGUAGES = {
+  en: { label: 'English', locale: 'en-US', dir: 'ltr', catalog: en },
+  ar: { label: 'العربية', locale: 'ar-SA', dir: 'rtl', catalog: ar },
+}
+
+const DEFAULT_LANG = 'en'
+const STORAGE_KEY = 'lang'
+
+const I18nContext = createContext(null)
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog)
+}
+
+function interpolate(str, vars) {
+  if (!vars) return str
+  return str.replace(/\{(\w+)\}/g, (match, name) => (vars[name] != null ? String(vars[name]) : match))
+}
+
+function initialLang() {
+  // ?lang= comes from hreflang alternate links and wins over the stored choice for this visit
+  const requested = new URLSearchParams(window.location.search).get('lang')
+  if (LANGUAGES[requested]) return requested
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY)
+    if (stored && LANGUAGES[stored]) return stored
+  } catch (e) {
+    // Storage can be unavailable (private mode, disabled cookies)
+  }
+  const browser = (navigator.language || '').slice(0, 2)
+  return LANGUAGES[browser] ? browser : DEFAULT_LANG
+}
+
+/** `defaultLang` pins the language when there is no browser to ask, e.g. while prerendering. */
+export function I18nProvider({ children, defaultLang }) {
+  const [lang, setLangState] = useState(() => (LANGUAGES[defaultLang] ? defaultLang : initialLang()))
+  const { locale, dir, catalog } = LANGUAGES[lang]
+
+  useEffect(() => {
+    document.documentElement.lang = lang
+    document.documentElement.dir = dir
+  }, [lang, dir])
+
+  const setLang = useCallback((next) => {
+    if (!LANGUAGES[next]) return
+    setLangState(next)
+    if (!hasConsent('preferences')) return
+    try {
+      localStorage.setItem(STORAGE_KEY, next)
+    } catch (e) {
+      // Ignore storage failures, the choice still applies for this visit
+    }
+  }, [])
+
+  const value = useMemo(() => {
+    const t = (key, vars) => {
+      const str = lookup(catalog, key) ?? lookup(en, key)
+      return typeof str === 'string' ? interpolate(str, vars) : key
+    }
+
+    const numberFormat = new Intl.NumberFormat(locale, { maximumFractionDigits: 2 })
+    const formatNumber = (n) => numberFormat.format(n)
+
+    // Stats come either structured ({ value: 120, prefix: '+' }) or as
+    // preformatted strings from the API ('99.99%'); localize digits in both.
+    const formatStat = (stat) => {
+      if (typeof stat.value === 'number') {
+        return `${stat.prefix || ''}${formatNumber(stat.value)}${stat.suffix || ''}`
+      }
+      return String(stat.value ?? '').replace(/\d+(?:\.\d+)?/g, (m) => formatNumber(Number(m)))
+    }
+
+    return { lang, locale, dir, setLang, t, formatNumber, formatStat }
+  }, [lang, locale, dir, catalog, setLang])
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>
+}
+
+export function useI18n() {
+  const ctx = useContext(I18nContext)
+  if (!ctx) throw new Error('useI18n must be used inside <I18nProvider>')
+  return ctx
+}
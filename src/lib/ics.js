@@ -0,0 +1,51 @@
+function escapeText(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n')
+}
+
+// 20261020T070000Z
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+// RFC 5545 limits lines to 75 octets; continuation lines start with a space
+function fold(line) {
+  const encoder = new TextEncoder()
+  if (encoder.encode(line).length <= 75) return line
+  const parts = []
+  let current = ''
+  for (const char of line) {
+    if (encoder.encode(current + char).length > (parts.length ? 74 : 75)) {
+      parts.push(current)
+      current = ''
+    }
+    current += char
+  }
+  parts.push(current)
+  return parts.join('\r\n ')
+}
+
+/**
+ * Build a single-event calendar invite.
+ * @param {{ uid: string, start: Date, end: Date, title: string, description?: string, url?: string }} event
+ */
+export function toIcs({ uid, start, end, title, description, url }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//SPEED OF MASTRY//Discovery call//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(title)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    url && `URL:${url}`,
+    url && `LOCATION:${escapeText(url)}`,
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ]
+  return `${lines.filter(Boolean).map(fold).join('\r\n')}\r\n`
+}
@@ -0,0 +1,155 @@
+import { createLead, isRetryableError } from './api'
+import { solveChallenge } from './spamGuard'
+
+// Leads that could not reach the backend are parked in IndexedDB and retried
+// with exponential backoff until the API confirms them. Every lead carries an
+// idempotency key so a retry after a lost response cannot create a duplicate.
+
+const DB_NAME = 'speed-of-mastry'
+const DB_VERSION = 1
+const STORE = 'pendingLeads'
+
+const BASE_DELAY_MS = 5_000
+const MAX_DELAY_MS = 5 * 60_000
+
+let dbPromise = null
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') return reject(new Error('IndexedDB is not available'))
+      const req = indexedDB.open(DB_NAME, DB_VERSION)
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(STORE, { keyPath: 'id' })
+      }
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => reject(req.error)
+    })
+    dbPromise.catch(() => {
+      dbPromise = null
+    })
+  }
+  return dbPromise
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode)
+    const req = fn(tx.objectStore(STORE))
+    tx.oncomplete = () => resolve(req?.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+export function createIdempotencyKey() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID()
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`
+}
+
+export function backoffDelay(attempts) {
+  const delay = Math.min(BASE_DELAY_MS * 2 ** attempts, MAX_DELAY_MS)
+  // Jitter spreads retries from many tabs/visitors after an outage
+  return Math.round(delay * (0.75 + Math.random() * 0.5))
+}
+
+export async function enqueueLead(payload, idempotencyKey) {
+  const now = Date.now()
+  await withStore('readwrite', (store) => store.put({
+    id: idempotencyKey,
+    payload,
+    attempts: 0,
+    createdAt: now,
+    nextAttemptAt: now + backoffDelay(0),
+  }))
+  scheduleFlush()
+}
+
+export function getPendingLeads() {
+  return withStore('readonly', (store) => store.getAll())
+}
+
+let flushing = null
+let timer = null
+const listeners = new Set()
+
+async function flushOnce(force) {
+  if (navigator.onLine === false) return
+  const pending = await getPendingLeads()
+  const now = Date.now()
+  for (const record of pending) {
+    if (!force && record.nextAttemptAt > now) continue
+    let outcome
+    try {
+      // The proof of work is bound to the time it was solved, so a lead replayed minutes or hours
+      // later gets a fresh one instead of being refused as stale and dropped
+      const payload = 'pow' in record.payload ? { ...record.payload, pow: await solveChallenge(record.payload.email) } : record.payload
+      await createLead(payload, { idempotencyKey: record.id })
+      outcome = { id: record.id, ok: true, status: 200 }
+    } catch (err) {
+      // Transient failures stay queued; a 4xx means the backend saw the lead and rejected it
+      if (isRetryableError(err)) {
+        const attempts = record.attempts + 1
+        await withStore('readwrite', (store) => store.put({ ...record, attempts, nextAttemptAt: Date.now() + backoffDelay(attempts) }))
+        continue
+      }
+      outcome = { id: record.id, ok: false, status: err.status }
+    }
+    await withStore('readwrite', (store) => store.delete(record.id))
+    listeners.forEach((fn) => fn(outcome))
+  }
+}
+
+/**
+ * Retry every due lead, or every queued lead with `force`.
+ * Concurrent calls share the same run.
+ */
+export function flushLeadQueue({ force = false } = {}) {
+  if (!flushing) {
+    flushing = flushOnce(force)
+      .catch(() => {})
+      .finally(() => {
+        flushing = null
+        scheduleFlush()
+      })
+  }
+  return flushing
+}
+
+async function scheduleFlush() {
+  clearTimeout(timer)
+  timer = null
+  // While offline the 'online' listener takes over instead of the timer
+  if (!listeners.size || navigator.onLine === false) return
+  let pending = []
+  try {
+    pending = await getPendingLeads()
+  } catch (e) {
+    return
+  }
+  if (!pending.length) return
+  const next = Math.min(...pending.map((r) => r.nextAttemptAt))
+  clearTimeout(timer)
+  timer = setTimeout(flushLeadQueue, Math.max(next - Date.now(), 0))
+}
+
+// Coming back online is the best moment to retry, whatever the backoff says
+const onOnline = () => flushLeadQueue({ force: true })
+
+/**
+ * Start retrying queued leads while the page is open. `onSettled` is called
+ * with `{ id, ok, status }` when the backend answers for a queued lead.
+ * Returns a function that stops the queue.
+ */
+export function startLeadQueue(onSettled = () => {}) {
+  listeners.add(onSettled)
+  window.addEventListener('online', onOnline)
+  flushLeadQueue()
+  return () => {
+    listeners.delete(onSettled)
+    if (listeners.size) return
+    window.removeEventListener('online', onOnline)
+    clearTimeout(timer)
+  }
+}
@@ -0,0 +1,99 @@
+import 'fake-indexeddb/auto'
+import { IDBFactory } from 'fake-indexeddb'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { applyScenario, server } from '../mocks/node'
+
+const NOW = Date.UTC(2026, 0, 1)
+const lead = { name: 'Sara Al-Harbi', email: 'sara@company.sa', services: ['custom-software'] }
+
+// A fresh database and module for each test: the queue keeps its connection in module state
+let queue
+beforeEach(async () => {
+  globalThis.indexedDB = new IDBFactory()
+  vi.resetModules()
+  queue = await import('./leadQueue')
+  vi.useFakeTimers({ toFake: ['Date'] })
+  vi.setSystemTime(NOW)
+  // No jitter, so delays are exact
+  vi.spyOn(Math, 'random').mockReturnValue(0.5)
+})
+
+afterEach(() => {
+  server.events.removeAllListeners('request:start')
+  vi.useRealTimers()
+  vi.restoreAllMocks()
+})
+
+// Idempotency keys of the lead POSTs the mock backend receives
+function sentKeys() {
+  const keys = []
+  server.events.on('request:start', ({ request }) => {
+    if (request.method === 'POST' && new URL(request.url).pathname === '/api/leads') keys.push(request.headers.get('Idempotency-Key'))
+  })
+  return keys
+}
+
+describe('lead queue', () => {
+  it('keeps a lead through server errors, backing off further each time', async () => {
+    applyScenario('server-error')
+    await queue.enqueueLead(lead, 'key-1')
+
+    await queue.flushLeadQueue({ force: true })
+    const [first] = await queue.getPendingLeads()
+    expect(first).toMatchObject({ id: 'key-1', attempts: 1, nextAttemptAt: NOW + 10_000 })
+
+    await queue.flushLeadQueue({ force: true })
+    const [second] = await queue.getPendingLeads()
+    expect(second).toMatchObject({ attempts: 2, nextAttemptAt: NOW + 20_000 })
+  })
+
+  it('leaves a lead alone until its backoff has passed', async () => {
+    const keys = sentKeys()
+    await queue.enqueueLead(lead, 'key-1')
+    await queue.flushLeadQueue()
+    expect(keys).toEqual([])
+    expect(await queue.getPendingLeads()).toHaveLength(1)
+  })
+
+  it('sends the same idempotency key on every retry and removes the lead once accepted', async () => {
+    const keys = sentKeys()
+    const settled = vi.fn()
+    const stop = queue.startLeadQueue(settled)
+    applyScenario('server-error')
+    await queue.enqueueLead(lead, 'key-1')
+    await queue.flushLeadQueue({ force: true })
+    await queue.flushLeadQueue({ force: true })
+
+    server.resetHandlers()
+    await queue.flushLeadQueue({ force: true })
+    stop()
+
+    expect(keys).toEqual(['key-1', 'key-1', 'key-1'])
+    expect(settled).toHaveBeenCalledWith({ id: 'key-1', ok: true, status: 200 })
+    expect(await queue.getPendingLeads()).toEqual([])
+  })
+
+  it('drops a lead the backend rejects', async () => {
+    const settled = vi.fn()
+    const stop = queue.startLeadQueue(settled)
+    applyScenario('validation')
+    await queue.enqueueLead(lead, 'key-1')
+    await queue.flushLeadQueue({ force: true })
+    stop()
+
+    expect(settled).toHaveBeenCalledWith({ id: 'key-1', ok: false, status: 422 })
+    expect(await queue.getPendingLeads()).toEqual([])
+  })
+})
+
+describe('backoffDelay', () => {
+  it.each([
+    [0, 5_000],
+    [1, 10_000],
+    [4, 80_000],
+    // Capped at five minutes
+    [10, 300_000],
+  ])('after %i attempts waits %ims', (attempts, delay) => {
+    expect(queue.backoffDelay(attempts)).toBe(delay)
+  })
+})
@@ -0,0 +1,139 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react'
+import { MotionConfig } from 'framer-motion'
+import { hasConsent } from './consent'
+
+const STORAGE_KEY = 'motion'
+const LOW_POWER_KEY = 'motion:lowPower'
+const REDUCED_QUERY = '(prefers-reduced-motion: reduce)'
+
+// Frame-rate sampling: several short windows in a row must all be slow before we give up on animation
+const SAMPLE_MS = 2000
+const MIN_FPS = 40
+const SLOW_WINDOWS = 3
+const MONITOR_MS = 60000
+
+const MotionContext = createContext(null)
+
+// `area` is 'localStorage' or 'sessionStorage'; touching either can throw when storage is blocked
+function readStorage(area, key) {
+  try {
+    return window[area].getItem(key)
+  } catch (e) {
+    return null
+  }
+}
+
+function writeStorage(area, key, value) {
+  try {
+    window[area].setItem(key, value)
+  } catch (e) {
+    // The preference still applies for this visit
+  }
+}
+
+function initialPreference() {
+  const stored = readStorage('localStorage', STORAGE_KEY)
+  return stored === 'reduce' || stored === 'full' ? stored : 'system'
+}
+
+// Without a window (prerendering) content is rendered static and fully visible
+function systemPrefersReduced() {
+  if (typeof window === 'undefined') return true
+  return typeof window.matchMedia === 'function' && window.matchMedia(REDUCED_QUERY).matches
+}
+
+/**
+ * Watch requestAnimationFrame for a while and call `onSlow` once frame rates stay low.
+ * Windows that include a long pause (hidden tab, debugger) are thrown away. Returns a stop function.
+ */
+function monitorFrameRate(onSlow) {
+  let frame = 0
+  let frames = 0
+  let slowWindows = 0
+  let windowStart = performance.now()
+  let last = windowStart
+  const deadline = windowStart + MONITOR_MS
+
+  const tick = (now) => {
+    if (now - last > 1000 || document.hidden) {
+      frames = 0
+      windowStart = now
+    } else {
+      frames++
+    }
+    last = now
+
+    if (now - windowStart >= SAMPLE_MS) {
+      const fps = (frames * 1000) / (now - windowStart)
+      slowWindows = fps < MIN_FPS ? slowWindows + 1 : 0
+      frames = 0
+      windowStart = now
+      if (slowWindows >= SLOW_WINDOWS) {
+        onSlow()
+        return
+      }
+    }
+    if (now < deadline) frame = requestAnimationFrame(tick)
+  }
+
+  frame = requestAnimationFrame(tick)
+  return () => cancelAnimationFrame(frame)
+}
+
+export function MotionPreferenceProvider({ children }) {
+  const [preference, setPreferenceState] = useState(initialPreference)
+  const [systemReduced, setSystemReduced] = useState(systemPrefersReduced)
+  const [lowPower, setLowPower] = useState(() => readStorage('sessionStorage', LOW_POWER_KEY) === '1')
+
+  useEffect(() => {
+    if (typeof window.matchMedia !== 'function') return
+    const query = window.matchMedia(REDUCED_QUERY)
+    const onChange = (e) => setSystemReduced(e.matches)
+    query.addEventListener('change', onChange)
+    return () => query.removeEventListener('change', onChange)
+  }, [])
+
+  // An explicit choice always wins; the OS setting and the frame-rate check only apply to 'system'
+  const reduced = preference === 'reduce' || (preference === 'system' && (systemReduced || lowPower))
+
+  useEffect(() => {
+    if (reduced || preference !== 'system') return
+    return monitorFrameRate(() => {
+      // Without consent the slow device is only remembered until the page is reloaded
+      if (hasConsent('preferences')) writeStorage('sessionStorage', LOW_POWER_KEY, '1')
+      setLowPower(true)
+    })
+  }, [reduced, preference])
+
+  useEffect(() => {
+    document.documentElement.dataset.motion = reduced ? 'reduced' : 'full'
+  }, [reduced])
+
+  const setPreference = useCallback((next) => {
+    setPreferenceState(next)
+    if (hasConsent('preferences')) writeStorage('localStorage', STORAGE_KEY, next)
+  }, [])
+
+  const value = useMemo(
+    () => ({ reduced, preference, lowPower: preference === 'system' && lowPower && !systemReduced, setPreference }),
+    [reduced, preference, lowPower, systemReduced, setPreference]
+  )
+
+  return (
+    <MotionContext.Provider value={value}>
+      <MotionConfig reducedMotion={reduced ? 'always' : 'never'}>
+        {children}
+      </MotionConfig>
+    </MotionContext.Provider>
+  )
+}
+
+/**
+ * `reduced` is the one flag motion components should read.
+ * `lowPower` is true when animation was turned off because the device could not keep up.
+ */
+export function useMotionPreference() {
+  const ctx = useContext(MotionContext)
+  if (!ctx) throw new Error('useMotionPreference must be used inside <MotionPreferenceProvider>')
+  return ctx
+}
@@ -0,0 +1,195 @@
+import { LANGUAGES } from './i18n'
+
+// Head tags, structured data and crawler files for the build-time prerenderer.
+// Language lives in ?lang= rather than the path, so alternates differ only by that param.
+
+const DEFAULT_LANG = 'en'
+const AREA_SERVED = ['SA', 'AE', 'QA', 'KW', 'BH', 'OM']
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (c) => HTML_ESCAPES[c])
+}
+
+// JSON inside <script> must not be able to close the tag
+function jsonLdScript(data) {
+  return `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`
+}
+
+export function localizedUrl(url, lang) {
+  return lang === DEFAULT_LANG ? url : `${url}?lang=${lang}`
+}
+
+function organizationJsonLd(company, siteUrl) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Organization',
+    name: company.name,
+    url: `${siteUrl}/`,
+    logo: `${siteUrl}/favicon.svg`,
+    description: company.subheadline,
+    ...(company.awards?.length && { award: company.awards }),
+    areaServed: AREA_SERVED,
+  }
+}
+
+function serviceJsonLd(service, company, url, siteUrl) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Service',
+    name: service.title,
+    serviceType: service.title,
+    description: service.longDesc || service.desc,
+    url,
+    provider: { '@type': 'Organization', name: company.name, url: `${siteUrl}/` },
+    areaServed: AREA_SERVED,
+  }
+}
+
+// Office keys used by the jobs API
+const JOB_LOCATIONS = {
+  riyadh: { addressLocality: 'Riyadh', addressCountry: 'SA' },
+  dubai: { addressLocality: 'Dubai', addressCountry: 'AE' },
+}
+const EMPLOYMENT_TYPES = { 'full-time': 'FULL_TIME', contract: 'CONTRACTOR' }
+
+function jobPostingJsonLd(job, company, url, siteUrl) {
+  const office = JOB_LOCATIONS[job.location]
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'JobPosting',
+    title: job.title,
+    description: [job.summary, job.description].filter(Boolean).join('\n\n'),
+    url,
+    ...(job.postedAt && { datePosted: job.postedAt.slice(0, 10) }),
+    ...(EMPLOYMENT_TYPES[job.employmentType] && { employmentType: EMPLOYMENT_TYPES[job.employmentType] }),
+    hiringOrganization: { '@type': 'Organization', name: company.name, sameAs: `${siteUrl}/` },
+    ...(office
+      ? { jobLocation: { '@type': 'Place', address: { '@type': 'PostalAddress', ...office } } }
+      : {
+        jobLocationType: 'TELECOMMUTE',
+        applicantLocationRequirements: AREA_SERVED.map((code) => ({ '@type': 'Country', name: code })),
+      }),
+  }
+}
+
+/**
+ * Title, description and JSON-LD for one route. Pass `service`, `caseStudy` or `job` for detail pages,
+ * or `page: { title, description }` for other static pages; `page.noindex` keeps one out of search.
+ * @param {{ path: string, company: import('./api').Company, service?: import('./api').Service,
+ *   caseStudy?: import('./api').CaseStudy, job?: import('./api').Job,
+ *   page?: { title: string, description: string, noindex?: boolean } }} page
+ */
+export function pageMeta({ path, company, service, caseStudy, job, page }, siteUrl) {
+  const url = `${siteUrl}${path}`
+  const organization = organizationJsonLd(company, siteUrl)
+
+  if (service) {
+    return {
+      path,
+      url,
+      title: `${service.title} | ${company.name}`,
+      description: service.desc,
+      type: 'website',
+      jsonLd: [organization, serviceJsonLd(service, company, url, siteUrl)],
+    }
+  }
+  if (caseStudy) {
+    return {
+      path,
+      url,
+      title: `${caseStudy.title} | ${company.name}`,
+      description: caseStudy.summary,
+      type: 'article',
+      jsonLd: [organization],
+    }
+  }
+  if (job) {
+    return {
+      path,
+      url,
+      title: `${job.title} | ${company.name}`,
+      description: job.summary,
+      type: 'website',
+      jsonLd: [organization, jobPostingJsonLd(job, company, url, siteUrl)],
+    }
+  }
+  if (page) {
+    return {
+      path,
+      url,
+      title: `${page.title} | ${company.name}`,
+      description: page.description,
+      type: 'website',
+      jsonLd: [organization],
+      ...(page.noindex && { noindex: true }),
+    }
+  }
+  return {
+    path,
+    url,
+    title: `${company.name} – ${company.headline}`,
+    description: company.subheadline,
+    type: 'website',
+    jsonLd: [organization],
+  }
+}
+
+/** The tags that replace the template's <title>. */
+export function renderHead(meta, { siteName }) {
+  // Pages kept out of search (like the 404) get no canonical, alternates or previews
+  if (meta.noindex) {
+    return [
+      `<title>${escapeHtml(meta.title)}</title>`,
+      `<meta name="description" content="${escapeHtml(meta.description)}" />`,
+      '<meta name="robots" content="noindex" />',
+    ].join('\n    ')
+  }
+
+  const locale = (lang) => LANGUAGES[lang].locale.replace('-', '_')
+  const alternates = Object.keys(LANGUAGES)
+    .map((lang) => `<link rel="alternate" hreflang="${lang}" href="${escapeHtml(localizedUrl(meta.url, lang))}" />`)
+  const otherLocales = Object.keys(LANGUAGES)
+    .filter((lang) => lang !== DEFAULT_LANG)
+    .map((lang) => `<meta property="og:locale:alternate" content="${locale(lang)}" />`)
+
+  return [
+    `<title>${escapeHtml(meta.title)}</title>`,
+    `<meta name="description" content="${escapeHtml(meta.description)}" />`,
+    `<link rel="canonical" href="${escapeHtml(meta.url)}" />`,
+    ...alternates,
+    `<link rel="alternate" hreflang="x-default" href="${escapeHtml(meta.url)}" />`,
+    `<meta property="og:type" content="${meta.type}" />`,
+    `<meta property="og:site_name" content="${escapeHtml(siteName)}" />`,
+    `<meta property="og:title" content="${escapeHtml(meta.title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(meta.description)}" />`,
+    `<meta property="og:url" content="${escapeHtml(meta.url)}" />`,
+    `<meta property="og:locale" content="${locale(DEFAULT_LANG)}" />`,
+    ...otherLocales,
+    '<meta name="twitter:card" content="summary" />',
+    `<meta name="twitter:title" content="${escapeHtml(meta.title)}" />`,
+    `<meta name="twitter:description" content="${escapeHtml(meta.description)}" />`,
+    ...meta.jsonLd.map(jsonLdScript),
+  ].join('\n    ')
+}
+
+export function sitemapXml(pages) {
+  const entries = pages.map((page) => {
+    const links = Object.keys(LANGUAGES)
+      .map((lang) => `    <xhtml:link rel="alternate" hreflang="${lang}" href="${escapeHtml(localizedUrl(page.url, lang))}" />`)
+      .join('\n')
+    return `  <url>\n    <loc>${escapeHtml(page.url)}</loc>\n${links}\n  </url>`
+  })
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...entries,
+    '</urlset>',
+    '',
+  ].join('\n')
+}
+
+// Diagnostics and the admin inbox are not for search engines
+export function robotsTxt(siteUrl) {
+  return ['User-agent: *', 'Disallow: /admin', 'Disallow: /test', '', `Sitemap: ${siteUrl}/sitemap.xml`, ''].join('\n')
+}
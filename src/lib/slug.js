@@ -0,0 +1,14 @@
+export function slugify(str) {
+  return String(str || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' ')
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+}
+
+// The API may omit slugs; derive one from the title so cards still deep-link.
+export function serviceSlug(svc) {
+  return svc.slug || slugify(svc.title)
+}
@@ -0,0 +1,100 @@
+// Layered bot protection for the lead form. None of it is a wall on its own; together they turn
+// away scripted submissions cheaply. The backend must still verify the proof-of-work token.
+// Visitors only ever see one neutral message, whichever check failed.
+
+// Humans need longer than this to get through four wizard steps
+const MIN_FILL_MS = 5000
+// Repeat submissions from one browser session
+const MIN_INTERVAL_MS = 30_000
+const WINDOW_MS = 15 * 60_000
+const MAX_PER_WINDOW = 3
+const SENT_KEY = 'leads:sent'
+
+// Leading zero bits the proof-of-work hash needs: about 16k SHA-256 rounds, well under a second
+export const POW_DIFFICULTY = 14
+const POW_VERSION = 1
+const POW_MAX_ATTEMPTS = 1 << 22
+
+// Throwaway inbox providers; the backend keeps the authoritative list
+const DISPOSABLE_DOMAINS = new Set([
+  '10minutemail.com', '20minutemail.com', 'discard.email', 'dispostable.com', 'emailondeck.com',
+  'fakeinbox.com', 'getnada.com', 'guerrillamail.com', 'guerrillamail.net', 'maildrop.cc',
+  'mailinator.com', 'mailnesia.com', 'mintemail.com', 'mohmal.com', 'moakt.com', 'sharklasers.com',
+  'spamgourmet.com', 'temp-mail.org', 'tempail.com', 'tempmail.com', 'tempmailo.com', 'throwawaymail.com',
+  'trashmail.com', 'yopmail.com', 'yopmail.net',
+])
+
+/** True for addresses at a known disposable provider, including its subdomains. */
+export function isDisposableEmail(email) {
+  const domain = String(email ?? '').trim().toLowerCase().split('@')[1]
+  if (!domain) return false
+  const parts = domain.split('.')
+  return parts.some((_, i) => DISPOSABLE_DOMAINS.has(parts.slice(i).join('.')))
+}
+
+// sessionStorage survives reloads, which is the cheapest way around a purely in-memory limit
+let sentInMemory = []
+
+function readSent() {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(SENT_KEY))
+    return Array.isArray(stored) ? stored : sentInMemory
+  } catch (e) {
+    return sentInMemory
+  }
+}
+
+/** Call once a lead is accepted or queued, so the throttle counts it. */
+export function recordSubmission(now = Date.now()) {
+  sentInMemory = [...readSent().filter((ts) => now - ts < WINDOW_MS), now]
+  try {
+    sessionStorage.setItem(SENT_KEY, JSON.stringify(sentInMemory))
+  } catch (e) {
+    // The in-memory list still throttles this page
+  }
+}
+
+/**
+ * Run the client-side checks before anything is sent.
+ * `honeypot` is the hidden field's value; `startedAt` is when the form was first shown.
+ * @returns {{ ok: true } | { ok: false, check: 'honeypot' | 'too_fast' | 'throttled' | 'disposable_email' }}
+ */
+export function screenSubmission({ email, honeypot, startedAt }, now = Date.now()) {
+  if (honeypot) return { ok: false, check: 'honeypot' }
+  if (now - startedAt < MIN_FILL_MS) return { ok: false, check: 'too_fast' }
+  const recent = readSent().filter((ts) => now - ts < WINDOW_MS)
+  if (recent.length >= MAX_PER_WINDOW || now - Math.max(0, ...recent) < MIN_INTERVAL_MS) return { ok: false, check: 'throttled' }
+  if (isDisposableEmail(email)) return { ok: false, check: 'disposable_email' }
+  return { ok: true }
+}
+
+function leadingZeroBits(bytes) {
+  let bits = 0
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8
+      continue
+    }
+    return bits + Math.clz32(byte) - 24
+  }
+  return bits
+}
+
+/**
+ * Find a nonce so that SHA-256 of `v<version>:<issuedAt>:<email>:<nonce>` starts with `difficulty`
+ * zero bits. Binding it to the email and time stops one solved token being replayed for other leads;
+ * the backend recomputes the hash and decides how old `issuedAt` may be (the lead queue re-solves on replay).
+ * Resolves to null where Web Crypto is unavailable (insecure origins); the backend decides what to do then.
+ * @returns {Promise<{ version: number, difficulty: number, issuedAt: number, nonce: number } | null>}
+ */
+export async function solveChallenge(email, { difficulty = POW_DIFFICULTY } = {}) {
+  if (typeof crypto === 'undefined' || !crypto.subtle) return null
+  const issuedAt = Date.now()
+  const prefix = `v${POW_VERSION}:${issuedAt}:${String(email).trim().toLowerCase()}:`
+  const encoder = new TextEncoder()
+  for (let nonce = 0; nonce < POW_MAX_ATTEMPTS; nonce++) {
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(prefix + nonce))
+    if (leadingZeroBits(new Uint8Array(digest)) >= difficulty) return { version: POW_VERSION, difficulty, issuedAt, nonce }
+  }
+  return null
+}
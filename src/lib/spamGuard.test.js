@@ -0,0 +1,88 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { POW_DIFFICULTY, isDisposableEmail, recordSubmission, screenSubmission, solveChallenge } from './spamGuard'
+
+// Each test screens at its own time, hours apart, so submissions recorded by one never throttle another
+let clock = Date.UTC(2026, 0, 1)
+const nextHour = () => (clock += 60 * 60_000)
+
+const filledIn = (now, overrides = {}) => ({ email: 'sara@company.sa', honeypot: '', startedAt: now - 60_000, ...overrides })
+
+// What the backend does with a token: recompute the hash and count its leading zero bits
+async function verify(email, { version, difficulty, issuedAt, nonce }) {
+  const input = new TextEncoder().encode(`v${version}:${issuedAt}:${email.trim().toLowerCase()}:${nonce}`)
+  const bytes = new Uint8Array(await crypto.subtle.digest('SHA-256', input))
+  const bits = [...bytes].map((byte) => byte.toString(2).padStart(8, '0')).join('')
+  const zeros = bits.indexOf('1')
+  return (zeros === -1 ? bits.length : zeros) >= difficulty
+}
+
+describe('screenSubmission', () => {
+  it('lets through a form a person filled in', () => {
+    const now = nextHour()
+    expect(screenSubmission(filledIn(now), now)).toEqual({ ok: true })
+  })
+
+  it('turns away a filled honeypot', () => {
+    const now = nextHour()
+    expect(screenSubmission(filledIn(now, { honeypot: 'https://spam.example' }), now)).toEqual({ ok: false, check: 'honeypot' })
+  })
+
+  it.each([
+    [4_999, false],
+    [5_000, true],
+  ])('after %ims of filling in, passes: %s', (elapsed, ok) => {
+    const now = nextHour()
+    expect(screenSubmission(filledIn(now, { startedAt: now - elapsed }), now).ok).toBe(ok)
+  })
+
+  it('turns away a disposable address', () => {
+    const now = nextHour()
+    expect(screenSubmission(filledIn(now, { email: 'bot@mailinator.com' }), now)).toEqual({ ok: false, check: 'disposable_email' })
+  })
+
+  it('throttles a second lead within half a minute of the first', () => {
+    const now = nextHour()
+    recordSubmission(now)
+    expect(screenSubmission(filledIn(now + 10_000), now + 10_000)).toEqual({ ok: false, check: 'throttled' })
+    expect(screenSubmission(filledIn(now + 31_000), now + 31_000)).toEqual({ ok: true })
+  })
+})
+
+describe('isDisposableEmail', () => {
+  it.each([
+    ['bot@mailinator.com', true],
+    ['Bot@YOPMAIL.com ', true],
+    ['bot@eu.guerrillamail.com', true],
+    ['sara@company.sa', false],
+    // Only whole domain labels match
+    ['sara@notmailinator.com', false],
+    ['sara@mailinator.com.sa', false],
+    ['not an email', false],
+    [undefined, false],
+  ])('%s → %s', (email, disposable) => {
+    expect(isDisposableEmail(email)).toBe(disposable)
+  })
+})
+
+describe('solveChallenge', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('solves a challenge the backend can verify', async () => {
+    const token = await solveChallenge('Sara@Company.sa ')
+    expect(token).toMatchObject({ version: 1, difficulty: POW_DIFFICULTY })
+    expect(await verify('sara@company.sa', token)).toBe(true)
+  })
+
+  it('does not verify for another address or an unsolved nonce', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(clock)
+    const token = await solveChallenge('sara@company.sa', { difficulty: 8 })
+    expect(await verify('sara@company.sa', token)).toBe(true)
+    expect(await verify('other@company.sa', token)).toBe(false)
+    // Nonces are tried from zero up, so every one before the answer falls short
+    expect(token.nonce).toBeGreaterThan(0)
+    expect(await verify('sara@company.sa', { ...token, nonce: token.nonce - 1 })).toBe(false)
+  })
+})
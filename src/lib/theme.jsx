@@ -0,0 +1,116 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react'
+import { hasConsent } from './consent'
+
+const STORAGE_KEY = 'theme'
+const DARK_QUERY = '(prefers-color-scheme: dark)'
+
+const ThemeContext = createContext(null)
+
+function initialPreference() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY)
+    return stored === 'light' || stored === 'dark' ? stored : 'system'
+  } catch (e) {
+    return 'system'
+  }
+}
+
+// Prerendered pages use the light theme; the inline script in index.html corrects it before paint
+function systemPrefersDark() {
+  if (typeof window === 'undefined') return false
+  return typeof window.matchMedia === 'function' && window.matchMedia(DARK_QUERY).matches
+}
+
+export function ThemeProvider({ children }) {
+  const [preference, setPreferenceState] = useState(initialPreference)
+  const [systemDark, setSystemDark] = useState(systemPrefersDark)
+
+  useEffect(() => {
+    if (typeof window.matchMedia !== 'function') return
+    const query = window.matchMedia(DARK_QUERY)
+    const onChange = (e) => setSystemDark(e.matches)
+    query.addEventListener('change', onChange)
+    return () => query.removeEventListener('change', onChange)
+  }, [])
+
+  const theme = preference === 'system' ? (systemDark ? 'dark' : 'light') : preference
+
+  useEffect(() => {
+    const root = document.documentElement
+    root.classList.toggle('dark', theme === 'dark')
+    root.style.colorScheme = theme
+  }, [theme])
+
+  const setPreference = useCallback((next) => {
+    setPreferenceState(next)
+    try {
+      if (next === 'system') localStorage.removeItem(STORAGE_KEY)
+      else if (hasConsent('preferences')) localStorage.setItem(STORAGE_KEY, next)
+    } catch (e) {
+      // The theme still applies for this visit
+    }
+  }, [])
+
+  const value = useMemo(() => ({ theme, preference, systemTheme: systemDark ? 'dark' : 'light', setPreference }), [theme, preference, systemDark, setPreference])
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>
+}
+
+/** `theme` is the resolved 'light' | 'dark'; `preference` may also be 'system'. */
+export function useTheme() {
+  const ctx = useContext(ThemeContext)
+  if (!ctx) throw new Error('useTheme must be used inside <ThemeProvider>')
+  return ctx
+}
+
+function parseHex(value) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value ?? '').trim())
+  if (!match) return null
+  const hex = match[1].length === 3 ? match[1].replace(/./g, (c) => c + c) : match[1]
+  return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16))
+}
+
+// Blend towards white (amount > 0) or black (amount < 0), returned as "r g b" channels
+function shade(rgb, amount) {
+  const target = amount > 0 ? 255 : 0
+  return rgb.map((c) => Math.round(c + (target - c) * Math.abs(amount))).join(' ')
+}
+
+/**
+ * CSS variables for a partner brand. Strong and soft variants are derived per theme so text on
+ * tinted backgrounds stays readable in both. Invalid colors are ignored.
+ * @param {{ primary?: string, accent?: string } | undefined} brand hex colors
+ */
+export function brandVariables(brand) {
+  const vars = {}
+  const primary = parseHex(brand?.primary)
+  if (primary) {
+    vars['--brand-primary'] = shade(primary, 0)
+    vars['--brand-primary-strong'] = shade(primary, -0.2)
+    vars['--brand-primary-soft'] = shade(primary, 0.9)
+    vars['--brand-primary-strong-dark'] = shade(primary, 0.35)
+    vars['--brand-primary-soft-dark'] = shade(primary, -0.75)
+  }
+  const accent = parseHex(brand?.accent)
+  if (accent) {
+    vars['--brand-accent'] = shade(accent, 0)
+    vars['--brand-accent-strong'] = shade(accent, -0.15)
+  }
+  return vars
+}
+
+/**
+ * Apply `company.brand` colors on top of the theme tokens while the calling component is mounted,
+ * so one build can serve white-labeled partner sites.
+ */
+export function useBrandColors(brand) {
+  const primary = brand?.primary
+  const accent = brand?.accent
+
+  useEffect(() => {
+    const style = document.documentElement.style
+    const vars = brandVariables({ primary, accent })
+    Object.entries(vars).forEach(([name, value]) => style.setProperty(name, value))
+    return () => Object.keys(vars).forEach((name) => style.removeProperty(name))
+  }, [primary, accent])
+}
@@ -0,0 +1,60 @@
+import { useEffect, useState } from 'react'
+
+// Matches scroll-padding-top in index.css: a section counts as current once it reaches the sticky header
+export const HEADER_OFFSET_PX = 80
+
+/**
+ * The id of the section the visitor is reading, or null above the first one.
+ * Sections are looked up on every update because the home page renders them after its content loads.
+ * @param {string[]} ids
+ * @param {{ enabled?: boolean }} [options]
+ */
+export function useScrollSpy(ids, { enabled = true } = {}) {
+  const [active, setActive] = useState(null)
+  const key = ids.join(' ')
+
+  useEffect(() => {
+    if (!enabled) {
+      setActive(null)
+      return undefined
+    }
+    let frame = 0
+    const update = () => {
+      frame = 0
+      const sections = ids.map((id) => document.getElementById(id)).filter(Boolean)
+      // The last sections may be too short to ever reach the header, so the bottom of the page selects the last one
+      const atBottom = window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 2
+      let current = null
+      let currentTop = -Infinity
+      for (const section of sections) {
+        const { top } = section.getBoundingClientRect()
+        if (top <= HEADER_OFFSET_PX + 1 && top > currentTop) {
+          current = section.id
+          currentTop = top
+        }
+      }
+      if (atBottom && sections.length) {
+        current = sections.reduce((last, s) => (s.getBoundingClientRect().top > last.getBoundingClientRect().top ? s : last)).id
+      }
+      setActive(current)
+    }
+    const schedule = () => {
+      if (!frame) frame = requestAnimationFrame(update)
+    }
+
+    update()
+    window.addEventListener('scroll', schedule, { passive: true })
+    window.addEventListener('resize', schedule)
+    // Sections that appear or grow after loading move the others around
+    const observer = new ResizeObserver(schedule)
+    observer.observe(document.body)
+    return () => {
+      cancelAnimationFrame(frame)
+      window.removeEventListener('scroll', schedule)
+      window.removeEventListener('resize', schedule)
+      observer.disconnect()
+    }
+  }, [key, enabled])
+
+  return active
+}
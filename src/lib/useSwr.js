@@ -0,0 +1,107 @@
+import { useEffect, useState } from 'react'
+import { hasConsent } from './consent'
+
+// Stale-while-revalidate: render the last good response immediately (from
+// memory, or localStorage on a repeat visit), then refresh it in the background.
+
+const STORAGE_PREFIX = 'swr:'
+const MAX_AGE_MS = 7 * 24 * 60 * 60_000
+
+const memory = new Map()
+const inflight = new Map()
+
+export function readCache(key) {
+  if (memory.has(key)) return memory.get(key)
+  try {
+    const raw = localStorage.getItem(STORAGE_PREFIX + key)
+    if (!raw) return undefined
+    const { data, storedAt } = JSON.parse(raw)
+    if (Date.now() - storedAt > MAX_AGE_MS) return undefined
+    memory.set(key, data)
+    return data
+  } catch (e) {
+    return undefined
+  }
+}
+
+export function writeCache(key, data) {
+  memory.set(key, data)
+  // Keeping content across visits is a preference; without consent the cache lives in memory only
+  if (!hasConsent('preferences')) return
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify({ data, storedAt: Date.now() }))
+  } catch (e) {
+    // Quota or privacy mode; the in-memory copy still serves this visit
+  }
+}
+
+/** Forget every response held in memory, so the next render fetches afresh (tests start from this). */
+export function clearCache() {
+  memory.clear()
+}
+
+// Components that mount together often want the same key (the header and the page both read the
+// company). They share one request, which is aborted only once nobody is waiting for it.
+function sharedFetch(key, fetcher) {
+  let entry = inflight.get(key)
+  if (!entry) {
+    const controller = new AbortController()
+    entry = { controller, users: 0 }
+    entry.promise = fetcher(controller.signal)
+      .then((data) => {
+        writeCache(key, data)
+        return data
+      })
+      .finally(() => {
+        if (inflight.get(key) === entry) inflight.delete(key)
+      })
+    inflight.set(key, entry)
+  }
+  entry.users++
+  const shared = entry
+  let released = false
+  return {
+    promise: shared.promise,
+    release() {
+      if (released) return
+      released = true
+      if (--shared.users > 0) return
+      if (inflight.get(key) === shared) inflight.delete(key)
+      shared.controller.abort()
+    },
+  }
+}
+
+/**
+ * @param {string | null} key cache key; pass null to skip fetching
+ * @param {(signal: AbortSignal) => Promise<any>} fetcher
+ * @returns {{ data: any, error: Error | null, isValidating: boolean }}
+ */
+export function useSwr(key, fetcher) {
+  const [state, setState] = useState(() => ({ key, data: key ? readCache(key) : undefined, error: null, isValidating: !!key }))
+
+  // Switching keys (e.g. language) shows that key's cached data right away
+  if (state.key !== key) {
+    setState({ key, data: key ? readCache(key) : undefined, error: null, isValidating: !!key })
+  }
+
+  // The fetcher is recreated every render; the key alone identifies the request
+  useEffect(() => {
+    if (!key) return
+    let active = true
+    const request = sharedFetch(key, fetcher)
+    request.promise
+      .then((data) => {
+        if (active) setState({ key, data, error: null, isValidating: false })
+      })
+      .catch((error) => {
+        if (active) setState((prev) => ({ ...prev, error, isValidating: false }))
+      })
+    return () => {
+      active = false
+      request.release()
+    }
+  }, [key])
+
+  return { data: state.data, error: state.error, isValidating: state.isValidating }
+}
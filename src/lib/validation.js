@@ -0,0 +1,62 @@
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/
+
+// Each rule returns an error descriptor ({ key, vars }) that the UI resolves
+// through the i18n catalog, or null when the value passes.
+const rules = {
+  required: (value, enabled) => {
+    if (!enabled) return null
+    const empty = Array.isArray(value) ? value.length === 0 : !String(value ?? '').trim()
+    return empty ? { key: 'validation.required' } : null
+  },
+  email: (value, enabled) => (enabled && value && !EMAIL_RE.test(String(value).trim()) ? { key: 'validation.email' } : null),
+  minLength: (value, min) => (value && String(value).trim().length < min ? { key: 'validation.minLength', vars: { min } } : null),
+  maxLength: (value, max) => (value && String(value).length > max ? { key: 'validation.maxLength', vars: { max } } : null),
+  minItems: (value, min) => ((value || []).length < min ? { key: 'validation.minItems', vars: { min } } : null),
+  oneOf: (value, options) => (value && !options.includes(value) ? { key: 'validation.oneOf' } : null),
+  // Files: `types` maps allowed extensions to their MIME type; some browsers report no type at all
+  fileTypes: (file, types) => {
+    if (!file) return null
+    const ext = file.name.split('.').pop().toLowerCase()
+    const ok = ext in types && (!file.type || file.type === types[ext])
+    return ok ? null : { key: 'validation.fileType', vars: { types: Object.keys(types).map((t) => t.toUpperCase()).join(', ') } }
+  },
+  maxBytes: (file, max) => (file && file.size > max ? { key: 'validation.fileSize', vars: { size: Math.round(max / 1024 / 1024) } } : null),
+}
+
+/**
+ * Validate `values` against a schema of `{ field: { rule: option } }`.
+ * Returns an object with the first failing rule per field; empty when valid.
+ */
+export function validate(schema, values) {
+  const errors = {}
+  for (const [field, fieldRules] of Object.entries(schema)) {
+    for (const [rule, option] of Object.entries(fieldRules)) {
+      const error = rules[rule]?.(values[field], option)
+      if (error) {
+        errors[field] = error
+        break
+      }
+    }
+  }
+  return errors
+}
+
+/**
+ * Normalize a 422 response body into `{ field: { message } }`.
+ * Supports FastAPI's `{ detail: [{ loc, msg }] }` and `{ errors: { field: msg | [msg] } }`.
+ */
+export function parseValidationErrors(body) {
+  const errors = {}
+  if (Array.isArray(body?.detail)) {
+    for (const item of body.detail) {
+      const loc = Array.isArray(item.loc) ? item.loc.filter((p) => p !== 'body') : []
+      const field = loc[0]
+      if (field && !errors[field]) errors[field] = { message: item.msg }
+    }
+  } else if (body?.errors && typeof body.errors === 'object') {
+    for (const [field, msg] of Object.entries(body.errors)) {
+      errors[field] = { message: Array.isArray(msg) ? msg[0] : String(msg) }
+    }
+  }
+  return errors
+}
@@ -0,0 +1,469 @@
+const ar = {
+  brand: 'سبيد أوف ماستري',
+  language: {
+    label: 'اللغة',
+    switchTo: 'English',
+  },
+  theme: {
+    toDark: 'التبديل إلى المظهر الداكن',
+    toLight: 'التبديل إلى المظهر الفاتح',
+  },
+  nav: {
+    services: 'الخدمات',
+    work: 'أعمالنا',
+    whyUs: 'لماذا نحن',
+    contact: 'تواصل معنا',
+    systemTest: 'فحص النظام',
+    workWithUs: 'اعمل معنا',
+    careers: 'الوظائف',
+    label: 'القائمة الرئيسية',
+    menu: 'القائمة',
+    openMenu: 'فتح القائمة',
+    closeMenu: 'إغلاق القائمة',
+  },
+  hero: {
+    eyebrow: 'الخليج • المملكة العربية السعودية',
+    headline: 'تقنية رائدة، تُنجز بسرعة.',
+    subheadline: 'نبني منصات عالية الأداء وأنظمة سحابية أصيلة ومنتجات ذكاء اصطناعي للمؤسسات الطموحة.',
+    startProject: 'ابدأ مشروعك',
+    exploreServices: 'استكشف خدماتنا',
+    recognizedIn: 'حاصلون على التقدير في',
+    recognizedRegion: 'المملكة العربية السعودية • دول الخليج',
+  },
+  services: {
+    title: 'ماذا نقدم',
+    intro: 'هندسة متكاملة لرواد الخليج، مصممة للتوسع والأمان والسرعة.',
+    learnMore: 'اعرف المزيد',
+  },
+  serviceDetail: {
+    back: 'كل الخدمات',
+    loading: 'جارٍ تحميل الخدمة…',
+    notFound: 'لم نتمكن من العثور على هذه الخدمة.',
+    capabilities: 'القدرات',
+    techStack: 'التقنيات المستخدمة',
+    caseStudies: 'دراسات حالة ذات صلة',
+    ctaTitle: 'هل أنت مستعد للحديث عن {service}؟',
+    ctaBody: 'شاركنا أهدافك وسيتواصل معك فريقنا خلال ٢٤ ساعة.',
+    cta: 'ناقش هذه الخدمة',
+  },
+  work: {
+    title: 'أعمال مختارة',
+    intro: 'مشاريع أنجزناها مع بنوك ووزارات وشركات تجزئة ومشغلين في أنحاء الخليج.',
+    filters: {
+      industry: 'القطاع',
+      country: 'الدولة',
+      service: 'الخدمة',
+      all: 'الكل',
+      clear: 'مسح عوامل التصفية',
+    },
+    count: '{count} مشروع',
+    empty: 'لا توجد مشاريع مطابقة لعوامل التصفية هذه بعد.',
+    view: 'اقرأ دراسة الحالة',
+    back: 'كل الأعمال',
+    loading: 'جارٍ تحميل دراسة الحالة…',
+    notFound: 'لم نتمكن من العثور على دراسة الحالة هذه.',
+    client: 'العميل',
+    challenge: 'التحدي',
+    solution: 'ما قمنا به',
+    results: 'النتائج',
+    techStack: 'التقنيات المستخدمة',
+    ctaTitle: 'تخطط لمشروع مشابه؟',
+    ctaBody: 'أخبرنا عن مشروعك وسنشاركك كيف سنتعامل معه.',
+    cta: 'ابدأ المحادثة',
+    industries: {
+      banking: 'الخدمات المصرفية',
+      energy: 'الطاقة',
+      fintech: 'التقنية المالية',
+      government: 'القطاع الحكومي',
+      logistics: 'الخدمات اللوجستية',
+      retail: 'التجزئة',
+      telecom: 'الاتصالات',
+    },
+  },
+  estimator: {
+    title: 'كم ستكلف فكرتك؟',
+    intro: 'اختر ما تحتاجه واحصل على ميزانية وجدول زمني تقديريين بناءً على مشاريع نفذناها.',
+    servicesLegend: 'الخدمات',
+    scopeLegend: 'النطاق',
+    scopes: {
+      mvp: 'نسخة أولية (MVP)',
+      standard: 'منتج متكامل',
+      enterprise: 'على مستوى المؤسسات',
+    },
+    platformsLegend: 'المنصات',
+    platforms: {
+      web: 'الويب',
+      ios: 'iOS',
+      android: 'أندرويد',
+      admin: 'لوحة تحكم',
+    },
+    integrationsLegend: 'التكامل مع الأنظمة الحالية',
+    integrations: {
+      none: 'لا يوجد',
+      few: '١–٣',
+      several: '٤–٧',
+      many: '٨ أو أكثر',
+    },
+    urgencyLegend: 'الاستعجال',
+    urgencies: {
+      flexible: 'مرن',
+      standard: 'عادي',
+      fast: 'مسار سريع',
+    },
+    result: 'تقديرك',
+    budget: 'الميزانية',
+    timeline: 'المدة',
+    weeks: '{min}–{max} أسابيع',
+    empty: 'اختر خدمة واحدة على الأقل لعرض النطاق.',
+    disclaimer: 'تقدير استرشادي فقط. نؤكد النطاق والتكلفة بعد مكالمة تعريفية.',
+    use: 'أرسل التقدير مع طلبي',
+  },
+  chat: {
+    open: 'اسأل مساعدنا',
+    close: 'أغلق المساعد',
+    title: 'مساعد SPEED OF MASTRY',
+    subtitle: 'إجابات بالذكاء الاصطناعي، ويتابع معك أحد فريقنا عند الحاجة.',
+    welcome: 'اسأل عن خدماتنا وطريقة عملنا أو ما قد يتطلبه مشروعك.',
+    suggestions: {
+      llm: 'هل يمكنكم بناء مساعد ذكي باللغة العربية لعملائنا؟',
+      pricing: 'كيف تسعّرون بناء منصة جديدة؟',
+      data: 'كيف تتعاملون مع متطلبات إقامة البيانات في السعودية؟',
+    },
+    you: 'أنت:',
+    assistant: 'المساعد:',
+    thinking: 'جارٍ التفكير…',
+    inputLabel: 'رسالتك',
+    placeholder: 'اكتب سؤالك…',
+    send: 'إرسال',
+    stop: 'أوقف الإجابة',
+    stopped: 'تم إيقاف الإجابة.',
+    failed: 'تعذر إكمال الإجابة.',
+    retry: 'إعادة المحاولة',
+    restart: 'محادثة جديدة',
+    handoffPrompt: 'هل تريد عرضًا؟ سنحوّل هذه المحادثة إلى طلب لفريقنا.',
+    handoff: 'تابع مع فريقنا',
+    transcriptIntro: 'من محادثة الموقع:',
+  },
+  careers: {
+    title: 'الوظائف',
+    intro: 'انضم إلى المهندسين والمصممين والمستشارين الذين يبنون المنصات الرقمية لأبرز المؤسسات في الخليج.',
+    filters: {
+      location: 'الموقع',
+      discipline: 'التخصص',
+      all: 'الكل',
+      clear: 'مسح عوامل التصفية',
+    },
+    count: '{count} وظيفة متاحة',
+    loading: 'جارٍ تحميل الوظائف المتاحة…',
+    loadingRole: 'جارٍ تحميل الوظيفة…',
+    error: 'تعذّر تحميل الوظائف المتاحة حاليًا. يرجى المحاولة بعد قليل.',
+    empty: 'لا توجد وظائف متاحة تطابق عوامل التصفية حاليًا.',
+    notFound: 'لم تعد هذه الوظيفة متاحة.',
+    view: 'عرض الوظيفة',
+    back: 'كل الوظائف المتاحة',
+    apply: 'قدّم الآن',
+    responsibilities: 'ما ستقوم به',
+    requirements: 'ما نبحث عنه',
+    locations: {
+      riyadh: 'الرياض',
+      dubai: 'دبي',
+      remote: 'عن بُعد',
+    },
+    disciplines: {
+      engineering: 'الهندسة',
+      design: 'التصميم',
+      data: 'البيانات والذكاء الاصطناعي',
+      cloud: 'الحوسبة السحابية وDevOps',
+      product: 'إدارة المنتجات',
+      delivery: 'إدارة التنفيذ',
+    },
+    employmentTypes: {
+      'full-time': 'دوام كامل',
+      contract: 'عقد',
+    },
+  },
+  application: {
+    title: 'قدّم على هذه الوظيفة',
+    intro: 'أرسل سيرتك الذاتية وبضعة أسطر عنك. نرد على كل متقدم.',
+    name: 'الاسم الكامل',
+    email: 'البريد الإلكتروني',
+    phone: 'رقم الهاتف (اختياري)',
+    portfolio: 'LinkedIn أو معرض الأعمال (اختياري)',
+    coverLetter: 'لماذا هذه الوظيفة؟ (اختياري)',
+    cv: 'السيرة الذاتية',
+    cvHint: 'ملف PDF أو DOCX بحجم أقصاه {size} ميغابايت.',
+    submit: 'إرسال الطلب',
+    submitting: 'جارٍ الرفع…',
+    uploading: 'تقدّم الرفع',
+    progress: 'تم رفع {percent}٪',
+    cancel: 'إلغاء',
+    status: {
+      success: 'شكرًا لك! استلمنا طلبك وسنتواصل معك.',
+      error: 'تعذّر إرسال طلبك. يرجى المحاولة مرة أخرى.',
+      invalid: 'يرجى تصحيح الحقول المحددة.',
+      cancelled: 'أُلغي الرفع. بياناتك محفوظة هنا متى كنت مستعدًا.',
+    },
+  },
+  contact: {
+    title: 'لنبنِ شيئًا عظيمًا معًا',
+    intro: 'أخبرنا عن أهدافك في المملكة العربية السعودية أو في أي مكان في دول الخليج. سيتواصل معك فريقنا خلال ٢٤ ساعة.',
+    hq: 'المقر الرئيسي',
+    hqValue: 'المملكة العربية السعودية',
+    region: 'المنطقة',
+    regionValue: 'مجلس التعاون الخليجي',
+  },
+  form: {
+    name: 'الاسم الكامل',
+    namePlaceholder: 'اسمك',
+    email: 'البريد الإلكتروني للعمل',
+    emailPlaceholder: 'you@company.com',
+    company: 'الشركة',
+    companyPlaceholder: 'اسم الشركة',
+    country: 'الدولة',
+    countryPlaceholder: 'مثال: المملكة العربية السعودية',
+    message: 'تفاصيل المشروع',
+    messagePlaceholder: 'ما الذي تعمل على بنائه؟',
+    submit: 'اطلب استشارة',
+    submitting: 'جارٍ الإرسال…',
+  },
+  wizard: {
+    steps: {
+      contact: 'بيانات التواصل',
+      services: 'الخدمات',
+      budget: 'الميزانية',
+      review: 'المراجعة',
+    },
+    servicesLegend: 'ما الخدمات التي تهمك؟',
+    budgetLegend: 'الميزانية التقديرية',
+    timelineLegend: 'متى تريد البدء؟',
+    budgets: {
+      'lt-200k': 'أقل من ٢٠٠ ألف ريال',
+      '200k-500k': '٢٠٠ – ٥٠٠ ألف ريال',
+      '500k-1m': '٥٠٠ ألف – مليون ريال',
+      'gt-1m': 'أكثر من مليون ريال',
+      unsure: 'لم أحدد بعد',
+    },
+    timelines: {
+      asap: 'في أقرب وقت ممكن',
+      '1-3-months': 'خلال ١–٣ أشهر',
+      '3-6-months': 'خلال ٣–٦ أشهر',
+      flexible: 'مرن',
+    },
+    review: {
+      name: 'الاسم الكامل',
+      email: 'البريد الإلكتروني للعمل',
+      company: 'الشركة',
+      country: 'الدولة',
+      services: 'الخدمات',
+      budget: 'الميزانية',
+      timeline: 'الجدول الزمني',
+      message: 'تفاصيل المشروع',
+      estimate: 'التقدير',
+    },
+    edit: 'تعديل',
+    editField: 'تعديل {field}',
+    back: 'السابق',
+    next: 'التالي',
+  },
+  validation: {
+    required: 'هذا الحقل مطلوب.',
+    email: 'أدخل بريدًا إلكترونيًا صحيحًا.',
+    minLength: 'أدخل {min} أحرف على الأقل.',
+    maxLength: 'يجب ألا يتجاوز {max} حرفًا.',
+    minItems: 'اختر {min} على الأقل.',
+    oneOf: 'اختر أحد الخيارات.',
+    fileType: 'يرجى رفع ملف بصيغة {types}.',
+    fileSize: 'الحد الأقصى لحجم الملف {size} ميغابايت.',
+  },
+  leadStatus: {
+    success: 'شكرًا لك! سنتواصل معك قريبًا.',
+    error: 'تعذّر الإرسال. يرجى المحاولة مرة أخرى.',
+    invalid: 'يرجى تصحيح الحقول المحددة.',
+    queued: 'تم الحفظ. سنرسل طلبك تلقائيًا عند عودة الاتصال.',
+    rejected: 'تعذّر إرسال استفسارك. يرجى المحاولة لاحقًا أو مراسلتنا عبر البريد الإلكتروني مباشرة.',
+  },
+  booking: {
+    title: 'احجز مكالمة تعريفية',
+    intro: 'اختر موعدًا مدته ٣٠ دقيقة مع فريقنا لمناقشة مشروعك.',
+    timezone: 'الأوقات معروضة حسب منطقتك الزمنية ({zone}).',
+    businessTime: '({time} بتوقيت الرياض)',
+    loading: 'جارٍ تحميل الأوقات المتاحة…',
+    loadError: 'تعذر تحميل الأوقات المتاحة.',
+    retry: 'إعادة المحاولة',
+    noSlots: 'لا توجد مواعيد متاحة حاليًا. سنراسلك عبر البريد الإلكتروني لتحديد موعد.',
+    confirm: 'تأكيد الحجز',
+    booking: 'جارٍ الحجز…',
+    conflict: 'حُجز هذا الموعد للتو. يرجى اختيار موعد آخر.',
+    expired: 'لم يعد هذا الموعد متاحًا. يرجى اختيار موعد آخر.',
+    error: 'تعذر حجز هذا الموعد. يرجى المحاولة مرة أخرى.',
+    confirmedTitle: 'تم حجز مكالمتك',
+    confirmedBody: 'نلقاك يوم {time}. رسالة التأكيد في طريقها إلى بريدك.',
+    addToCalendar: 'أضف إلى التقويم (‎.ics)',
+    inviteTitle: 'مكالمة تعريفية مع سبيد أوف ماستري',
+    inviteBody: 'مكالمة مدتها ٣٠ دقيقة لمناقشة مشروعك والخطوات التالية.',
+  },
+  notFound: {
+    title: 'لم نعثر على هذه الصفحة',
+    body: 'ربما يكون الرابط غير صحيح أو نُقلت الصفحة. يمكنك المتابعة من هنا.',
+    home: 'العودة إلى الصفحة الرئيسية',
+    elsewhere: 'أو انتقل مباشرة إلى',
+  },
+  errorPage: {
+    eyebrow: 'حدث خطأ ما',
+    title: 'واجهت هذه الصفحة مشكلة',
+    body: 'تم إبلاغنا ونعمل على حلها. حاول مرة أخرى أو عُد إلى الصفحة الرئيسية.',
+    retry: 'حاول مرة أخرى',
+    home: 'الذهاب إلى الصفحة الرئيسية',
+  },
+  footer: {
+    rights: '© {year} سبيد أوف ماستري. جميع الحقوق محفوظة.',
+    reduceMotion: 'تقليل الحركة',
+    reducedAutomatically: 'فُعّل تلقائيًا للحفاظ على سلاسة التمرير على هذا الجهاز.',
+  },
+  consent: {
+    manage: 'تفضيلات الخصوصية',
+    title: 'خصوصيتك',
+    body: 'نستخدم التخزين الضروري فقط لتشغيل هذا الموقع. وبإذنك نتذكر أيضًا تفضيلاتك ونقيس كيفية استخدام الموقع لتحسينه.',
+    acceptAll: 'قبول الكل',
+    rejectAll: 'رفض غير الضروري',
+    customize: 'تخصيص',
+    dialogTitle: 'تفضيلات الخصوصية',
+    dialogBody: 'اختر ما يمكننا تخزينه على هذا الجهاز وقياسه. يمكنك تغيير ذلك في أي وقت من تذييل الصفحة.',
+    alwaysOn: 'مفعّل دائمًا',
+    save: 'حفظ الاختيارات',
+    cancel: 'إلغاء',
+    categories: {
+      necessary: {
+        title: 'الضرورية',
+        desc: 'تُبقي الموقع يعمل: اختيارك للخصوصية، والاستفسارات التي تنتظر الإرسال، وتسجيل دخول المشرفين.',
+      },
+      preferences: {
+        title: 'التفضيلات',
+        desc: 'تتذكر إعدادات اللغة والمظهر والحركة، وتحفظ المحتوى على هذا الجهاز لتسريع الزيارات التالية.',
+      },
+      analytics: {
+        title: 'التحليلات',
+        desc: 'تحصي أقسام الصفحة التي شوهدت والأزرار التي نُقرت والموضع الذي يُترك فيه نموذج الاستفسار، دون تسجيل ما تكتبه.',
+      },
+    },
+  },
+  admin: {
+    title: 'صندوق العملاء المحتملين',
+    logout: 'تسجيل الخروج',
+    login: {
+      title: 'دخول المشرفين',
+      email: 'البريد الإلكتروني',
+      password: 'كلمة المرور',
+      submit: 'تسجيل الدخول',
+      submitting: 'جارٍ تسجيل الدخول…',
+      invalid: 'البريد الإلكتروني أو كلمة المرور غير صحيحة.',
+      error: 'تعذّر تسجيل الدخول. يرجى المحاولة مرة أخرى.',
+    },
+    search: 'بحث',
+    searchPlaceholder: 'الاسم أو البريد أو الشركة…',
+    any: 'الكل',
+    from: 'من',
+    to: 'إلى',
+    reset: 'إعادة تعيين',
+    exportCsv: 'تصدير CSV',
+    exporting: 'جارٍ التصدير…',
+    columns: {
+      id: 'المعرّف',
+      received: 'تاريخ الاستلام',
+      name: 'الاسم',
+      email: 'البريد الإلكتروني',
+      company: 'الشركة',
+      country: 'الدولة',
+      services: 'الخدمات',
+      budget: 'الميزانية',
+      timeline: 'الجدول الزمني',
+      estimate: 'التقدير',
+      status: 'الحالة',
+      message: 'الرسالة',
+    },
+    statuses: {
+      new: 'جديد',
+      contacted: 'تم التواصل',
+      qualified: 'مؤهل',
+      won: 'تم الفوز',
+      lost: 'خسارة',
+    },
+    notes: 'ملاحظات داخلية',
+    noNotes: 'لا توجد ملاحظات بعد.',
+    notePlaceholder: 'أضف ملاحظة لفريق المبيعات…',
+    addNote: 'إضافة ملاحظة',
+    close: 'إغلاق',
+    empty: 'لا يوجد عملاء محتملون يطابقون هذه المرشحات.',
+    loading: 'جارٍ التحميل…',
+    total: '{total} عميل محتمل',
+    prev: 'السابق',
+    next: 'التالي',
+    pageOf: 'صفحة {page} من {pages}',
+    loadError: 'تعذّر تحميل العملاء المحتملين.',
+    saveError: 'تعذّر حفظ التغيير.',
+    exportError: 'تعذّر تصدير العملاء المحتملين.',
+  },
+  mock: {
+    label: 'واجهة تجريبية',
+    turnOff: 'إيقاف',
+    scenarios: {
+      default: 'عادي',
+      slow: 'شبكة بطيئة',
+      'server-error': 'أخطاء الخادم (500)',
+      offline: 'دون اتصال',
+      validation: 'أخطاء التحقق من الاستفسار',
+      'empty-services': 'بلا خدمات',
+      'booking-conflict': 'تعارض الحجز',
+      'chat-interrupted': 'انقطاع بث المحادثة',
+    },
+  },
+  test: {
+    title: 'تشخيص النظام',
+    backendUrl: 'عنوان الخادم:',
+    retry: 'شغّل الفحوصات',
+    running: 'جارٍ التشغيل…',
+    pending: 'لم يُشغّل',
+    pass: 'ناجح',
+    fail: 'فاشل',
+    schemaMismatch: 'استجابة غير متوقعة',
+    autoRefresh: 'التحديث التلقائي',
+    off: 'متوقف',
+    everySeconds: 'كل {seconds} ث',
+    export: 'تصدير JSON',
+    latency: '{ms} ملّي ث',
+    response: 'الاستجابة (مع إخفاء البيانات السرية)',
+    checks: {
+      root: 'جذر الخادم',
+      database: 'قاعدة البيانات',
+      company: 'محتوى الشركة',
+      services: 'محتوى الخدمات',
+      leadsDryRun: 'إرسال طلب (تجريبي)',
+      corsPreflight: 'فحص CORS المسبق',
+    },
+    errorKinds: {
+      network: 'خطأ في الشبكة',
+      timeout: 'انتهت المهلة',
+      http: 'خطأ HTTP',
+      parse: 'JSON غير صالح',
+      aborted: 'أُلغي',
+      dryRunUnconfirmed: 'لم يتم تأكيد التشغيل التجريبي',
+    },
+    dryRunOptIn: 'يرسل طلبًا تجريبيًا. شغّله فقط مع خادم يدعم dry_run؛ لا يُعاد تلقائيًا أبدًا.',
+    dryRunUnsupported: 'لم يؤكد هذا الخادم dry_run، لذا أُوقف الفحص حتى لا تصل طلبات تجريبية إلى صندوق المبيعات.',
+    runFailed: 'تعذر تشغيل الفحوصات',
+    history: 'سجل التشغيل',
+    clearHistory: 'مسح',
+    noHistory: 'لا توجد عمليات تشغيل بعد.',
+    passed: 'نجح {passed} من {total}',
+    slowest: 'الأبطأ {ms} ملّي ث',
+    backend: 'الخادم:',
+    database: 'قاعدة البيانات:',
+    databaseUrl: 'عنوان قاعدة البيانات:',
+    databaseName: 'اسم قاعدة البيانات:',
+    connection: 'الاتصال:',
+    collections: 'المجموعات:',
+    home: 'العودة إلى الرئيسية',
+  },
+}
+
+export default ar
@@ -0,0 +1,469 @@
+const en = {
+  brand: 'SPEED OF MASTRY',
+  language: {
+    label: 'Language',
+    switchTo: 'العربية',
+  },
+  theme: {
+    toDark: 'Switch to dark theme',
+    toLight: 'Switch to light theme',
+  },
+  nav: {
+    services: 'Services',
+    work: 'Work',
+    whyUs: 'Why Us',
+    contact: 'Contact',
+    systemTest: 'Diagnostics',
+    workWithUs: 'Work with us',
+    careers: 'Careers',
+    label: 'Main',
+    menu: 'Menu',
+    openMenu: 'Open menu',
+    closeMenu: 'Close menu',
+  },
+  hero: {
+    eyebrow: 'Gulf • Saudi Arabia',
+    headline: 'Leading technology, delivered at speed.',
+    subheadline: 'We build high-performance platforms, cloud-native systems, and AI products for ambitious organizations.',
+    startProject: 'Start your project',
+    exploreServices: 'Explore services',
+    recognizedIn: 'Recognized in',
+    recognizedRegion: 'Saudi Arabia • GCC',
+  },
+  services: {
+    title: 'What we do',
+    intro: 'End-to-end engineering for leaders in the Gulf—built for scale, security, and speed.',
+    learnMore: 'Learn more',
+  },
+  serviceDetail: {
+    back: 'All services',
+    loading: 'Loading service…',
+    notFound: 'We could not find that service.',
+    capabilities: 'Capabilities',
+    techStack: 'Tech stack',
+    caseStudies: 'Related case studies',
+    ctaTitle: 'Ready to talk about {service}?',
+    ctaBody: 'Share your goals and our team will get back within 24 hours.',
+    cta: 'Discuss this service',
+  },
+  work: {
+    title: 'Selected work',
+    intro: 'Projects we have shipped with banks, ministries, retailers and operators across the Gulf.',
+    filters: {
+      industry: 'Industry',
+      country: 'Country',
+      service: 'Service',
+      all: 'All',
+      clear: 'Clear filters',
+    },
+    count: '{count} projects',
+    empty: 'No projects match these filters yet.',
+    view: 'Read the case study',
+    back: 'All work',
+    loading: 'Loading case study…',
+    notFound: 'We could not find that case study.',
+    client: 'Client',
+    challenge: 'The challenge',
+    solution: 'What we did',
+    results: 'Results',
+    techStack: 'Tech stack',
+    ctaTitle: 'Planning something similar?',
+    ctaBody: 'Tell us about your project and we will share how we would approach it.',
+    cta: 'Start a conversation',
+    industries: {
+      banking: 'Banking',
+      energy: 'Energy',
+      fintech: 'Fintech',
+      government: 'Government',
+      logistics: 'Logistics',
+      retail: 'Retail',
+      telecom: 'Telecom',
+    },
+  },
+  estimator: {
+    title: 'What would your project cost?',
+    intro: 'Pick what you need and get an indicative budget and timeline based on projects we have delivered.',
+    servicesLegend: 'Services',
+    scopeLegend: 'Scope',
+    scopes: {
+      mvp: 'MVP',
+      standard: 'Full product',
+      enterprise: 'Enterprise scale',
+    },
+    platformsLegend: 'Platforms',
+    platforms: {
+      web: 'Web',
+      ios: 'iOS',
+      android: 'Android',
+      admin: 'Admin console',
+    },
+    integrationsLegend: 'Integrations with existing systems',
+    integrations: {
+      none: 'None',
+      few: '1–3',
+      several: '4–7',
+      many: '8 or more',
+    },
+    urgencyLegend: 'Urgency',
+    urgencies: {
+      flexible: 'Flexible',
+      standard: 'Standard',
+      fast: 'Fast-track',
+    },
+    result: 'Your estimate',
+    budget: 'Budget',
+    timeline: 'Timeline',
+    weeks: '{min}–{max} weeks',
+    empty: 'Pick at least one service to see a range.',
+    disclaimer: 'Indicative only. We confirm scope and pricing after a discovery call.',
+    use: 'Send this with my brief',
+  },
+  chat: {
+    open: 'Ask our assistant',
+    close: 'Close the assistant',
+    title: 'SPEED OF MASTRY assistant',
+    subtitle: 'AI answers; a person follows up when you need one.',
+    welcome: 'Ask about our services, how we work or what your project might involve.',
+    suggestions: {
+      llm: 'Can you build an Arabic LLM assistant for our customers?',
+      pricing: 'How do you price a new platform build?',
+      data: 'How do you handle data residency in Saudi Arabia?',
+    },
+    you: 'You:',
+    assistant: 'Assistant:',
+    thinking: 'Thinking…',
+    inputLabel: 'Your message',
+    placeholder: 'Type your question…',
+    send: 'Send',
+    stop: 'Stop the answer',
+    stopped: 'Answer stopped.',
+    failed: 'The answer could not be completed.',
+    retry: 'Retry',
+    restart: 'New chat',
+    handoffPrompt: 'Want a proposal? We will turn this chat into a request for our team.',
+    handoff: 'Continue with our team',
+    transcriptIntro: 'From the website chat:',
+  },
+  careers: {
+    title: 'Careers',
+    intro: 'Join the engineers, designers and consultants building digital platforms for the Gulf’s leading organisations.',
+    filters: {
+      location: 'Location',
+      discipline: 'Discipline',
+      all: 'All',
+      clear: 'Clear filters',
+    },
+    count: '{count} open roles',
+    loading: 'Loading open roles…',
+    loadingRole: 'Loading role…',
+    error: 'We could not load open roles right now. Please try again shortly.',
+    empty: 'No open roles match these filters right now.',
+    notFound: 'This role is no longer open.',
+    view: 'View role',
+    back: 'All open roles',
+    apply: 'Apply now',
+    responsibilities: 'What you will do',
+    requirements: 'What you bring',
+    locations: {
+      riyadh: 'Riyadh',
+      dubai: 'Dubai',
+      remote: 'Remote',
+    },
+    disciplines: {
+      engineering: 'Engineering',
+      design: 'Design',
+      data: 'Data & AI',
+      cloud: 'Cloud & DevOps',
+      product: 'Product',
+      delivery: 'Delivery',
+    },
+    employmentTypes: {
+      'full-time': 'Full-time',
+      contract: 'Contract',
+    },
+  },
+  application: {
+    title: 'Apply for this role',
+    intro: 'Send your CV and a few lines about yourself. We reply to every applicant.',
+    name: 'Full name',
+    email: 'Email',
+    phone: 'Phone (optional)',
+    portfolio: 'LinkedIn or portfolio (optional)',
+    coverLetter: 'Why this role? (optional)',
+    cv: 'CV',
+    cvHint: 'PDF or DOCX, up to {size} MB.',
+    submit: 'Send application',
+    submitting: 'Uploading…',
+    uploading: 'Upload progress',
+    progress: '{percent}% uploaded',
+    cancel: 'Cancel',
+    status: {
+      success: 'Thank you! We have received your application and will be in touch.',
+      error: 'We could not send your application. Please try again.',
+      invalid: 'Please correct the highlighted fields.',
+      cancelled: 'Upload cancelled. Your details are still here when you are ready.',
+    },
+  },
+  contact: {
+    title: 'Let’s build something great',
+    intro: 'Tell us about your goals in Saudi Arabia or anywhere in the GCC. Our team will get back within 24 hours.',
+    hq: 'HQ',
+    hqValue: 'Saudi Arabia',
+    region: 'Region',
+    regionValue: 'Gulf Cooperation Council',
+  },
+  form: {
+    name: 'Full name',
+    namePlaceholder: 'Your name',
+    email: 'Work email',
+    emailPlaceholder: 'you@company.com',
+    company: 'Company',
+    companyPlaceholder: 'Company name',
+    country: 'Country',
+    countryPlaceholder: 'e.g., Saudi Arabia',
+    message: 'Project details',
+    messagePlaceholder: 'What are you building?',
+    submit: 'Request consultation',
+    submitting: 'Sending…',
+  },
+  wizard: {
+    steps: {
+      contact: 'Contact',
+      services: 'Services',
+      budget: 'Budget',
+      review: 'Review',
+    },
+    servicesLegend: 'Which services are you interested in?',
+    budgetLegend: 'Estimated budget',
+    timelineLegend: 'When do you want to start?',
+    budgets: {
+      'lt-200k': 'Under SAR 200K',
+      '200k-500k': 'SAR 200K – 500K',
+      '500k-1m': 'SAR 500K – 1M',
+      'gt-1m': 'Over SAR 1M',
+      unsure: 'Not sure yet',
+    },
+    timelines: {
+      asap: 'As soon as possible',
+      '1-3-months': 'In 1–3 months',
+      '3-6-months': 'In 3–6 months',
+      flexible: 'Flexible',
+    },
+    review: {
+      name: 'Full name',
+      email: 'Work email',
+      company: 'Company',
+      country: 'Country',
+      services: 'Services',
+      budget: 'Budget',
+      timeline: 'Timeline',
+      message: 'Project details',
+      estimate: 'Estimate',
+    },
+    edit: 'Edit',
+    editField: 'Edit {field}',
+    back: 'Back',
+    next: 'Next',
+  },
+  validation: {
+    required: 'This field is required.',
+    email: 'Enter a valid email address.',
+    minLength: 'Enter at least {min} characters.',
+    maxLength: 'Keep this under {max} characters.',
+    minItems: 'Select at least {min}.',
+    oneOf: 'Choose one of the options.',
+    fileType: 'Upload a {types} file.',
+    fileSize: 'Files can be up to {size} MB.',
+  },
+  leadStatus: {
+    success: 'Thank you! We will reach out shortly.',
+    error: 'Failed to submit. Please try again.',
+    invalid: 'Please correct the highlighted fields.',
+    queued: 'Saved. We will send it automatically when you’re back online.',
+    rejected: 'We couldn’t send your enquiry. Please try again later, or email us directly.',
+  },
+  booking: {
+    title: 'Book a discovery call',
+    intro: 'Pick a 30-minute slot with our team to talk through your project.',
+    timezone: 'Times are shown in your timezone ({zone}).',
+    businessTime: '({time} Riyadh)',
+    loading: 'Loading available times…',
+    loadError: 'We could not load available times.',
+    retry: 'Try again',
+    noSlots: 'There are no open slots right now. We will email you to find a time.',
+    confirm: 'Confirm booking',
+    booking: 'Booking…',
+    conflict: 'That time was just taken. Please choose another slot.',
+    expired: 'That time is no longer available. Please choose another slot.',
+    error: 'We could not book that slot. Please try again.',
+    confirmedTitle: 'Your call is booked',
+    confirmedBody: 'See you on {time}. A confirmation is on its way to your inbox.',
+    addToCalendar: 'Add to calendar (.ics)',
+    inviteTitle: 'Discovery call with SPEED OF MASTRY',
+    inviteBody: 'A 30-minute call to talk through your project and next steps.',
+  },
+  notFound: {
+    title: 'We could not find that page',
+    body: 'The link may be broken or the page may have moved. These are good places to pick up from.',
+    home: 'Back to the home page',
+    elsewhere: 'Or go straight to',
+  },
+  errorPage: {
+    eyebrow: 'Something went wrong',
+    title: 'This page ran into a problem',
+    body: 'We have been notified and are looking into it. Try again, or head back to the home page.',
+    retry: 'Try again',
+    home: 'Go to the home page',
+  },
+  footer: {
+    rights: '© {year} SPEED OF MASTRY. All rights reserved.',
+    reduceMotion: 'Reduce motion',
+    reducedAutomatically: 'Turned on automatically to keep scrolling smooth on this device.',
+  },
+  consent: {
+    manage: 'Privacy preferences',
+    title: 'Your privacy',
+    body: 'We use strictly necessary storage to run this site. With your permission we also remember your preferences and measure how the site is used, so we can improve it.',
+    acceptAll: 'Accept all',
+    rejectAll: 'Reject non-essential',
+    customize: 'Customize',
+    dialogTitle: 'Privacy preferences',
+    dialogBody: 'Choose what we may store on this device and measure. You can change this at any time from the footer.',
+    alwaysOn: 'Always on',
+    save: 'Save choices',
+    cancel: 'Cancel',
+    categories: {
+      necessary: {
+        title: 'Strictly necessary',
+        desc: 'Keeps the site working: your privacy choice, enquiries waiting to be sent and admin sign-in.',
+      },
+      preferences: {
+        title: 'Preferences',
+        desc: 'Remembers your language, theme and motion settings, and keeps content on this device for faster repeat visits.',
+      },
+      analytics: {
+        title: 'Analytics',
+        desc: 'Counts page sections viewed, buttons clicked and where the enquiry form is left, without recording what you type.',
+      },
+    },
+  },
+  admin: {
+    title: 'Leads inbox',
+    logout: 'Sign out',
+    login: {
+      title: 'Admin sign in',
+      email: 'Email',
+      password: 'Password',
+      submit: 'Sign in',
+      submitting: 'Signing in…',
+      invalid: 'Incorrect email or password.',
+      error: 'Could not sign in. Please try again.',
+    },
+    search: 'Search',
+    searchPlaceholder: 'Name, email, company…',
+    any: 'Any',
+    from: 'From',
+    to: 'To',
+    reset: 'Reset',
+    exportCsv: 'Export CSV',
+    exporting: 'Exporting…',
+    columns: {
+      id: 'ID',
+      received: 'Received',
+      name: 'Name',
+      email: 'Email',
+      company: 'Company',
+      country: 'Country',
+      services: 'Services',
+      budget: 'Budget',
+      timeline: 'Timeline',
+      estimate: 'Estimate',
+      status: 'Status',
+      message: 'Message',
+    },
+    statuses: {
+      new: 'New',
+      contacted: 'Contacted',
+      qualified: 'Qualified',
+      won: 'Won',
+      lost: 'Lost',
+    },
+    notes: 'Internal notes',
+    noNotes: 'No notes yet.',
+    notePlaceholder: 'Add a note for the sales team…',
+    addNote: 'Add note',
+    close: 'Close',
+    empty: 'No leads match these filters.',
+    loading: 'Loading…',
+    total: '{total} leads',
+    prev: 'Previous',
+    next: 'Next',
+    pageOf: 'Page {page} of {pages}',
+    loadError: 'Could not load leads.',
+    saveError: 'Could not save the change.',
+    exportError: 'Could not export leads.',
+  },
+  mock: {
+    label: 'Mock API',
+    turnOff: 'Turn off',
+    scenarios: {
+      default: 'Normal',
+      slow: 'Slow network',
+      'server-error': 'Server errors (500)',
+      offline: 'Offline',
+      validation: 'Lead validation errors',
+      'empty-services': 'No services',
+      'booking-conflict': 'Booking conflict',
+      'chat-interrupted': 'Chat stream drops',
+    },
+  },
+  test: {
+    title: 'System Diagnostics',
+    backendUrl: 'Backend URL:',
+    retry: 'Run checks',
+    running: 'Running…',
+    pending: 'Not run',
+    pass: 'Pass',
+    fail: 'Fail',
+    schemaMismatch: 'Unexpected response',
+    autoRefresh: 'Auto-refresh',
+    off: 'Off',
+    everySeconds: 'Every {seconds}s',
+    export: 'Export JSON',
+    latency: '{ms} ms',
+    response: 'Response (secrets redacted)',
+    checks: {
+      root: 'Backend root',
+      database: 'Database',
+      company: 'Company content',
+      services: 'Services content',
+      leadsDryRun: 'Lead submission (dry run)',
+      corsPreflight: 'CORS preflight',
+    },
+    errorKinds: {
+      network: 'Network error',
+      timeout: 'Timed out',
+      http: 'HTTP error',
+      parse: 'Invalid JSON',
+      aborted: 'Cancelled',
+      dryRunUnconfirmed: 'Dry run not confirmed',
+    },
+    dryRunOptIn: 'Sends a sample lead. Only run it against a backend that honours dry_run; it is never auto-refreshed.',
+    dryRunUnsupported: 'This backend did not confirm dry_run, so the check is off to keep sample leads out of the inbox.',
+    runFailed: 'The checks could not run',
+    history: 'Run history',
+    clearHistory: 'Clear',
+    noHistory: 'No runs yet.',
+    passed: '{passed}/{total} passed',
+    slowest: 'slowest {ms} ms',
+    backend: 'Backend:',
+    database: 'Database:',
+    databaseUrl: 'DB URL:',
+    databaseName: 'DB Name:',
+    connection: 'Connection:',
+    collections: 'Collections:',
+    home: 'Back to Home',
+  },
+}
+
+export default en
@@ -1,17 +1,59 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
-import { BrowserRouter, Routes, Route } from 'react-router-dom'
-import App from './App'
-import Test from './Test'
+import { BrowserRouter } from 'react-router-dom'
+import AppRoutes from './routes'
+import { I18nProvider } from './lib/i18n'
+import { MotionPreferenceProvider } from './lib/motionPreference'
+import { ThemeProvider } from './lib/theme'
+import { ConsentProvider } from './lib/consent'
+import ConsentBanner from './components/ConsentBanner'
+import MockPanel from './components/MockPanel'
+import ChatWidget from './components/ChatWidget'
+import ErrorBoundary from './components/ErrorBoundary'
+import ErrorScreen from './components/ErrorScreen'
+import { reportError, startErrorReporting } from './lib/errorReporter'
+import { mockSettings } from './mocks/mode'
 import './index.css'
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <BrowserRouter>
-      <Routes>
-        <Route path="/" element={<App />} />
-        <Route path="/test" element={<Test />} />
-      </Routes>
-    </BrowserRouter>
-  </React.StrictMode>,
-)
\ No newline at end of file
+// The mock worker must be intercepting before the first request goes out. MSW is only
+// downloaded when mock mode is on.
+async function startMocking() {
+  const { enabled, scenario } = mockSettings()
+  if (!enabled) return null
+  try {
+    const { startMockWorker } = await import('./mocks/browser')
+    return await startMockWorker(scenario)
+  } catch (e) {
+    // The app carries on against the real backend
+    reportError(e, { source: 'rejection' })
+    return null
+  }
+}
+
+// Before anything renders, so a failure while booting is reported too
+startErrorReporting()
+
+// Prerendered markup is there for crawlers and link previews. The client renders from
+// scratch instead of hydrating because language and cached content differ per visitor.
+startMocking().then((mock) => {
+  ReactDOM.createRoot(document.getElementById('root')).render(
+    <React.StrictMode>
+      <I18nProvider>
+        <MotionPreferenceProvider>
+          <ThemeProvider>
+            <ConsentProvider>
+              <ErrorBoundary fallback={() => <ErrorScreen bare />}>
+                <BrowserRouter>
+                  <AppRoutes />
+                  <ConsentBanner />
+                  <ChatWidget />
+                  {mock && <MockPanel mock={mock} />}
+                </BrowserRouter>
+              </ErrorBoundary>
+            </ConsentProvider>
+          </ThemeProvider>
+        </MotionPreferenceProvider>
+      </I18nProvider>
+    </React.StrictMode>,
+  )
+})
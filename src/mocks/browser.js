@@ -0,0 +1,28 @@
+import { setupWorker } from 'msw/browser'
+import { handlers, scenarios } from './handlers'
+import { saveScenario } from './mode'
+
+/**
+ * Register the mock service worker and resolve once it intercepts requests.
+ * The returned control switches scenarios live; data already on screen refreshes on the next request.
+ */
+export async function startMockWorker(scenario) {
+  const worker = setupWorker(...handlers)
+  await worker.start({
+    onUnhandledRequest: 'bypass',
+    serviceWorker: { url: `${import.meta.env.BASE_URL}mockServiceWorker.js` },
+  })
+
+  const control = {
+    scenario,
+    setScenario(next) {
+      // Drop the previous scenario's overrides; runtime handlers take precedence over the base set
+      worker.resetHandlers()
+      worker.use(...scenarios[next])
+      control.scenario = next
+      saveScenario(next)
+    },
+  }
+  control.setScenario(scenario)
+  return control
+}
@@ -0,0 +1,200 @@
+import { getFallbackContent } from '../lib/fallbackContent'
+import { DEFAULT_PRICING_RULES, DEFAULT_SELECTION, estimateProject } from '../lib/estimate'
+
+// Realistic API payloads for mock mode. Plain data and builders with no MSW imports, so component
+// tests can render with exactly what the mock backend serves. Content comes from the offline copy,
+// which keeps one source of truth for company, services and case studies.
+
+// Spline's public example scene; the offline copy has none, since it could not load offline anyway
+const HERO_SCENE = 'https://prod.spline.design/6Wq1Q7YGyM-iab9i/scene.splinecode'
+
+export function companyFixture(lang = 'en') {
+  return { ...getFallbackContent(lang).company, heroScene: HERO_SCENE }
+}
+
+export function servicesFixture(lang = 'en') {
+  return getFallbackContent(lang).services
+}
+
+export function caseStudiesFixture(lang = 'en') {
+  return getFallbackContent(lang).caseStudies
+}
+
+export const backendHealthFixture = { message: 'SPEED OF MASTRY API (mock)', status: 'running' }
+
+export const databaseHealthFixture = {
+  backend: 'running',
+  database: 'mock',
+  connection_status: 'connected',
+  collections: ['leads', 'bookings', 'events'],
+}
+
+export const pricingRulesFixture = { ...DEFAULT_PRICING_RULES, version: 'mock' }
+
+export const adminTokenFixture = { token: 'mock-admin-token' }
+
+/** A 422 in FastAPI's shape, as the backend sends for bad lead fields. */
+export const leadValidationErrorFixture = {
+  detail: [
+    { loc: ['body', 'email'], msg: 'This email domain does not accept mail.', type: 'value_error' },
+    { loc: ['body', 'company'], msg: 'Company is required for budgets above SAR 500k.', type: 'value_error' },
+  ],
+}
+
+export const applicationValidationErrorFixture = {
+  detail: [
+    { loc: ['body', 'cv'], msg: 'We could not read this file. Export it again as PDF and retry.', type: 'value_error' },
+    { loc: ['body', 'phone'], msg: 'Include the country code, e.g. +966.', type: 'value_error' },
+  ],
+}
+
+const SAMPLE_PEOPLE = [
+  ['Noura Al-Qahtani', 'noura@najdretail.sa', 'Najd Retail Group', 'Saudi Arabia'],
+  ['Omar Haddad', 'omar.haddad@gulfpay.ae', 'GulfPay', 'United Arab Emirates'],
+  ['Fatima Al-Thani', 'fatima@dohalogistics.qa', 'Doha Logistics', 'Qatar'],
+  ['Yousef Al-Sabah', 'yousef@kuwaitenergy.kw', 'Kuwait Energy Co.', 'Kuwait'],
+  ['Sara Al-Harbi', 'sara.harbi@riyadhhealth.sa', 'Riyadh Health Cluster', 'Saudi Arabia'],
+  ['Ahmed Al-Balushi', 'ahmed@muscattelecom.om', 'Muscat Telecom', 'Oman'],
+  ['Layla Mansour', 'layla@manamabank.bh', 'Manama Bank', 'Bahrain'],
+  ['Khalid Al-Otaibi', 'khalid@jeddahports.sa', 'Jeddah Ports Authority', 'Saudi Arabia'],
+]
+const SAMPLE_SERVICES = [['custom-software'], ['cloud-devops', 'custom-software'], ['ai-data'], ['digital-transformation']]
+const SAMPLE_BUDGETS = ['lt-200k', '200k-500k', '500k-1m', 'gt-1m', 'unsure']
+const SAMPLE_TIMELINES = ['asap', '1-3-months', '3-6-months', 'flexible']
+const SAMPLE_STATUSES = ['new', 'new', 'contacted', 'qualified', 'won', 'lost']
+
+/** `count` stored leads, newest first, spread over the last few weeks. */
+export function leadsFixture(count = 40, now = Date.now()) {
+  return Array.from({ length: count }, (_, i) => {
+    const [name, email, company, country] = SAMPLE_PEOPLE[i % SAMPLE_PEOPLE.length]
+    const status = SAMPLE_STATUSES[i % SAMPLE_STATUSES.length]
+    const createdAt = new Date(now - i * 13 * 60 * 60_000)
+    return {
+      id: `lead-${String(count - i).padStart(4, '0')}`,
+      name,
+      email: i < SAMPLE_PEOPLE.length ? email : email.replace('@', `+${i}@`),
+      company,
+      country,
+      services: SAMPLE_SERVICES[i % SAMPLE_SERVICES.length],
+      message: 'We are planning a new digital channel and would like to discuss scope and timelines.',
+      budget: SAMPLE_BUDGETS[i % SAMPLE_BUDGETS.length],
+      timeline: SAMPLE_TIMELINES[i % SAMPLE_TIMELINES.length],
+      // Every third visitor used the estimator before writing in
+      estimate: i % 3 === 0 ? estimateProject({ ...DEFAULT_SELECTION, services: SAMPLE_SERVICES[i % SAMPLE_SERVICES.length] }, pricingRulesFixture) : null,
+      status,
+      created_at: createdAt.toISOString(),
+      notes: status === 'new' ? [] : [{ id: `note-${i}`, body: 'Intro call held; sending a proposal.', author: 'Mock Admin', created_at: createdAt.toISOString() }],
+    }
+  })
+}
+
+const SLOT_HOURS = [10, 11, 13, 14, 15]
+const RIYADH_OFFSET_MS = 3 * 60 * 60_000
+
+/**
+ * Discovery-call slots for the next `days` Saudi working days (Sunday to Thursday), as Riyadh wall-clock
+ * times without an offset, the way the backend sends them.
+ */
+export function availabilityFixture({ days = 10, now = Date.now() } = {}) {
+  const slots = []
+  const riyadhNow = new Date(now + RIYADH_OFFSET_MS)
+  for (let d = 0, found = 0; found < days; d++) {
+    const day = new Date(Date.UTC(riyadhNow.getUTCFullYear(), riyadhNow.getUTCMonth(), riyadhNow.getUTCDate() + d))
+    const weekday = day.getUTCDay()
+    if (weekday === 5 || weekday === 6) continue
+    found++
+    const date = day.toISOString().slice(0, 10)
+    for (const hour of SLOT_HOURS) {
+      const start = `${date}T${String(hour).padStart(2, '0')}:00:00`
+      if (Date.parse(`${start}+03:00`) <= now) continue
+      slots.push({ id: `slot-${date}-${hour}`, start, end: `${date}T${String(hour).padStart(2, '0')}:30:00` })
+    }
+  }
+  return { timezone: 'Asia/Riyadh', slots }
+}
+
+const JOBS = {
+  en: [
+    ['senior-frontend-engineer', 'Senior Frontend Engineer', 'riyadh', 'engineering', 'full-time', 'Build bilingual, accessible React products for banks and ministries.'],
+    ['platform-engineer', 'Platform Engineer', 'dubai', 'cloud', 'full-time', 'Run the Kubernetes and CI/CD platforms our delivery squads ship on.'],
+    ['product-designer', 'Product Designer', 'riyadh', 'design', 'full-time', 'Design Arabic-first journeys from discovery through to launch.'],
+    ['ml-engineer', 'Machine Learning Engineer', 'remote', 'data', 'full-time', 'Ship forecasting and Arabic NLP models into production.'],
+    ['delivery-lead', 'Delivery Lead', 'riyadh', 'delivery', 'full-time', 'Lead multi-squad programmes for government clients.'],
+    ['backend-engineer-contract', 'Backend Engineer (Java)', 'remote', 'engineering', 'contract', 'Modernise core integration services for a regional bank.'],
+  ],
+  ar: [
+    ['senior-frontend-engineer', 'مهندس واجهات أمامية أول', 'riyadh', 'engineering', 'full-time', 'بناء منتجات React ثنائية اللغة وسهلة الوصول للبنوك والوزارات.'],
+    ['platform-engineer', 'مهندس منصات', 'dubai', 'cloud', 'full-time', 'تشغيل منصات Kubernetes وCI/CD التي تعتمد عليها فرق التنفيذ.'],
+    ['product-designer', 'مصمم منتجات', 'riyadh', 'design', 'full-time', 'تصميم رحلات مستخدم عربية أولًا من الاستكشاف حتى الإطلاق.'],
+    ['ml-engineer', 'مهندس تعلم آلي', 'remote', 'data', 'full-time', 'نقل نماذج التنبؤ ومعالجة اللغة العربية إلى بيئة الإنتاج.'],
+    ['delivery-lead', 'قائد تنفيذ', 'riyadh', 'delivery', 'full-time', 'قيادة برامج متعددة الفرق لعملاء القطاع الحكومي.'],
+    ['backend-engineer-contract', 'مهندس خلفيات (Java)', 'remote', 'engineering', 'contract', 'تحديث خدمات التكامل الأساسية لبنك إقليمي.'],
+  ],
+}
+
+const JOB_DETAILS = {
+  en: {
+    description: 'You will join a cross-functional squad working directly with the client, with senior peers and a clear path to lead.',
+    responsibilities: ['Own features from design review to production', 'Pair with clients to shape scope and priorities', 'Raise the bar through reviews and mentoring'],
+    requirements: ['5+ years of relevant experience', 'Comfortable working in English; Arabic is a plus', 'Experience with regulated industries is a plus'],
+  },
+  ar: {
+    description: 'ستنضم إلى فريق متعدد التخصصات يعمل مباشرة مع العميل، مع زملاء ذوي خبرة ومسار واضح نحو القيادة.',
+    responsibilities: ['تولي الميزات من مراجعة التصميم حتى الإنتاج', 'العمل مع العملاء لتحديد النطاق والأولويات', 'رفع مستوى الجودة عبر المراجعات والإرشاد'],
+    requirements: ['خبرة ذات صلة لا تقل عن 5 سنوات', 'إجادة العمل باللغة الإنجليزية، والعربية ميزة إضافية', 'الخبرة في القطاعات المنظمة ميزة إضافية'],
+  },
+}
+
+/** Open roles; `detailed` adds the description and lists the detail endpoint returns. */
+export function jobsFixture(lang = 'en', { detailed = false } = {}) {
+  const rows = JOBS[lang] || JOBS.en
+  const details = JOB_DETAILS[lang] || JOB_DETAILS.en
+  return rows.map(([id, title, location, discipline, employmentType, summary], i) => ({
+    id,
+    title,
+    location,
+    discipline,
+    employmentType,
+    summary,
+    postedAt: new Date(Date.UTC(2026, 8, 1 + i * 4)).toISOString(),
+    ...(detailed && details),
+  }))
+}
+
+// Canned assistant answers, picked by the first topic the question matches
+const CHAT_TOPICS = [
+  {
+    match: /price|pricing|cost|quote|budget|proposal|سعر|تكلفة|ميزانية|عرض/i,
+    handoff: true,
+    services: [],
+    en: 'Pricing depends on scope, platforms and integrations. A focused MVP usually starts around SAR 150K and ships in 8–12 weeks; larger platforms are scoped together with you in a discovery call. The estimator on our home page gives a first range, and our team can turn this conversation into a tailored proposal.',
+    ar: 'تعتمد التكلفة على النطاق والمنصات والتكاملات. تبدأ النسخة الأولية المركزة عادة من نحو ١٥٠ ألف ريال وتُطلق خلال ٨–١٢ أسبوعًا، أما المنصات الأكبر فنحدد نطاقها معك في مكالمة تعريفية. تعطيك أداة التقدير في صفحتنا الرئيسية نطاقًا أوليًا، ويمكن لفريقنا تحويل هذه المحادثة إلى عرض مخصص.',
+  },
+  {
+    match: /llm|\bai\b|assistant|chatbot|arabic|ذكاء|مساعد|العربية/i,
+    handoff: false,
+    services: ['ai-data'],
+    en: 'Yes. We build Arabic-first assistants on top of large language models, grounded in your own documents and systems with retrieval, guardrails and human hand-off. A typical first release covers one channel, such as web chat or WhatsApp, with evaluation on real customer questions before launch.',
+    ar: 'نعم. نبني مساعدات تعطي الأولوية للغة العربية فوق النماذج اللغوية الكبيرة، مستندة إلى مستنداتك وأنظمتك مع الاسترجاع وضوابط الأمان والتحويل إلى موظف. يغطي الإصدار الأول عادة قناة واحدة مثل محادثة الموقع أو واتساب، مع تقييم على أسئلة عملاء حقيقية قبل الإطلاق.',
+  },
+  {
+    match: /data|residency|cloud|hosting|pdpl|بيانات|سحاب|استضافة/i,
+    handoff: false,
+    services: ['cloud-devops'],
+    en: 'We deploy on in-Kingdom cloud regions and keep personal data in Saudi Arabia in line with the PDPL. Our platform team sets up encryption, access controls and audit logging from day one, and documents everything for your compliance reviews.',
+    ar: 'ننشر على مناطق سحابية داخل المملكة ونُبقي البيانات الشخصية في السعودية وفق نظام حماية البيانات الشخصية. يجهّز فريق المنصات التشفير وضوابط الوصول وسجلات التدقيق من اليوم الأول، ونوثّق كل ذلك لمراجعات الامتثال لديك.',
+  },
+  {
+    match: /./,
+    handoff: false,
+    services: [],
+    en: 'We design, build and run digital products for banks, ministries, retailers and operators across the Gulf: custom software, cloud and DevOps, AI and data, and digital transformation programmes. Tell me a little about your project and I can point you to relevant work.',
+    ar: 'نصمم ونبني ونشغّل منتجات رقمية للبنوك والجهات الحكومية وتجار التجزئة والمشغلين في الخليج: برمجيات مخصصة، والسحابة وDevOps، والذكاء الاصطناعي والبيانات، وبرامج التحول الرقمي. أخبرني قليلًا عن مشروعك لأرشدك إلى أعمال ذات صلة.',
+  },
+]
+
+/** The assistant's reply to `question` as `{ text, handoff, services }`. */
+export function chatReplyFixture(question, lang = 'en') {
+  const topic = CHAT_TOPICS.find((item) => item.match.test(question))
+  return { text: topic[lang] || topic.en, handoff: topic.handoff, services: topic.services }
+}
@@ -0,0 +1,217 @@
+import { delay, http, HttpResponse } from 'msw'
+import { API_BASE } from '../lib/api'
+import {
+  adminTokenFixture,
+  applicationValidationErrorFixture,
+  availabilityFixture,
+  backendHealthFixture,
+  caseStudiesFixture,
+  chatReplyFixture,
+  companyFixture,
+  databaseHealthFixture,
+  jobsFixture,
+  leadsFixture,
+  leadValidationErrorFixture,
+  pricingRulesFixture,
+  servicesFixture,
+} from './fixtures'
+
+// Request handlers for every endpoint in lib/api.js, plus scenario overrides that put the UI into
+// one particular state. Works with msw/browser in the app and msw/node in tests.
+
+const BASE = API_BASE.replace(/\/+$/, '')
+const url = (path) => `${BASE}${path}`
+const SLOW_MS = 4000
+const TOKEN_MS = 40
+// The interrupted-chat scenario drops the connection after this many tokens
+const DROP_AFTER_TOKENS = 8
+
+const langOf = (request) => new URL(request.url).searchParams.get('lang') || 'en'
+const notFound = (detail) => HttpResponse.json({ detail }, { status: 404 })
+
+// Writes live for the page's lifetime, so a submitted lead shows up in the admin inbox
+let leads = null
+const leadStore = () => (leads ??= leadsFixture())
+const bookedSlots = new Set()
+
+function filterLeads(items, params) {
+  const q = params.get('q')?.trim().toLowerCase()
+  const from = params.get('from')
+  const to = params.get('to')
+  return items.filter((lead) => {
+    const day = lead.created_at.slice(0, 10)
+    if (q && ![lead.name, lead.email, lead.company].some((value) => value?.toLowerCase().includes(q))) return false
+    if (params.get('country') && lead.country !== params.get('country')) return false
+    if (params.get('status') && lead.status !== params.get('status')) return false
+    if (from && day < from) return false
+    if (to && day > to) return false
+    return true
+  })
+}
+
+const encoder = new TextEncoder()
+const sseEvent = (event, data) => encoder.encode(`${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`)
+
+// Streams the reply word by word like a model would, ending with the `done` event
+function chatResponse(reply, { dropAfter = Infinity } = {}) {
+  const tokens = reply.text.match(/\S+\s*/g) || []
+  let cancelled = false
+  const body = new ReadableStream({
+    async start(controller) {
+      for (const [i, token] of tokens.entries()) {
+        await delay(TOKEN_MS)
+        if (cancelled) return
+        if (i === dropAfter) return controller.error(new TypeError('Connection reset'))
+        controller.enqueue(sseEvent(null, { delta: token }))
+      }
+      controller.enqueue(sseEvent('done', { handoff: reply.handoff, services: reply.services }))
+      controller.close()
+    },
+    cancel() {
+      cancelled = true
+    },
+  })
+  return new HttpResponse(body, { headers: { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' } })
+}
+
+async function chatReply(request) {
+  const { messages = [], lang } = await request.json()
+  const question = messages.filter((m) => m.role === 'user').at(-1)?.content || ''
+  return chatReplyFixture(question, lang)
+}
+
+const requireAdmin = (request) => request.headers.get('Authorization')?.startsWith('Bearer ')
+const unauthorized = () => HttpResponse.json({ detail: 'Not authenticated' }, { status: 401 })
+
+export const handlers = [
+  // A little latency everywhere, so loading states are visible; falls through to the real handler
+  http.all(url('/*'), async () => {
+    await delay()
+  }),
+
+  http.get(url('/'), () => HttpResponse.json(backendHealthFixture)),
+  http.get(url('/test'), () => HttpResponse.json(databaseHealthFixture)),
+
+  http.get(url('/api/company'), ({ request }) => HttpResponse.json(companyFixture(langOf(request)))),
+  http.get(url('/api/services'), ({ request }) => HttpResponse.json(servicesFixture(langOf(request)))),
+  http.get(url('/api/services/:slug'), ({ request, params }) => {
+    const service = servicesFixture(langOf(request)).find((svc) => svc.slug === params.slug)
+    return service ? HttpResponse.json(service) : notFound('Service not found')
+  }),
+  http.get(url('/api/case-studies'), ({ request }) => HttpResponse.json(caseStudiesFixture(langOf(request)))),
+  http.get(url('/api/case-studies/:slug'), ({ request, params }) => {
+    const caseStudy = caseStudiesFixture(langOf(request)).find((cs) => cs.slug === params.slug)
+    return caseStudy ? HttpResponse.json(caseStudy) : notFound('Case study not found')
+  }),
+
+  http.get(url('/api/pricing-rules'), () => HttpResponse.json(pricingRulesFixture)),
+
+  http.options(url('/api/leads'), () => new HttpResponse(null, { status: 204 })),
+  http.post(url('/api/leads'), async ({ request }) => {
+    const body = await request.json()
+    if (new URL(request.url).searchParams.get('dry_run') === 'true') return HttpResponse.json({ dry_run: true, valid: true })
+    const { consent, pow, ...lead } = body
+    const created = { ...lead, id: `lead-${Date.now().toString(36)}`, status: 'new', created_at: new Date().toISOString(), notes: [] }
+    leadStore().unshift(created)
+    return HttpResponse.json(created, { status: 201 })
+  }),
+  http.get(url('/api/leads'), ({ request }) => {
+    if (!requireAdmin(request)) return unauthorized()
+    const params = new URL(request.url).searchParams
+    const page = Number(params.get('page')) || 1
+    const pageSize = Number(params.get('page_size')) || 25
+    const matching = filterLeads(leadStore(), params)
+    return HttpResponse.json({ items: matching.slice((page - 1) * pageSize, page * pageSize), total: matching.length, page, page_size: pageSize })
+  }),
+  http.patch(url('/api/leads/:id'), async ({ request, params }) => {
+    if (!requireAdmin(request)) return unauthorized()
+    const lead = leadStore().find((item) => item.id === params.id)
+    if (!lead) return notFound('Lead not found')
+    Object.assign(lead, await request.json())
+    return HttpResponse.json(lead)
+  }),
+  http.post(url('/api/leads/:id/notes'), async ({ request, params }) => {
+    if (!requireAdmin(request)) return unauthorized()
+    const lead = leadStore().find((item) => item.id === params.id)
+    if (!lead) return notFound('Lead not found')
+    const { body } = await request.json()
+    const note = { id: `note-${Date.now().toString(36)}`, body, author: 'Mock Admin', created_at: new Date().toISOString() }
+    lead.notes = [...(lead.notes || []), note]
+    return HttpResponse.json(note, { status: 201 })
+  }),
+
+  http.post(url('/api/admin/login'), async ({ request }) => {
+    const { email, password } = await request.json()
+    if (!email || !password) return HttpResponse.json({ detail: 'Invalid credentials' }, { status: 401 })
+    return HttpResponse.json(adminTokenFixture)
+  }),
+
+  http.get(url('/api/availability'), () => {
+    const availability = availabilityFixture()
+    return HttpResponse.json({ ...availability, slots: availability.slots.filter((slot) => !bookedSlots.has(slot.id)) })
+  }),
+  http.post(url('/api/bookings'), async ({ request }) => {
+    const booking = await request.json()
+    if (bookedSlots.has(booking.slot_id)) return HttpResponse.json({ detail: 'Slot already booked' }, { status: 409 })
+    if (Date.parse(`${booking.start}+03:00`) <= Date.now()) return HttpResponse.json({ detail: 'Slot is no longer available' }, { status: 410 })
+    bookedSlots.add(booking.slot_id)
+    return HttpResponse.json({
+      id: `booking-${Date.now().toString(36)}`,
+      start: booking.start,
+      end: booking.end,
+      meeting_url: 'https://meet.example.com/mock-discovery-call',
+    }, { status: 201 })
+  }),
+
+  http.get(url('/api/jobs'), ({ request }) => HttpResponse.json(jobsFixture(langOf(request)))),
+  http.get(url('/api/jobs/:id'), ({ request, params }) => {
+    const job = jobsFixture(langOf(request), { detailed: true }).find((item) => item.id === params.id)
+    return job ? HttpResponse.json(job) : notFound('Job not found')
+  }),
+  http.post(url('/api/applications'), async ({ request }) => {
+    const form = await request.formData()
+    const cv = form.get('cv')
+    // Form values are strings or files; a string means no file was attached
+    if (!cv || typeof cv === 'string' || !/\.(pdf|docx)$/i.test(cv.name)) {
+      return HttpResponse.json({ detail: [{ loc: ['body', 'cv'], msg: 'Upload your CV as a PDF or DOCX file.', type: 'value_error' }] }, { status: 422 })
+    }
+    return HttpResponse.json({ id: `application-${Date.now().toString(36)}`, job_id: form.get('job_id'), created_at: new Date().toISOString() }, { status: 201 })
+  }),
+
+  http.post(url('/api/chat'), async ({ request }) => chatResponse(await chatReply(request))),
+
+  http.post(url('/api/events'), () => new HttpResponse(null, { status: 204 })),
+  http.post(url('/api/client-errors'), () => new HttpResponse(null, { status: 204 })),
+]
+
+/**
+ * Overrides layered on top of `handlers`, one list per scenario. Handlers that return nothing
+ * (like `slow`) fall through, so the normal response still arrives.
+ */
+export const scenarios = {
+  default: [],
+  slow: [
+    http.all(url('/*'), async () => {
+      await delay(SLOW_MS)
+    }),
+  ],
+  'server-error': [
+    http.all(url('/api/*'), () => HttpResponse.json({ detail: 'Internal Server Error' }, { status: 500 })),
+  ],
+  offline: [
+    http.all(url('/api/*'), () => HttpResponse.error()),
+  ],
+  validation: [
+    http.post(url('/api/leads'), () => HttpResponse.json(leadValidationErrorFixture, { status: 422 })),
+    http.post(url('/api/applications'), () => HttpResponse.json(applicationValidationErrorFixture, { status: 422 })),
+  ],
+  'empty-services': [
+    http.get(url('/api/services'), () => HttpResponse.json([])),
+  ],
+  'booking-conflict': [
+    http.post(url('/api/bookings'), () => HttpResponse.json({ detail: 'Slot already booked' }, { status: 409 })),
+  ],
+  'chat-interrupted': [
+    http.post(url('/api/chat'), async ({ request }) => chatResponse(await chatReply(request), { dropAfter: DROP_AFTER_TOKENS })),
+  ],
+}
@@ -0,0 +1,44 @@
+// Mock mode serves the API from fixtures in a service worker, so the frontend runs without the backend.
+// VITE_MOCK_API=true starts every visit in mock mode; =allow only unlocks the ?mock=1 switch in a
+// production build (dev servers always have it). ?scenario= picks the state to reproduce. Both
+// choices stick for the tab, so in-app navigation keeps them.
+
+const STORAGE_KEY = 'mock'
+
+export const SCENARIOS = ['default', 'slow', 'server-error', 'offline', 'validation', 'empty-services', 'booking-conflict', 'chat-interrupted']
+
+const MODE = import.meta.env.VITE_MOCK_API
+
+function readStored() {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || {}
+  } catch (e) {
+    return {}
+  }
+}
+
+function writeStored(settings) {
+  try {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(settings))
+  } catch (e) {
+    // The URL switch still works for this page
+  }
+}
+
+/** @returns {{ enabled: boolean, scenario: string }} */
+export function mockSettings(search = window.location.search) {
+  if (!import.meta.env.DEV && MODE !== 'true' && MODE !== 'allow') return { enabled: false, scenario: 'default' }
+  const params = new URLSearchParams(search)
+  const stored = readStored()
+  if (params.has('mock')) stored.enabled = params.get('mock') === '1' || params.get('mock') === 'true'
+  if (params.has('scenario')) stored.scenario = params.get('scenario')
+  writeStored(stored)
+  return {
+    enabled: stored.enabled ?? MODE === 'true',
+    scenario: SCENARIOS.includes(stored.scenario) ? stored.scenario : 'default',
+  }
+}
+
+export function saveScenario(scenario) {
+  writeStored({ ...readStored(), scenario })
+}
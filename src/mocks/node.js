@@ -0,0 +1,23 @@
+import { setupServer } from 'msw/node'
+import { handlers, scenarios } from './handlers'
+
+// The mock backend for tests: the same handlers and fixtures the browser worker serves
+
+export const server = setupServer(...handlers)
+
+/** Serve one scenario, e.g. 'validation', for the rest of the current test. */
+export function applyScenario(name) {
+  server.use(...scenarios[name])
+}
+
+/** Resolves once the mock backend has answered a request for `path`, e.g. '/api/services'. */
+export function responded(path) {
+  return new Promise((resolve) => {
+    const listener = ({ request }) => {
+      if (new URL(request.url).pathname !== path) return
+      server.events.removeListener('response:mocked', listener)
+      resolve()
+    }
+    server.events.on('response:mocked', listener)
+  })
+}
@@ -0,0 +1,36 @@
+import { Routes, Route, Navigate } from 'react-router-dom'
+import App from './App'
+import Test from './Test'
+import ServiceDetail from './ServiceDetail'
+import CaseStudy from './CaseStudy'
+import Careers from './Careers'
+import JobDetail from './JobDetail'
+import NotFound from './NotFound'
+import AdminLogin from './AdminLogin'
+import AdminLeads from './AdminLeads'
+import RequireAdmin from './components/RequireAdmin'
+import { RouteErrorBoundary } from './components/ErrorBoundary'
+
+// Shared by the browser entry and the build-time prerenderer
+function AppRoutes() {
+  return (
+    <Routes>
+      <Route element={<RouteErrorBoundary />}>
+        <Route path="/" element={<App />} />
+        <Route path="/services/:slug" element={<ServiceDetail />} />
+        <Route path="/work/:slug" element={<CaseStudy />} />
+        <Route path="/careers" element={<Careers />} />
+        <Route path="/careers/:id" element={<JobDetail />} />
+        <Route path="/test" element={<Test />} />
+        <Route path="/admin/login" element={<AdminLogin />} />
+        <Route path="/admin" element={<RequireAdmin />}>
+          <Route index element={<Navigate to="leads" replace />} />
+          <Route path="leads" element={<AdminLeads />} />
+        </Route>
+        <Route path="*" element={<NotFound />} />
+      </Route>
+    </Routes>
+  )
+}
+
+export default AppRoutes
@@ -0,0 +1,24 @@
+import { render } from '@testing-library/react'
+import { MemoryRouter } from 'react-router-dom'
+import AppRoutes from '../routes'
+import { I18nProvider } from '../lib/i18n'
+import { MotionPreferenceProvider } from '../lib/motionPreference'
+import { ThemeProvider } from '../lib/theme'
+import { ConsentProvider } from '../lib/consent'
+
+/** Render the app at `path` with the same providers as main.jsx. */
+export function renderRoute(path = '/') {
+  return render(
+    <I18nProvider>
+      <MotionPreferenceProvider>
+        <ThemeProvider>
+          <ConsentProvider>
+            <MemoryRouter initialEntries={[path]}>
+              <AppRoutes />
+            </MemoryRouter>
+          </ConsentProvider>
+        </ThemeProvider>
+      </MotionPreferenceProvider>
+    </I18nProvider>,
+  )
+}
@@ -0,0 +1,56 @@
+import { afterAll, afterEach, beforeAll } from 'vitest'
+import { cleanup } from '@testing-library/react'
+import { server } from '../mocks/node'
+import { clearCache } from '../lib/useSwr'
+
+// Browser APIs jsdom does not implement; inert stand-ins are enough for rendering
+class InertObserver {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+  takeRecords() {
+    return []
+  }
+}
+window.IntersectionObserver ??= InertObserver
+window.ResizeObserver ??= InertObserver
+window.matchMedia ??= (query) => ({
+  matches: false,
+  media: query,
+  addEventListener() {},
+  removeEventListener() {},
+  addListener() {},
+  removeListener() {},
+})
+// Uploads: MSW turns an intercepted XHR into a fetch Request, and Node's fetch can neither send
+// jsdom's FormData nor read jsdom's Blob. Node's FormData is only reachable through a parsed body.
+globalThis.FormData = (await new Response(new URLSearchParams()).formData()).constructor
+Blob.prototype.arrayBuffer ??= function arrayBuffer() {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsArrayBuffer(this)
+  })
+}
+Blob.prototype.stream ??= function stream() {
+  return new ReadableStream({
+    start: async (controller) => {
+      controller.enqueue(new Uint8Array(await this.arrayBuffer()))
+      controller.close()
+    },
+  })
+}
+Element.prototype.scrollIntoView ??= function scrollIntoView() {}
+window.scrollTo = () => {}
+
+// A request without a handler is a missing fixture, not something to send to a real backend
+beforeAll(() => server.listen({ onUnhandledRequest: 'error' }))
+afterEach(() => {
+  cleanup()
+  server.resetHandlers()
+  clearCache()
+  localStorage.clear()
+  sessionStorage.clear()
+})
+afterAll(() => server.close())
@@ -1,8 +1,21 @@
+import { readFileSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const { version } = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'))
+// Error reports carry the build they came from; deploys on Vercel add the commit
+const commit = process.env.VERCEL_GIT_COMMIT_SHA?.slice(0, 7)
+
 export default defineConfig({
   plugins: [react()],
+  define: {
+    __APP_VERSION__: JSON.stringify(commit ? `${version}+${commit}` : version),
+  },
+  test: {
+    environment: 'jsdom',
+    // Starts the msw/node mock backend (src/mocks) around every test
+    setupFiles: ['src/test/setup.js'],
+  },
   optimizeDeps: {
     // Exclude packages that shouldn't be pre-bundled
     exclude: [],